@@ -0,0 +1,197 @@
+/**
+ * @fileoverview IndexedDB access for WordUp.
+ *
+ * Data that is too large for chrome.storage, or that needs indexes, lives in
+ * a single `wordup` database. Schema changes are appended to `UPGRADES`, one
+ * function per version, and run in order when the database is opened.
+ */
+
+'use strict';
+
+const DB_NAME = 'wordup';
+
+const UPGRADES = [
+    // v1: offline lexicon entries (keyed by language + word) and small metadata records.
+    (db) => {
+        db.createObjectStore('lexicon', { keyPath: ['lang', 'word'] });
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // v2: the user's vocabulary notebook, keyed by `lang:word`.
+    (db) => {
+        const vocabulary = db.createObjectStore('vocabulary', { keyPath: 'id' });
+        vocabulary.createIndex('updatedAt', 'updatedAt');
+    },
+    // v3: spaced-repetition state on notebook entries, and a log of every review.
+    (db, tx) => {
+        tx.objectStore('vocabulary').createIndex('due', 'review.due');
+        const reviewLog = db.createObjectStore('reviewLog', { keyPath: 'id', autoIncrement: true });
+        reviewLog.createIndex('reviewedAt', 'reviewedAt');
+    },
+    // v4: quiz results per word, keyed like the notebook (`lang:word`).
+    (db) => {
+        db.createObjectStore('quizScores', { keyPath: 'id' });
+    },
+    // v5: a log of every lookup, for the statistics dashboard.
+    (db) => {
+        const lookupEvents = db.createObjectStore('lookupEvents', { keyPath: 'id', autoIncrement: true });
+        lookupEvents.createIndex('time', 'time');
+    },
+    // v6: the lookup history shown in the popup, which the user can search and delete from.
+    (db) => {
+        const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        history.createIndex('time', 'time');
+    },
+];
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Opens (and if needed upgrades) the database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, UPGRADES.length);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion; version < UPGRADES.length; version++) {
+                    UPGRADES[version](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a retry on the next call
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Reads one record by key.
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<object|undefined>}
+ */
+export async function dbGet(storeName, key) {
+    const db = await openDatabase();
+    return promisify(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+/**
+ * Writes records in a single transaction.
+ * @param {string} storeName
+ * @param {Array<object>} values
+ * @returns {Promise<void>}
+ */
+export async function dbPutMany(storeName, values) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    values.forEach(value => store.put(value));
+    return transactionDone(tx);
+}
+
+/**
+ * Writes one record.
+ * @param {string} storeName
+ * @param {object} value
+ * @returns {Promise<void>}
+ */
+export function dbPut(storeName, value) {
+    return dbPutMany(storeName, [value]);
+}
+
+/**
+ * Reads every record in a store, in key order or in the order of an index.
+ * @param {string} storeName
+ * @param {string} [indexName]
+ * @param {IDBKeyRange} [range] Only read records whose key (or index value) is in this range.
+ * @returns {Promise<Array<object>>}
+ */
+export async function dbGetAll(storeName, indexName, range) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName).objectStore(storeName);
+    return promisify((indexName ? store.index(indexName) : store).getAll(range));
+}
+
+/**
+ * Reads every primary key of a store, without the records.
+ * @param {string} storeName
+ * @param {IDBKeyRange} [range]
+ * @returns {Promise<Array<*>>}
+ */
+export async function dbGetAllKeys(storeName, range) {
+    const db = await openDatabase();
+    return promisify(db.transaction(storeName).objectStore(storeName).getAllKeys(range));
+}
+
+/**
+ * Deletes one record by key.
+ * @param {string} storeName
+ * @param {IDBValidKey} key
+ * @returns {Promise<void>}
+ */
+export async function dbDelete(storeName, key) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.objectStore(storeName).delete(key);
+    return transactionDone(tx);
+}
+
+/**
+ * Counts the records in a store.
+ * @param {string} storeName
+ * @returns {Promise<number>}
+ */
+export async function dbCount(storeName) {
+    const db = await openDatabase();
+    return promisify(db.transaction(storeName).objectStore(storeName).count());
+}
+
+/**
+ * Deletes records in index order, e.g. the oldest ones by a time index.
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {IDBKeyRange} [range] Only delete records whose index value is in this range.
+ * @param {number} [limit=Infinity] Delete at most this many records.
+ * @returns {Promise<number>} How many records were deleted.
+ */
+export async function dbDeleteRange(storeName, indexName, range, limit = Infinity) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, 'readwrite');
+    const request = tx.objectStore(storeName).index(indexName).openCursor(range);
+    let deleted = 0;
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || deleted >= limit) return;
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+    };
+    await transactionDone(tx);
+    return deleted;
+}
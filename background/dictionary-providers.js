@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Dictionary providers for WordUp.
+ *
+ * A provider is a user-configurable endpoint (name, URL, enabled flag) that
+ * points at an adapter. Adapters know how to turn a provider's raw response
+ * into the normalized entry shape the rest of the extension works with.
+ *
+ * Provider URLs may contain `{lang}` and `{word}` placeholders. A provider can
+ * also restrict itself to a `languages` list; without one it is tried for all.
+ */
+
+'use strict';
+
+import { normalizeMeanings } from '../libs/utils.js';
+
+export const DEFAULT_DICTIONARY_PROVIDERS = [
+    {
+        id: 'free-dictionary',
+        name: 'Free Dictionary API',
+        adapter: 'freeDictionary',
+        url: 'https://api.dictionaryapi.dev/api/v2/entries/{lang}/',
+        enabled: true,
+    },
+    {
+        id: 'wiktionary',
+        name: 'Wiktionary',
+        adapter: 'wiktionary',
+        url: 'https://en.wiktionary.org/api/rest_v1/page/definition/',
+        enabled: true,
+    },
+];
+
+/**
+ * Builds the request URL for a word. `{lang}` is replaced with the language code,
+ * and a `{word}` placeholder is replaced with the word; otherwise the word is appended.
+ * @param {object} provider The provider configuration.
+ * @param {string} word The word to look up.
+ * @param {string} [lang='en'] The language code.
+ * @returns {string}
+ */
+export function buildProviderUrl(provider, word, lang = 'en') {
+    const formatWord = dictionaryAdapters[provider.adapter]?.formatWord;
+    const encoded = encodeURIComponent(formatWord ? formatWord(word) : word);
+    const url = provider.url.replace('{lang}', encodeURIComponent(lang));
+    return url.includes('{word}')
+        ? url.replace('{word}', encoded)
+        : `${url}${encoded}`;
+}
+
+/**
+ * Whether a provider should be tried for a language.
+ * @param {object} provider
+ * @param {string} lang
+ * @returns {boolean}
+ */
+export function providerSupportsLanguage(provider, lang) {
+    return !Array.isArray(provider.languages) || provider.languages.length === 0
+        || provider.languages.includes(lang);
+}
+
+/**
+ * Gathers the unique synonyms and antonyms across every meaning group and sense.
+ * @param {Array<object>} meanings Normalized meaning groups.
+ * @returns {{synonyms: string[], antonyms: string[]}}
+ */
+const collectRelations = (meanings) => {
+    const synonyms = new Set();
+    const antonyms = new Set();
+    meanings.forEach(group => {
+        group.synonyms.forEach(s => synonyms.add(s));
+        group.antonyms.forEach(a => antonyms.add(a));
+        group.definitions.forEach(d => {
+            d.synonyms.forEach(s => synonyms.add(s));
+            d.antonyms.forEach(a => antonyms.add(a));
+        });
+    });
+    return { synonyms: Array.from(synonyms), antonyms: Array.from(antonyms) };
+};
+
+/**
+ * Collects the phonetic spellings and recordings of a Free Dictionary API response.
+ * The accent is only known from the recording's file name (e.g. "hello-uk.mp3").
+ * @param {Array<object>} data The raw API response.
+ * @returns {Array<{text: string, audio: string, accent: string}>}
+ */
+const collectPronunciations = (data) => {
+    const seen = new Set();
+    return data.flatMap(result => result.phonetics || [])
+        .map(p => {
+            const audio = p.audio ? p.audio.replace(/^\/\//, 'https://') : '';
+            const accent = (audio.match(/-(us|uk|au)\.mp3$/i)?.[1] || '').toLowerCase();
+            return { text: p.text || '', audio, accent };
+        })
+        .filter(p => {
+            const key = `${p.text}|${p.audio}`;
+            if ((!p.text && !p.audio) || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+/**
+ * Normalizes a Free Dictionary API (dictionaryapi.dev) response.
+ * Every part of speech and definition is kept in `meanings`; `meaning` is the
+ * first definition, for views that only have room for one line.
+ * @param {Array<object>} data The raw API response.
+ * @returns {object|null} The normalized entry, or null if nothing usable was returned.
+ */
+export function sanitizeDictionaryResponse(data) {
+    if (!Array.isArray(data) || data.length === 0) return null;
+    const firstResult = data[0];
+    const meanings = normalizeMeanings(data);
+
+    if (meanings.length === 0) return null;
+
+    return {
+        word: firstResult.word,
+        phonetic: firstResult.phonetic || firstResult.phonetics?.find(p => p.text)?.text,
+        pronunciations: collectPronunciations(data),
+        meaning: meanings[0].definitions[0].definition,
+        meanings,
+        ...collectRelations(meanings),
+    };
+}
+
+/**
+ * Strips tags and the handful of entities Wiktionary uses from an HTML fragment.
+ * The service worker has no DOMParser, so this is deliberately simple.
+ * @param {string} html
+ * @returns {string}
+ */
+const stripHtml = (html) => (html || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+
+/**
+ * Normalizes a Wiktionary REST `page/definition` response.
+ * @param {object} data The raw API response, keyed by language code.
+ * @param {string} word The word that was looked up (Wiktionary does not echo it).
+ * @param {string} lang The language section to read.
+ * @returns {object|null}
+ */
+function sanitizeWiktionaryResponse(data, word, lang) {
+    const groups = data?.[lang];
+    if (!Array.isArray(groups) || groups.length === 0) return null;
+
+    // Wiktionary splits homographs by etymology, so the same part of speech can repeat.
+    const meaningsByPos = new Map();
+    groups.forEach(group => {
+        const partOfSpeech = (group.partOfSpeech || 'other').toLowerCase();
+        const definitions = (group.definitions || [])
+            .map(d => ({
+                definition: stripHtml(d.definition),
+                example: stripHtml(d.parsedExamples?.[0]?.example || d.examples?.[0]),
+                synonyms: [],
+                antonyms: [],
+            }))
+            .filter(d => d.definition);
+        if (definitions.length === 0) return;
+        if (!meaningsByPos.has(partOfSpeech)) {
+            meaningsByPos.set(partOfSpeech, { partOfSpeech, definitions: [], synonyms: [], antonyms: [] });
+        }
+        meaningsByPos.get(partOfSpeech).definitions.push(...definitions);
+    });
+
+    const meanings = Array.from(meaningsByPos.values());
+    if (meanings.length === 0) return null;
+
+    return {
+        word,
+        phonetic: undefined,
+        meaning: meanings[0].definitions[0].definition,
+        meanings,
+        synonyms: [],
+        antonyms: [],
+    };
+}
+
+/**
+ * Response adapters keyed by the `adapter` field of a provider.
+ * `normalize(data, word, lang)` must return the shape produced by `sanitizeDictionaryResponse`, or null.
+ * An optional `formatWord(word)` rewrites the word before it is put in the URL.
+ */
+export const dictionaryAdapters = {
+    freeDictionary: {
+        label: 'Free Dictionary API format',
+        normalize: (data) => sanitizeDictionaryResponse(data),
+    },
+    wiktionary: {
+        label: 'Wiktionary format',
+        // English Wiktionary covers every language, keyed by language code.
+        normalize: (data, word, lang) => sanitizeWiktionaryResponse(data, word, lang),
+        // Page titles use underscores for spaces ("kick_the_bucket").
+        formatWord: (word) => word.replace(/ /g, '_'),
+    },
+};
+
+/**
+ * Brings a stored provider list up to date with URL changes to the built-in providers.
+ * @param {Array<object>} providers The user's stored providers.
+ * @returns {Array<object>}
+ */
+export function migrateProviders(providers) {
+    return providers.map(provider => (
+        // The built-in Free Dictionary URL used to hard-code English.
+        provider.id === 'free-dictionary' && provider.url === 'https://api.dictionaryapi.dev/api/v2/entries/en/'
+            ? { ...provider, url: DEFAULT_DICTIONARY_PROVIDERS[0].url }
+            : provider
+    ));
+}
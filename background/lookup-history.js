@@ -0,0 +1,118 @@
+/**
+ * @fileoverview The lookup history for WordUp.
+ *
+ * Every lookup is appended to the `history` store with its time and the page
+ * it was made on, for the popup's history list. Unlike the event log behind
+ * the statistics, the history belongs to the user: it is capped in size and
+ * entries can be searched and deleted one by one or by date.
+ */
+
+'use strict';
+
+import { dbCount, dbDelete, dbDeleteRange, dbGetAll, dbPut } from './db.js';
+
+const MAX_HISTORY_ENTRIES = 1000; // The oldest lookups are dropped beyond this
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Scores how well a query matches a text when its characters appear in the
+ * text in order, not necessarily next to each other ("acmd" matches
+ * "accommodate"). Matches at the start and runs of adjacent characters score higher.
+ * @param {string} query Lowercase.
+ * @param {string} text
+ * @returns {number} 0 when the text doesn't match.
+ */
+export function fuzzyScore(query, text) {
+    text = text.toLowerCase();
+    if (!query) return 1;
+    if (text === query) return 100;
+    if (text.startsWith(query)) return 50 + query.length;
+    let score = 0;
+    let run = 0;
+    let from = 0;
+    for (const char of query) {
+        const index = text.indexOf(char, from);
+        if (index === -1) return 0;
+        run = index === from ? run + 1 : 1;
+        score += run + (index === 0 ? 2 : 0);
+        from = index + 1;
+    }
+    return score;
+}
+
+export const lookupHistory = {
+    /**
+     * Appends one lookup and drops the oldest ones beyond the cap.
+     * @param {object} item
+     * @param {string} item.word The headword, or the query when nothing was found.
+     * @param {string} [item.query] The text as selected, when it differs from the headword.
+     * @param {string} item.lang
+     * @param {string} item.url The page the lookup was made on, or '' for lookups from the popup.
+     * @param {string} item.title The page's title.
+     * @param {boolean} item.found Whether a definition was found.
+     * @param {number} [item.time=Date.now()]
+     * @returns {Promise<void>}
+     */
+    async add({ time = Date.now(), ...item }) {
+        await dbPut('history', { time, ...item });
+        const excess = await dbCount('history') - MAX_HISTORY_ENTRIES;
+        if (excess > 0) await dbDeleteRange('history', 'time', undefined, excess);
+    },
+
+    /**
+     * Lists lookups, newest first, or the best matches first for a search.
+     * @param {object} [options]
+     * @param {string} [options.query] Only return lookups whose word fuzzily matches this.
+     * @param {number} [options.offset=0]
+     * @param {number} [options.limit=20]
+     * @returns {Promise<{items: Array<object>, total: number}>}
+     */
+    async search({ query = '', offset = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+        const newestFirst = (await dbGetAll('history', 'time')).reverse();
+        const needle = query.trim().toLowerCase();
+        let matches = newestFirst;
+        if (needle) {
+            matches = newestFirst
+                .map(item => ({ item, score: Math.max(fuzzyScore(needle, item.word), fuzzyScore(needle, item.query || '')) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score || b.item.time - a.item.time)
+                .map(({ item }) => item);
+        }
+        return { items: matches.slice(offset, offset + limit), total: matches.length };
+    },
+
+    /**
+     * Lists the words that were found, newest first and each only once.
+     * @param {string} [lang] Only return words looked up in this language.
+     * @returns {Promise<Array<string>>}
+     */
+    async words(lang) {
+        const items = (await dbGetAll('history', 'time')).reverse()
+            .filter(item => item.found && (!lang || item.lang === lang));
+        return Array.from(new Set(items.map(item => item.word)));
+    },
+
+    /**
+     * Deletes one lookup.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return dbDelete('history', id);
+    },
+
+    /**
+     * Deletes the lookups made in a time range.
+     * @param {object} [range] Without bounds, the whole history is cleared.
+     * @param {number} [range.from] Start of the range, inclusive.
+     * @param {number} [range.to] End of the range, exclusive.
+     * @returns {Promise<number>} How many lookups were deleted.
+     */
+    clear({ from, to } = {}) {
+        let range;
+        if (from !== undefined && to !== undefined) range = IDBKeyRange.bound(from, to, false, true);
+        else if (from !== undefined) range = IDBKeyRange.lowerBound(from);
+        else if (to !== undefined) range = IDBKeyRange.upperBound(to, true);
+        return dbDeleteRange('history', 'time', range);
+    },
+};
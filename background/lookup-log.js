@@ -0,0 +1,43 @@
+/**
+ * @fileoverview The lookup event log for WordUp.
+ *
+ * Every definition lookup is appended to the `lookupEvents` store with the
+ * word, the site it was made on and whether the cache answered. The log is
+ * what the statistics dashboard is computed from. It is capped, so the
+ * statistics cover the most recent lookups (months of them at a typical pace).
+ */
+
+'use strict';
+
+import { dbCount, dbDeleteRange, dbGetAll, dbPut } from './db.js';
+
+const MAX_LOOKUP_EVENTS = 20000; // The oldest lookups are dropped beyond this
+
+export const lookupLog = {
+    /**
+     * Appends one lookup and drops the oldest ones beyond the cap.
+     * @param {object} event
+     * @param {string} event.word The headword, or the query when nothing was found.
+     * @param {string} [event.query] The text as selected, when it differs from the headword.
+     * @param {string} event.lang
+     * @param {string} event.site The hostname of the page, or '' for lookups from the popup.
+     * @param {boolean} event.cacheHit Whether the session or persistent cache answered.
+     * @param {boolean} event.found Whether a definition was found.
+     * @param {number} [event.time=Date.now()]
+     * @returns {Promise<void>}
+     */
+    async record({ time = Date.now(), ...event }) {
+        await dbPut('lookupEvents', { time, ...event });
+        const excess = await dbCount('lookupEvents') - MAX_LOOKUP_EVENTS;
+        if (excess > 0) await dbDeleteRange('lookupEvents', 'time', undefined, excess);
+    },
+
+    /**
+     * Lists lookups in time order.
+     * @param {number} [since] Only return lookups made at or after this time.
+     * @returns {Promise<Array<object>>}
+     */
+    list(since) {
+        return dbGetAll('lookupEvents', 'time', since ? IDBKeyRange.lowerBound(since) : undefined);
+    },
+};
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Query normalization for WordUp.
+ *
+ * Turns a raw selection ("Wolves,", "children’s", "RUNNING") into the form
+ * that is looked up and cached: punctuation, possessives and invisible
+ * characters are stripped, case and Unicode compatibility forms are folded,
+ * and English inflections are reduced to their lemma.
+ */
+
+'use strict';
+
+// Irregular English forms that suffix rules can't recover, mapped to their lemma.
+// The table wins over the lexicon, except for the AMBIGUOUS_FORMS below.
+const IRREGULAR_FORMS = {
+    // Verbs
+    am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be', being: 'be',
+    has: 'have', had: 'have', does: 'do', did: 'do', done: 'do',
+    went: 'go', gone: 'go', goes: 'go', made: 'make', said: 'say', says: 'say',
+    ran: 'run', came: 'come', seen: 'see', took: 'take', taken: 'take',
+    gave: 'give', given: 'give', got: 'get', gotten: 'get', knew: 'know', known: 'know',
+    thought: 'think', told: 'tell', found: 'find', became: 'become',
+    felt: 'feel', brought: 'bring', began: 'begin', begun: 'begin', kept: 'keep',
+    held: 'hold', wrote: 'write', written: 'write', stood: 'stand', heard: 'hear',
+    meant: 'mean', met: 'meet', paid: 'pay', sat: 'sit', spoke: 'speak', spoken: 'speak',
+    led: 'lead', grew: 'grow', grown: 'grow', lost: 'lose', fell: 'fall',
+    fallen: 'fall', sent: 'send', built: 'build', understood: 'understand', drew: 'draw',
+    drawn: 'draw', broke: 'break', broken: 'break', spent: 'spend',
+    risen: 'rise', drove: 'drive', driven: 'drive', bought: 'buy', wore: 'wear',
+    worn: 'wear', chose: 'choose', chosen: 'choose', sought: 'seek', threw: 'throw',
+    thrown: 'throw', caught: 'catch', dealt: 'deal', won: 'win', forgot: 'forget',
+    forgotten: 'forget', ate: 'eat', eaten: 'eat', sang: 'sing', sung: 'sing',
+    swam: 'swim', swum: 'swim', flew: 'fly', flown: 'fly', taught: 'teach',
+    fought: 'fight', slept: 'sleep', sold: 'sell', shook: 'shake', shaken: 'shake',
+    hid: 'hide', hidden: 'hide', rode: 'ride', ridden: 'ride', struck: 'strike',
+    bitten: 'bite', froze: 'freeze', frozen: 'freeze', stolen: 'steal',
+    woke: 'wake', woken: 'wake', fed: 'feed', fled: 'flee',
+    dug: 'dig', hung: 'hang', lent: 'lend', lit: 'light', shot: 'shoot', slid: 'slide',
+    spun: 'spin', stuck: 'stick', swept: 'sweep', swung: 'swing', tore: 'tear',
+    torn: 'tear', wept: 'weep', wound: 'wind', withdrew: 'withdraw', overcame: 'overcome',
+    saw: 'see', left: 'leave', lay: 'lie', bit: 'bite', rose: 'rise', stole: 'steal',
+    // Adjectives
+    better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+    // Nouns
+    children: 'child', men: 'man', women: 'woman', people: 'person', mice: 'mouse',
+    geese: 'goose', feet: 'foot', teeth: 'tooth', oxen: 'ox', lice: 'louse',
+    criteria: 'criterion', phenomena: 'phenomenon', analyses: 'analysis',
+    crises: 'crisis', theses: 'thesis', hypotheses: 'hypothesis', diagnoses: 'diagnosis',
+    indices: 'index', matrices: 'matrix', appendices: 'appendix', vertices: 'vertex',
+    cacti: 'cactus', fungi: 'fungus', nuclei: 'nucleus', radii: 'radius', stimuli: 'stimulus',
+    alumni: 'alumnus', curricula: 'curriculum', bacteria: 'bacterium',
+    leaves: 'leaf', lives: 'life', knives: 'knife', wives: 'wife', wolves: 'wolf',
+    halves: 'half', selves: 'self', shelves: 'shelf', thieves: 'thief', loaves: 'loaf',
+    calves: 'calf', elves: 'elf', scarves: 'scarf', hooves: 'hoof',
+    // Nouns ending in -s, whose -es plural the suffix rules can't tell from "houses"
+    buses: 'bus', gases: 'gas', lenses: 'lens', bonuses: 'bonus', viruses: 'virus',
+    campuses: 'campus', statuses: 'status', atlases: 'atlas', canvases: 'canvas',
+    choruses: 'chorus', circuses: 'circus', censuses: 'census', quizzes: 'quiz',
+};
+
+// Irregular forms that are common words in their own right ("a saw", "turn left",
+// "a better idea"): these are kept as they are when the lexicon knows them.
+const AMBIGUOUS_FORMS = new Set([
+    'saw', 'left', 'lay', 'bit', 'rose', 'stole', 'better', 'best', 'worse', 'worst',
+]);
+
+// Words that look inflected but are headwords in their own right.
+const INVARIANT_FORMS = new Set([
+    'news', 'means', 'series', 'species', 'physics', 'mathematics', 'economics', 'politics',
+    'ethics', 'athletics', 'always', 'perhaps', 'towards', 'during', 'nothing', 'something',
+    'anything', 'everything', 'morning', 'evening', 'ceiling', 'wedding', 'king', 'thing',
+    'spring', 'string', 'ring', 'bed', 'need', 'seed', 'speed', 'hundred', 'sacred', 'never',
+    'over', 'under', 'after', 'water', 'paper', 'number', 'other', 'however', 'whether',
+    'letter', 'matter', 'butter', 'bitter', 'dinner', 'summer', 'manner',
+]);
+
+// Suffix rules, tried in order. `safe` rules are applied even when the result
+// can't be checked against the lexicon; the rest need the lexicon to confirm.
+const SUFFIX_RULES = [
+    { suffix: 'ies', replace: 'y', kind: 'plural', safe: true },
+    { suffix: 'sses', replace: 'ss', kind: 'plural', safe: true },
+    { suffix: 'ches', replace: 'ch', kind: 'plural', safe: true },
+    { suffix: 'shes', replace: 'sh', kind: 'plural', safe: true },
+    { suffix: 'xes', replace: 'x', kind: 'plural', safe: true },
+    { suffix: 'ves', replace: 'f', kind: 'plural' },
+    { suffix: 'ves', replace: 'fe', kind: 'plural' },
+    { suffix: 'oes', replace: 'o', kind: 'plural' },
+    { suffix: 'ses', replace: 's', kind: 'plural' },
+    { suffix: 'zzes', replace: 'z', kind: 'plural' },
+    { suffix: 's', replace: '', kind: 'plural', safe: true, guard: (w) => w.length > 3 && !/(ss|us|is|as|'s)$/.test(w) },
+    { suffix: 'ying', replace: 'ie', kind: 'inflection' },
+    { suffix: 'ing', replace: '', kind: 'inflection', doubled: true },
+    { suffix: 'ing', replace: 'e', kind: 'inflection' },
+    { suffix: 'ing', replace: '', kind: 'inflection' },
+    { suffix: 'ied', replace: 'y', kind: 'inflection', safe: true },
+    { suffix: 'ed', replace: '', kind: 'inflection', doubled: true },
+    { suffix: 'ed', replace: 'e', kind: 'inflection' },
+    { suffix: 'ed', replace: '', kind: 'inflection' },
+    { suffix: 'ier', replace: 'y', kind: 'inflection' },
+    { suffix: 'iest', replace: 'y', kind: 'inflection' },
+    { suffix: 'er', replace: '', kind: 'inflection', doubled: true },
+    { suffix: 'est', replace: '', kind: 'inflection', doubled: true },
+    { suffix: 'er', replace: 'e', kind: 'inflection' },
+    { suffix: 'est', replace: 'e', kind: 'inflection' },
+    { suffix: 'er', replace: '', kind: 'inflection' },
+    { suffix: 'est', replace: '', kind: 'inflection' },
+];
+
+// Contractions that end like a possessive ("it's" is not the possessive of "it").
+const S_CONTRACTIONS = new Set([
+    'it\'s', 'let\'s', 'that\'s', 'what\'s', 'there\'s', 'here\'s', 'where\'s', 'who\'s',
+    'how\'s', 'he\'s', 'she\'s', 'when\'s', 'why\'s',
+]);
+
+// Stems shorter than this are never produced ("sing" must not become "s").
+const MIN_STEM_LENGTH = 2;
+
+/**
+ * Applies one suffix rule, or returns null if it doesn't apply.
+ * `doubled` rules undo consonant doubling ("running" → "run", "stopped" → "stop").
+ * @param {string} word
+ * @param {object} rule
+ * @returns {string|null}
+ */
+const applyRule = (word, rule) => {
+    if (!word.endsWith(rule.suffix) || (rule.guard && !rule.guard(word))) return null;
+    let stem = word.slice(0, word.length - rule.suffix.length);
+    if (rule.doubled) {
+        const last = stem.slice(-1);
+        if (stem.length < 3 || last !== stem.slice(-2, -1) || /[aeiouylsz]/.test(last)) return null;
+        stem = stem.slice(0, -1);
+    }
+    stem += rule.replace;
+    return stem.length >= MIN_STEM_LENGTH && /[aeiouy]/.test(stem) ? stem : null;
+};
+
+/**
+ * Folds Unicode compatibility forms, curly quotes, invisible characters,
+ * surrounding punctuation and case, keeping any possessive.
+ * @param {string} text The raw selected text.
+ * @returns {string}
+ */
+const cleanToken = (text) => (text || '')
+    .normalize('NFKC')
+    .replace(/[\u00AD\u200B-\u200D\uFEFF]/g, '') // Soft hyphens and zero-width characters
+    .replace(/[\u2018\u2019\u02BC\u2032]/g, '\'') // Curly apostrophes
+    .replace(/[\u201C\u201D\u2033]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, '')
+    .toLowerCase();
+
+/**
+ * Cleans up a raw selection: Unicode compatibility folding, curly quotes,
+ * invisible characters, surrounding punctuation, possessives and case.
+ * @param {string} text The raw selected text.
+ * @returns {string} The normalized form ('' if nothing is left).
+ */
+export function normalizeToken(text) {
+    const token = cleanToken(text);
+    // "children's" → "children" ("wolves'" lost its apostrophe above)
+    return S_CONTRACTIONS.has(token) ? token : token.replace(/'s$/, '');
+}
+
+/**
+ * Whether a raw selection is the possessive of a word ending in -s ("James's",
+ * "boss's"). Its normalized form is singular, so it must not lose another -s.
+ * @param {string} text The raw selected text.
+ * @returns {boolean}
+ */
+export function isSingularPossessive(text) {
+    const token = cleanToken(text);
+    return !S_CONTRACTIONS.has(token) && /s's$/.test(token);
+}
+
+/**
+ * Reduces an English word to its lemma. Irregular forms are looked up in a
+ * table; an ambiguous one ("left", "better") is kept when the lexicon knows it.
+ * Candidates from the suffix rules are confirmed with `isKnown` (the offline
+ * lexicon); without confirmation only the unambiguous rules are applied.
+ * Contractions and other words with an apostrophe are returned as they are.
+ * @param {string} word A normalized, lowercase word.
+ * @param {(word: string) => Promise<boolean>} isKnown Whether a word is a known lemma.
+ * @param {object} [options]
+ * @param {boolean} [options.singular=false] Skip the plural rules (see `isSingularPossessive`).
+ * @returns {Promise<string>} The lemma, or the word itself if it is already one.
+ */
+export async function lemmatize(word, isKnown, { singular = false } = {}) {
+    if (INVARIANT_FORMS.has(word) || word.includes(' ') || word.includes('\'')) return word;
+    if (IRREGULAR_FORMS[word]) {
+        return AMBIGUOUS_FORMS.has(word) && await isKnown(word) ? word : IRREGULAR_FORMS[word];
+    }
+
+    const surfaceKnown = await isKnown(word);
+    let safeFallback = null;
+    for (const rule of SUFFIX_RULES) {
+        if (singular && rule.kind === 'plural') continue;
+        const candidate = applyRule(word, rule);
+        if (!candidate) continue;
+        // Lexicalized plurals ("news", "glasses") are their own headwords.
+        if (rule.kind === 'plural' && surfaceKnown) return word;
+        if (await isKnown(candidate)) return candidate;
+        if (rule.safe && !safeFallback) safeFallback = candidate;
+    }
+    return surfaceKnown ? word : (safeFallback || word);
+}
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Offline lexicon for WordUp.
+ *
+ * A compact WordNet-derived pack ships with the extension and is imported
+ * into IndexedDB, so lookups keep working without a network. Users can import
+ * larger packs in the same format from the options page.
+ *
+ * Pack format (arrays keep the file small):
+ * {
+ *   name, version, lang?,
+ *   entries: [[word, [[partOfSpeech, [[definition, example?, synonyms?, antonyms?], ...]], ...]], ...]
+ * }
+ */
+
+'use strict';
+
+import { dbCount, dbGet, dbGetAllKeys, dbPut, dbPutMany } from './db.js';
+
+const BUNDLED_PACK_URL = 'data/lexicon-core.json';
+// Name and version of the bundled pack; keep in step with the file.
+const BUNDLED_PACK = { name: 'wordnet-core', version: 1 };
+const IMPORT_BATCH_SIZE = 500; // Entries written per IndexedDB transaction
+
+let loadingPromise = null;
+
+/**
+ * Expands a packed entry into the normalized entry shape used by the dictionary providers.
+ * @param {Array} packed `[word, meanings]` from a pack.
+ * @param {string} lang
+ * @returns {object}
+ */
+const expandEntry = ([word, packedMeanings], lang) => ({
+    lang,
+    word: word.toLowerCase(),
+    meanings: packedMeanings.map(([partOfSpeech, definitions]) => ({
+        partOfSpeech,
+        definitions: definitions.map(([definition, example = '', synonyms = [], antonyms = []]) => ({
+            definition,
+            example,
+            synonyms,
+            antonyms,
+        })),
+        synonyms: [],
+        antonyms: [],
+    })),
+});
+
+export const offlineLexicon = {
+    /**
+     * Imports a pack into IndexedDB, replacing entries for the same words.
+     * @param {object} pack A lexicon pack.
+     * @returns {Promise<number>} The number of entries imported.
+     * @throws {Error} If the pack is not in the expected format.
+     */
+    async importPack(pack) {
+        if (!pack || !pack.name || !Array.isArray(pack.entries)) {
+            throw new Error('Invalid lexicon pack: expected "name" and an "entries" array.');
+        }
+        const lang = (pack.lang || 'en').toLowerCase();
+        const entries = pack.entries
+            .filter(e => Array.isArray(e) && typeof e[0] === 'string' && Array.isArray(e[1]))
+            .map(e => expandEntry(e, lang));
+
+        for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+            await dbPutMany('lexicon', entries.slice(i, i + IMPORT_BATCH_SIZE));
+        }
+
+        const packs = (await dbGet('meta', 'lexiconPacks'))?.packs || {};
+        packs[pack.name] = { version: pack.version, lang, count: entries.length, importedAt: Date.now() };
+        await dbPut('meta', { key: 'lexiconPacks', packs });
+        return entries.length;
+    },
+
+    /**
+     * Imports the bundled pack if it is missing or out of date. Only the installed
+     * version is read when it is current, so this is cheap to call at startup too.
+     * Lookups don't wait for the import: until it is done they fall through to
+     * the dictionary providers.
+     * @returns {Promise<void>}
+     */
+    ensureLoaded() {
+        if (!loadingPromise) {
+            loadingPromise = (async () => {
+                const installed = (await dbGet('meta', 'lexiconPacks'))?.packs?.[BUNDLED_PACK.name];
+                if (installed && installed.version === BUNDLED_PACK.version) return;
+                const pack = await (await fetch(chrome.runtime.getURL(BUNDLED_PACK_URL))).json();
+                await this.importPack(pack);
+            })().catch(error => {
+                loadingPromise = null; // Retry on the next call
+                throw error;
+            });
+        }
+        return loadingPromise;
+    },
+
+    /**
+     * Looks up a word in the offline lexicon.
+     * @param {string} word
+     * @param {string} lang
+     * @returns {Promise<object|null>} A normalized entry, or null if the word isn't in any pack.
+     */
+    async lookup(word, lang) {
+        const record = await dbGet('lexicon', [lang, word.toLowerCase()]);
+        if (!record) return null;
+
+        const synonyms = new Set();
+        const antonyms = new Set();
+        record.meanings.forEach(group => group.definitions.forEach(d => {
+            d.synonyms.forEach(s => synonyms.add(s));
+            d.antonyms.forEach(a => antonyms.add(a));
+        }));
+
+        return {
+            word: record.word,
+            phonetic: undefined,
+            meaning: record.meanings[0].definitions[0].definition,
+            meanings: record.meanings,
+            synonyms: Array.from(synonyms),
+            antonyms: Array.from(antonyms),
+        };
+    },
+
+    /**
+     * Checks whether a word is a headword in the offline lexicon, without expanding the entry.
+     * @param {string} word
+     * @param {string} lang
+     * @returns {Promise<boolean>}
+     */
+    async has(word, lang) {
+        return Boolean(await dbGet('lexicon', [lang, word.toLowerCase()]));
+    },
+
+    /**
+     * Lists every headword of a language, for spelling suggestions.
+     * @param {string} lang
+     * @returns {Promise<Array<string>>}
+     */
+    async words(lang) {
+        const keys = await dbGetAllKeys('lexicon', IDBKeyRange.bound([lang, ''], [lang, '\uffff']));
+        return keys.map(([, word]) => word);
+    },
+
+    /**
+     * Describes the installed packs, for the options page.
+     * @returns {Promise<{packs: object, count: number}>}
+     */
+    async getInfo() {
+        const packs = (await dbGet('meta', 'lexiconPacks'))?.packs || {};
+        return { packs, count: await dbCount('lexicon') };
+    },
+};
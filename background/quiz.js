@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Quiz generation for WordUp.
+ *
+ * Builds multiple-choice meaning questions, fill-in-the-blank questions from
+ * the sentences words were found in, and synonym/antonym questions. Wrong
+ * options are taken from other cached dictionary entries. Results are kept
+ * per word, and words that are often missed are picked more often.
+ */
+
+'use strict';
+
+import { dbGetAll, dbGet, dbPut } from './db.js';
+import { senseFromEntry, vocabularyId } from './vocabulary.js';
+
+const OPTION_COUNT = 4; // Choices per multiple-choice question
+const BLANK = '_____';
+
+/**
+ * Shuffles a copy of an array.
+ * @param {Array} items
+ * @param {() => number} random
+ * @returns {Array}
+ */
+const shuffle = (items, random) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Merges notebook entries and cached lookups into one list of quiz words.
+ * Notebook entries win, but borrow synonyms and antonyms from the cache.
+ * @param {Array<object>} notebook Notebook entries.
+ * @param {Array<object>} cachedEntries Dictionary entries from the lookup cache.
+ * @returns {Array<object>} `{ id, word, lang, sense, context, synonyms, antonyms }`.
+ */
+export function collectQuizWords(notebook, cachedEntries) {
+    const words = new Map();
+    cachedEntries.filter(entry => entry?.word).forEach(entry => {
+        const lang = entry.lang || 'en';
+        words.set(vocabularyId(lang, entry.word), {
+            id: vocabularyId(lang, entry.word),
+            word: entry.word,
+            lang,
+            sense: senseFromEntry(entry),
+            context: entry.context || '',
+            synonyms: entry.synonyms || [],
+            antonyms: entry.antonyms || [],
+        });
+    });
+    notebook.forEach(entry => {
+        const cached = words.get(entry.id);
+        words.set(entry.id, {
+            id: entry.id,
+            word: entry.word,
+            lang: entry.lang,
+            sense: entry.sense,
+            context: entry.context || cached?.context || '',
+            synonyms: cached?.synonyms || [],
+            antonyms: cached?.antonyms || [],
+        });
+    });
+    return Array.from(words.values()).filter(word => word.sense.definition);
+}
+
+/**
+ * How likely a word is to be picked: unseen words and often-missed words weigh more.
+ * @param {object} [score] The word's quiz score.
+ * @returns {number}
+ */
+const pickWeight = (score) => {
+    if (!score || score.attempts === 0) return 2;
+    const wrong = score.attempts - score.correct;
+    return (1 + wrong * 2) / (1 + score.correct);
+};
+
+/**
+ * Draws up to `count` distinct words, weighted by `pickWeight`.
+ * @param {Array<object>} words
+ * @param {object} scores Quiz scores keyed by word id.
+ * @param {number} count
+ * @param {() => number} random
+ * @returns {Array<object>}
+ */
+const pickWords = (words, scores, count, random) => {
+    const pool = words.map(word => ({ word, weight: pickWeight(scores[word.id]) }));
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        const total = pool.reduce((sum, item) => sum + item.weight, 0);
+        let target = random() * total;
+        const index = pool.findIndex(item => (target -= item.weight) <= 0);
+        picked.push(pool.splice(index === -1 ? pool.length - 1 : index, 1)[0].word);
+    }
+    return picked;
+};
+
+/**
+ * "What does X mean?", with definitions of other words as the wrong options.
+ * Definitions with the same part of speech are preferred, so the answer can't be
+ * guessed from grammar alone.
+ */
+const buildMeaningQuestion = (target, words, random) => {
+    const others = words.filter(w => w.id !== target.id && w.sense.definition !== target.sense.definition);
+    const samePos = shuffle(others.filter(w => w.sense.partOfSpeech === target.sense.partOfSpeech), random);
+    const rest = shuffle(others.filter(w => w.sense.partOfSpeech !== target.sense.partOfSpeech), random);
+    const distractors = [...samePos, ...rest].slice(0, OPTION_COUNT - 1).map(w => w.sense.definition);
+    if (distractors.length < OPTION_COUNT - 1) return null;
+
+    const options = shuffle([target.sense.definition, ...distractors], random);
+    return {
+        type: 'meaning',
+        prompt: `What does “${target.word}” mean?`,
+        options,
+        answerIndex: options.indexOf(target.sense.definition),
+    };
+};
+
+/**
+ * A context sentence with the word blanked out, answered by typing the word.
+ * Forms that start with the word ("runs", "running") are blanked out too.
+ */
+const buildBlankQuestion = (target) => {
+    if (!target.context) return null;
+    const match = target.context.match(new RegExp(`(?<![\\p{L}])(${escapeRegExp(target.word)}[\\p{L}]*)`, 'iu'));
+    if (!match) return null;
+
+    return {
+        type: 'blank',
+        prompt: 'Fill in the blank.',
+        sentence: target.context.slice(0, match.index) + BLANK + target.context.slice(match.index + match[1].length),
+        hint: `${target.sense.partOfSpeech ? `(${target.sense.partOfSpeech}) ` : ''}${target.sense.definition}`,
+        accepted: Array.from(new Set([match[1].toLowerCase(), target.word.toLowerCase()])),
+    };
+};
+
+/**
+ * "Which word means the same as / the opposite of X?", with other quiz words as wrong options.
+ */
+const buildRelationQuestion = (target, words, random) => {
+    const relations = [
+        ...target.synonyms.map(word => ({ word, relation: 'synonym' })),
+        ...target.antonyms.map(word => ({ word, relation: 'antonym' })),
+    ].filter(r => r.word.toLowerCase() !== target.word.toLowerCase());
+    if (relations.length === 0) return null;
+
+    const { word: answer, relation } = relations[Math.floor(random() * relations.length)];
+    const related = new Set([target.word, ...target.synonyms, ...target.antonyms].map(w => w.toLowerCase()));
+    const distractors = shuffle(words.map(w => w.word).filter(w => !related.has(w.toLowerCase())), random)
+        .filter((w, i, all) => all.indexOf(w) === i)
+        .slice(0, OPTION_COUNT - 1);
+    if (distractors.length < OPTION_COUNT - 1) return null;
+
+    const options = shuffle([answer, ...distractors], random);
+    return {
+        type: 'relation',
+        prompt: relation === 'synonym'
+            ? `Which word means the same as “${target.word}”?`
+            : `Which word is the opposite of “${target.word}”?`,
+        options,
+        answerIndex: options.indexOf(answer),
+    };
+};
+
+const QUESTION_BUILDERS = [buildMeaningQuestion, buildBlankQuestion, buildRelationQuestion];
+
+/**
+ * Builds a quiz. Each picked word gets one question, of a type chosen at random
+ * among those its data allows.
+ * @param {Array<object>} words From `collectQuizWords`.
+ * @param {object} scores Quiz scores keyed by word id.
+ * @param {object} [options]
+ * @param {number} [options.count=10] Number of questions.
+ * @param {Set<string>} [options.targetIds] Only ask about these words (e.g. one deck);
+ *   all words are still used for wrong options.
+ * @param {() => number} [options.random=Math.random]
+ * @returns {Array<object>} Questions, each with the word's `id`, `word` and `definition` for the answer screen.
+ */
+export function buildQuiz(words, scores, { count = 10, targetIds, random = Math.random } = {}) {
+    const targets = targetIds ? words.filter(word => targetIds.has(word.id)) : words;
+    return pickWords(targets, scores, count, random)
+        .map(target => {
+            for (const build of shuffle(QUESTION_BUILDERS, random)) {
+                const question = build(target, words, random);
+                if (question) {
+                    return { ...question, id: target.id, word: target.word, definition: target.sense.definition };
+                }
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+export const quizScores = {
+    /**
+     * Reads every word's quiz score.
+     * @returns {Promise<object>} Scores keyed by word id.
+     */
+    async getAll() {
+        return Object.fromEntries((await dbGetAll('quizScores')).map(score => [score.id, score]));
+    },
+
+    /**
+     * Records one answer.
+     * @param {string} id The word id (`lang:word`).
+     * @param {string} word
+     * @param {boolean} correct
+     * @returns {Promise<object>} The updated score.
+     */
+    async record(id, word, correct) {
+        const existing = await dbGet('quizScores', id);
+        const score = {
+            id,
+            word,
+            attempts: (existing?.attempts || 0) + 1,
+            correct: (existing?.correct || 0) + (correct ? 1 : 0),
+            lastCorrect: correct,
+            lastAnsweredAt: Date.now(),
+        };
+        await dbPut('quizScores', score);
+        return score;
+    },
+};
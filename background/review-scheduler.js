@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Spaced-repetition review for WordUp.
+ *
+ * Notebook entries are scheduled with SM-2: each entry carries a `review`
+ * record (ease, interval, repetitions, due date) and every grade is appended
+ * to the `reviewLog` store. All state is in IndexedDB, so a review session
+ * survives the service worker being stopped.
+ */
+
+'use strict';
+
+import { dbGet, dbGetAll, dbPut } from './db.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000; // A forgotten word comes back after 10 minutes
+const MIN_EASE = 1.3;
+const INITIAL_EASE = 2.5;
+const MASTERED_INTERVAL = 21; // Days between reviews from which a word counts as mastered
+
+// Grades offered on the review page, on SM-2's 0–5 scale.
+export const GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5,
+};
+
+export const DEFAULT_REVIEW_SETTINGS = {
+    newPerDay: 10, // Words reviewed for the first time per day
+    reviewsPerDay: 100, // Repeat reviews per day
+    notifications: true,
+};
+
+/**
+ * Applies one SM-2 step to a card's scheduling state.
+ * @param {object} [state] The card's current `review` record; omitted for a new card.
+ * @param {number} grade 0–5; below 3 means the word was forgotten.
+ * @param {number} [now=Date.now()]
+ * @returns {{ease: number, interval: number, repetitions: number, lapses: number, due: number, lastReviewedAt: number}}
+ */
+export function sm2(state = {}, grade, now = Date.now()) {
+    let { ease = INITIAL_EASE, interval = 0, repetitions = 0, lapses = 0 } = state;
+
+    if (grade < 3) {
+        repetitions = 0;
+        interval = 1;
+        lapses += 1;
+    } else {
+        repetitions += 1;
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+    }
+    ease = Math.max(MIN_EASE, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        lapses,
+        due: grade < 3 ? now + RELEARN_DELAY : now + interval * DAY,
+        lastReviewedAt: now,
+    };
+}
+
+/**
+ * Where a notebook entry is in learning: never reviewed, being learned, or
+ * known well enough to be reviewed only every few weeks.
+ * @param {object} entry A notebook entry.
+ * @returns {'new'|'learning'|'mastered'}
+ */
+export function learningStatus(entry) {
+    if (!entry.review) return 'new';
+    return entry.review.interval >= MASTERED_INTERVAL ? 'mastered' : 'learning';
+}
+
+/**
+ * The local midnight that started the day containing `now`.
+ * @param {number} now
+ * @returns {number}
+ */
+const startOfDay = (now) => {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+};
+
+export const reviewScheduler = {
+    /**
+     * Counts today's reviews, split into first-time and repeat reviews.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<{newToday: number, reviewsToday: number}>}
+     */
+    async getTodayCounts(now = Date.now()) {
+        const logs = await dbGetAll('reviewLog', 'reviewedAt', IDBKeyRange.lowerBound(startOfDay(now)));
+        const newToday = logs.filter(log => log.wasNew).length;
+        return { newToday, reviewsToday: logs.length - newToday };
+    },
+
+    /**
+     * Builds today's review queue: due cards first (most overdue first), then new
+     * cards in the order they were saved, each within its daily limit. The daily
+     * limits are shared by all decks.
+     * @param {object} settings `{ newPerDay, reviewsPerDay }`.
+     * @param {number} [now=Date.now()]
+     * @param {string} [deck] Only queue cards from this deck.
+     * @returns {Promise<{cards: Array<object>, dueCount: number, newCount: number, newToday: number, reviewsToday: number}>}
+     */
+    async getQueue(settings, now = Date.now(), deck = '') {
+        const { newToday, reviewsToday } = await this.getTodayCounts(now);
+        const inDeck = entry => !deck || entry.deck === deck;
+        const due = (await dbGetAll('vocabulary', 'due', IDBKeyRange.upperBound(now))).filter(inDeck);
+        const fresh = (await dbGetAll('vocabulary')).filter(entry => !entry.review && inDeck(entry))
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        const dueCards = due.slice(0, Math.max(0, settings.reviewsPerDay - reviewsToday));
+        const newCards = fresh.slice(0, Math.max(0, settings.newPerDay - newToday));
+        return {
+            cards: [...dueCards, ...newCards],
+            dueCount: dueCards.length,
+            newCount: newCards.length,
+            newToday,
+            reviewsToday,
+        };
+    },
+
+    /**
+     * Grades a card, reschedules it and logs the review.
+     * @param {string} id The notebook entry id.
+     * @param {number} grade 0–5.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<object>} The updated notebook entry.
+     * @throws {Error} If the entry doesn't exist or the grade is out of range.
+     */
+    async grade(id, grade, now = Date.now()) {
+        if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+            throw new Error(`Invalid grade: ${grade}`);
+        }
+        const entry = await dbGet('vocabulary', id);
+        if (!entry) throw new Error('This word is no longer in your notebook.');
+
+        const review = sm2(entry.review, grade, now);
+        const updated = { ...entry, review };
+        await dbPut('vocabulary', updated);
+        await dbPut('reviewLog', {
+            cardId: id,
+            grade,
+            wasNew: !entry.review,
+            interval: review.interval,
+            ease: review.ease,
+            reviewedAt: now,
+        });
+        return updated;
+    },
+
+    /**
+     * Previews the next interval for each grade, for labelling the grade buttons.
+     * @param {object} [state] The card's `review` record.
+     * @param {number} [now=Date.now()]
+     * @returns {object} Milliseconds until the card is due again, keyed like `GRADES`.
+     */
+    previewIntervals(state, now = Date.now()) {
+        return Object.fromEntries(Object.entries(GRADES)
+            .map(([name, grade]) => [name, sm2(state, grade, now).due - now]));
+    },
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Rewrite presets for WordUp.
+ *
+ * A preset is a named rewrite style (a tone like "Formal", or anything else
+ * the user describes) with its own Gemini prompt template, temperature and
+ * length limit, and an optional keyboard shortcut that rewrites the selection
+ * directly (shortcuts are described by content/shortcut-keys.js). Presets are edited and ordered on the options page; the card
+ * lists them in that order.
+ */
+
+'use strict';
+
+/**
+ * Placeholders a prompt template can use, filled in for every rewrite.
+ */
+export const PROMPT_PLACEHOLDERS = {
+    text: 'The selected text',
+    context: 'The paragraph the selection is in',
+    title: 'The page title',
+};
+
+const tonePrompt = (tone) => `Rewrite the following text in a ${tone} tone. Provide ONLY the rewritten text, with no additional commentary, introductory phrases, or explanations. Do not include quotation marks around the rewritten text. Original text: "{{text}}"`;
+
+export const MAX_CANDIDATES = 4; // Most alternatives asked for per rewrite
+
+export const DEFAULT_PRESET_SETTINGS = {
+    temperature: 0.7,
+    maxTokens: 1024, // Longest rewrite, in Gemini tokens (roughly ¾ of a word each)
+    candidates: 1, // Alternatives to page through on the card; each one costs tokens
+    shortcut: '',
+};
+
+// Shortcuts WordUp already uses on pages.
+export const RESERVED_SHORTCUTS = ['Ctrl+Shift+L'];
+
+export const DEFAULT_REWRITE_PRESETS = [
+    { id: 'formal', name: 'Formal', prompt: tonePrompt('Formal'), ...DEFAULT_PRESET_SETTINGS },
+    { id: 'casual', name: 'Casual', prompt: tonePrompt('Casual'), ...DEFAULT_PRESET_SETTINGS },
+    { id: 'professional', name: 'Professional', prompt: tonePrompt('Professional'), ...DEFAULT_PRESET_SETTINGS },
+];
+
+/**
+ * Fills the `{{placeholder}}` slots of a prompt template. Unknown placeholders
+ * are left as they are.
+ * @param {string} template
+ * @param {{text: string, context?: string, title?: string}} values
+ * @returns {string}
+ */
+export function fillPromptTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+        Object.hasOwn(PROMPT_PLACEHOLDERS, name) ? values[name] || '' : placeholder
+    ));
+}
+
+/**
+ * Finds the preset to rewrite with. A `tone` that is not a preset id (as sent
+ * before presets existed) is rewritten with the default tone prompt.
+ * @param {Array<object>} presets The user's presets, in order.
+ * @param {string} id A preset id, or a tone.
+ * @returns {object}
+ */
+export function findPreset(presets, id) {
+    return presets.find(preset => preset.id === id)
+        || { id, name: id, prompt: tonePrompt(id), ...DEFAULT_PRESET_SETTINGS };
+}
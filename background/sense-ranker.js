@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Sense disambiguation for WordUp.
+ *
+ * Given a normalized dictionary entry and the sentence the word was selected
+ * from, picks the sense that best fits. The service worker asks Gemini when a
+ * key is configured and falls back to the local heuristic in this file.
+ */
+
+'use strict';
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'at', 'by', 'for', 'with', 'about', 'to', 'from',
+    'in', 'on', 'up', 'out', 'over', 'under', 'into', 'as', 'is', 'are', 'was', 'were', 'be', 'been',
+    'being', 'have', 'has', 'had', 'do', 'does', 'did', 'it', 'its', 'this', 'that', 'these', 'those',
+    'i', 'you', 'he', 'she', 'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your', 'his',
+    'our', 'their', 'not', 'no', 'so', 'than', 'too', 'very', 'can', 'will', 'just', 'should', 'would',
+    'could', 'which', 'who', 'whom', 'what', 'when', 'where', 'why', 'how', 'all', 'any', 'some',
+    'such', 'one', 'used', 'something', 'someone', 'especially', 'also', 'there', 'then',
+]);
+
+// Words that usually signal the part of speech of the word that follows them.
+const POS_CUES = {
+    noun: new Set(['a', 'an', 'the', 'this', 'that', 'my', 'your', 'his', 'her', 'our', 'their', 'its']),
+    verb: new Set(['to', 'will', 'would', 'can', 'could', 'should', 'must', 'might', 'may', 'did', 'does']),
+};
+
+/**
+ * Splits text into lowercase content words, dropping stopwords and very short tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const contentWords = (text) => (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token));
+
+/**
+ * A crude stem so "rivers" matches "river" and "flowing" matches "flow".
+ * @param {string} word
+ * @returns {string}
+ */
+const stem = (word) => word.replace(/(ing|ed|es|s|ly)$/, '').slice(0, 6);
+
+/**
+ * Flattens an entry's meaning groups into a list of senses with their positions.
+ * @param {object} entry A normalized dictionary entry.
+ * @returns {Array<object>}
+ */
+export function flattenSenses(entry) {
+    return (entry.meanings || []).flatMap((group, meaningIndex) =>
+        group.definitions.map((sense, definitionIndex) => ({
+            meaningIndex,
+            definitionIndex,
+            partOfSpeech: group.partOfSpeech,
+            ...sense,
+        })));
+}
+
+/**
+ * Guesses the part of speech of `word` in `context` from the word right before it.
+ * @param {string} word The word as it appears in the context.
+ * @param {string} context
+ * @returns {string|null}
+ */
+const guessPartOfSpeech = (word, context) => {
+    const tokens = context.toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+    const index = tokens.indexOf(word.toLowerCase());
+    if (index <= 0) return null;
+    const previous = tokens[index - 1];
+    return Object.keys(POS_CUES).find(pos => POS_CUES[pos].has(previous)) || null;
+};
+
+/**
+ * Scores each sense by how many content words it shares with the context,
+ * with a small bonus for the expected part of speech and for earlier (more common) senses.
+ * @param {object} entry A normalized dictionary entry.
+ * @param {string} context The sentence the word was selected from.
+ * @param {string} [query] The word as it appears in the sentence, if not the headword.
+ * @returns {object|null} The best sense, or null if the entry has no senses.
+ */
+export function rankSensesHeuristically(entry, context, query) {
+    const senses = flattenSenses(entry);
+    if (senses.length === 0) return null;
+
+    const word = (query || entry.word || '').toLowerCase();
+    const contextStems = new Set(contentWords(context).filter(w => w !== word).map(stem));
+    const expectedPos = guessPartOfSpeech(word, context);
+
+    let best = senses[0];
+    let bestScore = -Infinity;
+    senses.forEach((sense, index) => {
+        const senseText = [sense.definition, sense.example, ...(sense.synonyms || [])].join(' ');
+        const overlap = new Set(contentWords(senseText).map(stem).filter(s => contextStems.has(s))).size;
+        const posBonus = expectedPos && sense.partOfSpeech === expectedPos ? 0.5 : 0;
+        const orderBonus = 0.2 / (index + 1);
+        const score = overlap + posBonus + orderBonus;
+        if (score > bestScore) {
+            best = sense;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Builds the Gemini prompt asking for the number of the best-fitting sense.
+ * @param {object} entry A normalized dictionary entry.
+ * @param {string} context The sentence the word was selected from.
+ * @param {string} [query] The word as it appears in the sentence, if not the headword.
+ * @returns {string}
+ */
+export function buildSenseRankingPrompt(entry, context, query) {
+    const list = flattenSenses(entry)
+        .map((sense, index) => `${index + 1}. (${sense.partOfSpeech}) ${sense.definition}`)
+        .join('\n');
+    const word = query && query !== entry.word ? `"${query}" (a form of "${entry.word}")` : `"${entry.word}"`;
+    return `The word ${word} appears in this sentence: "${context}"\n\n` +
+        `Which of the following senses best matches how the word is used in that sentence?\n${list}\n\n` +
+        'Reply with ONLY the number of the best sense, with no other text.';
+}
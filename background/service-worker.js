@@ -9,17 +9,65 @@
 
 'use strict';
 
+import {
+    DEFAULT_DICTIONARY_PROVIDERS,
+    buildProviderUrl,
+    dictionaryAdapters,
+    migrateProviders,
+    providerSupportsLanguage,
+} from './dictionary-providers.js';
+import {
+    buildSenseRankingPrompt,
+    flattenSenses,
+    rankSensesHeuristically,
+} from './sense-ranker.js';
+import { DEFAULT_TRANSLATION_PROVIDER, translationAdapters } from './translation-providers.js';
+import { offlineLexicon } from './offline-lexicon.js';
+import { isSingularPossessive, lemmatize, normalizeToken } from './normalizer.js';
+import { ACCENTS, pickPronunciation, playAudio, speakText } from './speech.js';
+import { vocabulary } from './vocabulary.js';
+import { DEFAULT_REVIEW_SETTINGS, GRADES, learningStatus, reviewScheduler } from './review-scheduler.js';
+import { buildQuiz, collectQuizWords, quizScores } from './quiz.js';
+import { DEFAULT_WORD_OF_THE_DAY_SETTINGS, nextOccurrence, wordOfTheDay } from './word-of-the-day.js';
+import { lookupLog } from './lookup-log.js';
+import { lookupHistory } from './lookup-history.js';
+import { wordSuggestions } from './word-suggestions.js';
+import { DEFAULT_PRESET_SETTINGS, DEFAULT_REWRITE_PRESETS, fillPromptTemplate, findPreset } from './rewrite-presets.js';
+import { buildStatistics } from './statistics.js';
+import { dbGet, dbGetAll, dbPut } from './db.js';
+
 // --- Configuration ---
 // These would be set in the options page and stored in chrome.storage.
+const DEFAULT_API_BASE_URLS = {
+    thesaurus: 'https://api.datamuse.com/words', // Datamuse; English only
+    toneRewrite: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    toneRewriteStream: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:streamGenerateContent',
+};
+
 const config = {
-    apiBaseUrls: {
-        dictionary: 'https://api.dictionaryapi.dev/api/v2/entries/en/',
-        dictionary_fallback: 'https://api.example-fallback-dictionary.com/v1/', // Example fallback
-        // Placeholder for other APIs
-        thesaurus: 'https://api.example-thesaurus.com/v1/',
-        translation: 'https://api.example-translation.com/v2/',
-        toneRewrite: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    apiBaseUrls: { ...DEFAULT_API_BASE_URLS },
+    // Ordered list of dictionary providers; each one is tried until one answers.
+    dictionaryProviders: DEFAULT_DICTIONARY_PROVIDERS.map(p => ({ ...p })),
+    providerTimeout: 5000, // Per-provider request timeout in milliseconds
+    // Answer from the offline lexicon before trying the network. When false, the
+    // offline lexicon is only used after every network provider has failed.
+    preferOffline: false,
+    // Which translation adapter to use and an optional endpoint override (e.g. a self-hosted server).
+    translationProvider: { ...DEFAULT_TRANSLATION_PROVIDER },
+    // The user's own language and the one they are learning. Lookups with no detected
+    // language are treated as the target language.
+    languages: {
+        native: 'en',
+        target: 'en',
     },
+    accent: 'us', // Preferred English pronunciation, a key of ACCENTS
+    // Spaced-repetition limits and whether to notify when words are due.
+    review: { ...DEFAULT_REVIEW_SETTINGS },
+    // Daily word notification: on/off, local time and which list to pick from.
+    wordOfTheDay: { ...DEFAULT_WORD_OF_THE_DAY_SETTINGS },
+    // Underline notebook words on web pages (opt-in). Sites can override this
+    // through the `annotationSites` map, which the content script reads directly.
+    annotatePages: false,
     apiKeys: {
         thesaurus: null,
         translation: null,
@@ -85,6 +133,23 @@ const persistentCache = {
             logError('persistentCache.set', { error });
         }
     },
+    /**
+     * Reads every unexpired value whose key starts with `prefix`.
+     * @param {string} prefix
+     * @returns {Promise<Array<*>>}
+     */
+    async values(prefix) {
+        try {
+            const items = await chrome.storage.local.get(null);
+            const now = Date.now();
+            return Object.keys(items)
+                .filter(key => key.startsWith(prefix) && items[key]?.expires > now)
+                .map(key => items[key].value);
+        } catch (error) {
+            logError('persistentCache.values', { error });
+            return [];
+        }
+    },
 };
 
 // --- Rate Limiter ---
@@ -142,6 +207,148 @@ function logError(source, details) {
     console.error('WordUp Error:', errorRecord);
 }
 
+/**
+ * Wraps `fetch` with an abort timeout so a slow endpoint can't stall the provider chain.
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @param {number} [timeout]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}, timeout = config.providerTimeout) {
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request timed out after ${timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timerId);
+    }
+}
+
+/**
+ * Returns the enabled dictionary providers for a language, in the user's order, that have a known adapter.
+ * @param {string} lang The language code of the lookup.
+ * @returns {Array<object>}
+ */
+function getDictionaryProviders(lang) {
+    const providers = Array.isArray(config.dictionaryProviders) && config.dictionaryProviders.length > 0
+        ? config.dictionaryProviders
+        : DEFAULT_DICTIONARY_PROVIDERS;
+    return providers.filter(p => p.enabled !== false && dictionaryAdapters[p.adapter] && providerSupportsLanguage(p, lang));
+}
+
+// The bundled/imported offline lexicon, presented like any other provider.
+const OFFLINE_PROVIDER = { id: 'offline', name: 'Offline dictionary' };
+
+// Related words are extras, so a lookup waits much less for them than for a dictionary.
+const THESAURUS_TIMEOUT = 1500;
+
+/**
+ * Resolves the language of a lookup, falling back to the user's target language.
+ * @param {string} [lang] The detected language, if any.
+ * @returns {string}
+ */
+function resolveLanguage(lang) {
+    return (lang || config.languages?.target || 'en').toLowerCase();
+}
+
+/**
+ * Reduces a normalized query to the headword that is looked up and cached.
+ * Only English has lemmatization rules; suffix-rule guesses are checked
+ * against the offline lexicon.
+ * @param {string} query A normalized query.
+ * @param {string} lang The language code.
+ * @param {string} text The raw selection the query was normalized from.
+ * @returns {Promise<string>}
+ */
+async function resolveLemma(query, lang, text) {
+    if (lang !== 'en') return query;
+    return lemmatize(query, word => offlineLexicon.has(word, lang).catch(() => false), {
+        singular: isSingularPossessive(text),
+    });
+}
+
+/**
+ * Adds a lookup to the event log and the user's lookup history. Failures to
+ * write are only logged, so neither can ever break a lookup.
+ * @param {object} response The `lookupMeaning` response.
+ * @param {object} payload The lookup message payload.
+ * @param {chrome.runtime.MessageSender} sender
+ */
+function recordLookup(response, payload, sender) {
+    let site = '';
+    try {
+        if (sender.tab?.url) site = new URL(sender.tab.url).hostname;
+    } catch (e) {
+        // Not a URL with a host (e.g. a local file); leave the site empty.
+    }
+    const query = normalizeToken(payload.text);
+    const word = response.success ? response.data.word : query;
+    if (!word) return;
+    const lookup = {
+        word,
+        ...(response.success && query !== word ? { query } : {}),
+        lang: (response.success && response.data.lang) || resolveLanguage(payload.lang),
+        found: Boolean(response.success),
+    };
+    lookupLog.record({
+        ...lookup,
+        site,
+        cacheHit: response.source === 'session' || response.source === 'persistent',
+    }).catch(error => logError('lookupLog.record', { error: error.message }));
+    lookupHistory.add({
+        ...lookup,
+        url: sender.tab?.url || '',
+        title: sender.tab?.title || '',
+    }).catch(error => logError('lookupHistory.add', { error: error.message }));
+}
+
+/**
+ * Builds a minimal dictionary entry from a notebook entry, for words whose
+ * cached lookup has expired.
+ * @param {object} saved A notebook entry.
+ * @returns {object}
+ */
+function entryFromNotebook(saved) {
+    const { partOfSpeech, definition, example } = saved.sense;
+    return {
+        word: saved.word,
+        lang: saved.lang,
+        phonetic: saved.phonetic,
+        meaning: definition,
+        meanings: [{ partOfSpeech, definitions: [{ definition, ...(example ? { example } : {}) }] }],
+        synonyms: [],
+        antonyms: [],
+        provider: 'notebook',
+    };
+}
+
+/**
+ * Seeds a provider list from a pre-provider config that only had a single dictionary URL.
+ * @param {string} [legacyUrl] The old `apiBaseUrls.dictionary` value, if any.
+ * @returns {Array<object>}
+ */
+function migrateLegacyDictionaryUrl(legacyUrl) {
+    return DEFAULT_DICTIONARY_PROVIDERS.map(p => (
+        legacyUrl && p.id === 'free-dictionary' ? { ...p, url: legacyUrl } : { ...p }
+    ));
+}
+
+/**
+ * Seeds the translation provider from a config that only had `apiBaseUrls.translation`.
+ * The shipped placeholder endpoint is dropped; a URL the user set becomes the override.
+ * @param {string} [legacyUrl] The old `apiBaseUrls.translation` value, if any.
+ * @returns {object}
+ */
+function migrateLegacyTranslationUrl(legacyUrl) {
+    const url = legacyUrl && !legacyUrl.includes('api.example-translation.com') ? legacyUrl : '';
+    return { ...DEFAULT_TRANSLATION_PROVIDER, url };
+}
+
 function getStatus() {
     return {
         errorLogs,
@@ -150,146 +357,658 @@ function getStatus() {
     };
 }
 
+/**
+ * Reads the user's rewrite presets. They are kept in their own sync item,
+ * since long prompt templates could push `config` past the per-item quota.
+ * @returns {Promise<Array<object>>}
+ */
+async function getRewritePresets() {
+    const { rewritePresets } = await chrome.storage.sync.get('rewritePresets');
+    const presets = rewritePresets && rewritePresets.length > 0 ? rewritePresets : DEFAULT_REWRITE_PRESETS;
+    // Presets saved before a setting existed get its default.
+    return presets.map(preset => ({ ...DEFAULT_PRESET_SETTINGS, ...preset }));
+}
+
+/**
+ * Reads the error message of a failed Gemini request.
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readGeminiError(response) {
+    let errorDetails = `HTTP error! status: ${response.status}`;
+    try {
+        const errorData = await response.json();
+        // Google API errors often have a structure like { error: { message: '...' } }
+        if (errorData.error && errorData.error.message) {
+            // Shorten the Google API error for better display in the UI
+            errorDetails = errorData.error.message.split(' API key')[0];
+        }
+    } catch (e) {
+        // Response body was not JSON, stick with the status code
+    }
+    return errorDetails;
+}
+
+/**
+ * Reads a server-sent event stream, passing the data of each event on as it arrives.
+ * @param {Response} response
+ * @param {function(string): void} onData
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+async function readServerSentEvents(response, onData) {
+    const emit = (event) => {
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        if (data) onData(data);
+    };
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop(); // The last event may not be complete yet
+        events.forEach(emit);
+    }
+    emit(buffer);
+}
 
 // --- API Handlers ---
 const api = {
     /**
-     * Fetches the meaning of a word.
-     * @param {string} text The word to look up.
+     * Fetches the meaning of a word. The selection is normalized and reduced to its
+     * lemma first, so "Running," and "runs" share the cache entry for "run". When the
+     * surrounding sentence is given, the senses are ranked against it and the choice
+     * is cached with the entry.
+     * @param {string} text The word as selected.
+     * @param {object} [options]
+     * @param {string} [options.context] The sentence the word was selected from.
+     * @param {string} [options.lang] The detected language; defaults to the user's target language.
+     * @param {boolean} [options.cacheOnly] Answer from the caches or the notebook only, without
+     *   any network request (used when hovering highlighted words).
      * @returns {Promise<object>} A promise that resolves to the sanitized API response.
+     *   `data.query` holds the normalized selection when it differs from the headword, and
+     *   `data.pronunciation` the pronunciation for the user's preferred accent, and
+     *   `data.saved` whether the word is in the notebook, with its id, tags and deck in `data.notebook`.
+     *   When no dictionary knows a single word, the failed response carries "did you mean" `suggestions`.
      */
-    async lookupMeaning(text) {
-        const cacheKey = `meaning_${text.toLowerCase()}`;
-        
+    async lookupMeaning(text, { context, lang, cacheOnly = false } = {}) {
+        lang = resolveLanguage(lang);
+        const query = normalizeToken(text);
+        if (!query) {
+            return { success: false, error: 'Nothing to look up.' };
+        }
+        const lemma = await resolveLemma(query, lang, text);
+        const cacheKey = `meaning_${lang}_${lemma}`;
+        // The cached entry is shared by every form of the word; the query, the
+        // pronunciation for the current accent setting and the notebook state are added per lookup.
+        const present = async (entry) => {
+            const saved = await vocabulary.get(entry.lang || lang, entry.word).catch(() => undefined);
+            return {
+                ...entry,
+                ...(query !== entry.word ? { query } : {}),
+                pronunciation: pickPronunciation(entry.pronunciations, config.accent),
+                saved: Boolean(saved),
+                ...(saved ? { notebook: { id: saved.id, tags: saved.tags || [], deck: saved.deck || '' } } : {}),
+            };
+        };
+
         // 1. Check session cache
         let data = sessionCache.get(cacheKey);
-        if (data) return { success: true, data, source: 'session' };
+        if (data) {
+            data = await this.applyContext(cacheKey, data, context, query);
+            return { success: true, type: 'definition', data: await present(data), source: 'session', provider: data.provider };
+        }
 
         // 2. Check persistent cache
         data = await persistentCache.get(cacheKey);
         if (data) {
             sessionCache.set(cacheKey, data); // Hydrate session cache
-            return { success: true, data, source: 'persistent' };
+            data = await this.applyContext(cacheKey, data, context, query);
+            return { success: true, type: 'definition', data: await present(data), source: 'persistent', provider: data.provider };
+        }
+
+        if (cacheOnly) {
+            try {
+                const saved = await vocabulary.get(lang, lemma) || await vocabulary.get(lang, query);
+                if (saved) {
+                    return { success: true, type: 'definition', data: await present(entryFromNotebook(saved)), source: 'notebook', provider: 'notebook' };
+                }
+            } catch (e) {
+                logError('api.lookupMeaning', { query, error: e.message });
+            }
+            return { success: false, error: 'This word is not in the cache.' };
         }
 
-        // 3. Fetch from API
+        // 3. Fetch from the provider chain, falling back to the form as selected
+        // in case the lemma was a wrong guess.
         return new Promise(resolve => {
             rateLimiter.add(async () => {
-                let responseData = null;
-                let error = null;
-
-                // --- Attempt 1: Primary API ---
                 try {
-                    const response = await fetch(`${config.apiBaseUrls.dictionary}${text}`);
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! status: ${response.status}`);
+                    // Ask the thesaurus alongside the dictionaries instead of after them.
+                    const relatedTo = (word) => (navigator.onLine
+                        ? this.lookupThesaurus(word, { lang, entry: {}, timeout: THESAURUS_TIMEOUT })
+                            .catch(() => ({ success: false }))
+                        : Promise.resolve({ success: false }));
+                    const related = relatedTo(lemma);
+                    let responseData = await this.queryDictionaryProviders(lemma, lang);
+                    if (!responseData && lemma !== query) {
+                        responseData = await this.queryDictionaryProviders(query, lang);
+                    }
+                    // Dictionaries cover few idioms and names, so let Gemini explain what they miss.
+                    if (!responseData && query.includes(' ') && config.apiKeys.gemini) {
+                        responseData = await this.explainPhrase(query, { context, lang });
                     }
-                    const rawData = await response.json();
-                    responseData = this.sanitizeDictionaryResponse(rawData);
-                } catch (e) {
-                    error = e;
-                    logError('api.lookupMeaning (Primary)', { text, error: e.message });
-                    // Don't resolve yet, try the fallback
-                }
 
-                // --- Attempt 2: Fallback API (if primary failed) ---
-                // if (!responseData) {
-                //     console.log('Primary API failed, trying fallback...');
-                //     try {
-                //         // const fallbackResponse = await fetch(`${config.apiBaseUrls.dictionary_fallback}${text}`);
-                //         // ... handle fallback response and sanitization ...
-                //     } catch (e) {
-                //         logError('api.lookupMeaning (Fallback)', { text, error: e.message });
-                //     }
-                // }
-
-                if (responseData) {
-                    sessionCache.set(cacheKey, responseData);
-                    await persistentCache.set(cacheKey, responseData);
-                    resolve({ success: true, type: 'definition', data: responseData, source: 'api' });
-                } else {
+                    if (responseData) {
+                        const thesaurus = await (responseData.word === lemma ? related : relatedTo(responseData.word));
+                        if (thesaurus.success) {
+                            const merge = (own = [], found) => Array.from(new Set([...own, ...found]));
+                            responseData = {
+                                ...responseData,
+                                synonyms: merge(responseData.synonyms, thesaurus.data.synonyms),
+                                antonyms: merge(responseData.antonyms, thesaurus.data.antonyms),
+                            };
+                        }
+                        if (context) {
+                            responseData = await this.rankSenses(responseData, context, query);
+                        }
+                        sessionCache.set(cacheKey, responseData);
+                        await persistentCache.set(cacheKey, responseData);
+                        resolve({ success: true, type: 'definition', data: await present(responseData), source: 'api', provider: responseData.provider });
+                    } else {
+                        resolve({ success: false, error: 'Failed to fetch definition.', suggestions: await this.suggestSpellings(query, lang) });
+                    }
+                } catch (e) {
+                    logError('api.lookupMeaning', { query, error: e.message });
                     resolve({ success: false, error: 'Failed to fetch definition.' });
                 }
             });
         });
     },
 
-    sanitizeDictionaryResponse(data) {
-        if (!Array.isArray(data) || data.length === 0) return null;
-        const firstResult = data[0];
-        const meaning = firstResult.meanings?.[0]?.definitions?.[0]?.definition;
-        const allSynonyms = new Set();
-        const allAntonyms = new Set();
+    /**
+     * Suggests spellings for a word no dictionary found. Phrases get none, and a
+     * failure only costs the suggestions.
+     * @param {string} query A normalized query.
+     * @param {string} lang The language code.
+     * @returns {Promise<Array<string>>}
+     */
+    async suggestSpellings(query, lang) {
+        if (query.includes(' ')) return [];
+        try {
+            return await wordSuggestions.didYouMean(query, lang);
+        } catch (e) {
+            logError('api.suggestSpellings', { query, error: e.message });
+            return [];
+        }
+    },
 
-        if (!meaning) return null;
+    /**
+     * Re-ranks a cached entry when it is looked up from a different sentence,
+     * and stores the new choice back in both caches.
+     * @param {string} cacheKey
+     * @param {object} data The cached entry.
+     * @param {string} [context]
+     * @param {string} [query] The word as it appears in the context.
+     * @returns {Promise<object>}
+     */
+    async applyContext(cacheKey, data, context, query) {
+        if (!context || data.context === context) return data;
+        const ranked = await this.rankSenses(data, context, query);
+        sessionCache.set(cacheKey, ranked);
+        await persistentCache.set(cacheKey, ranked);
+        return ranked;
+    },
 
-        // Collect all unique synonyms and antonyms from all meaning groups
-        firstResult.meanings?.forEach(m => {
-            m.synonyms?.forEach(s => allSynonyms.add(s));
-            m.antonyms?.forEach(a => allAntonyms.add(a));
+    /**
+     * Tries each enabled dictionary provider in order. HTTP errors, timeouts and
+     * empty results all move on to the next provider. The offline lexicon answers
+     * first when the user prefers it, and otherwise catches whatever the network missed.
+     * @param {string} text The word to look up.
+     * @param {string} lang The language code.
+     * @returns {Promise<object|null>} The normalized entry tagged with the answering provider, or null.
+     */
+    async queryDictionaryProviders(text, lang) {
+        if (config.preferOffline) {
+            const offlineEntry = await this.queryOfflineLexicon(text, lang);
+            if (offlineEntry) return offlineEntry;
+        }
+
+        // Skip straight to the fallback when the browser knows it is offline, rather than waiting on timeouts.
+        const providers = navigator.onLine ? getDictionaryProviders(lang) : [];
+        for (const provider of providers) {
+            const adapter = dictionaryAdapters[provider.adapter];
+            try {
+                const response = await fetchWithTimeout(buildProviderUrl(provider, text, lang));
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const entry = adapter.normalize(await response.json(), text, lang);
+                if (entry) {
+                    return { ...entry, lang, provider: provider.id, providerName: provider.name };
+                }
+                logError(`api.lookupMeaning (${provider.name})`, { text, error: 'Empty result' });
+            } catch (e) {
+                logError(`api.lookupMeaning (${provider.name})`, { text, error: e.message });
+            }
+        }
+
+        return config.preferOffline ? null : this.queryOfflineLexicon(text, lang);
+    },
+
+    /**
+     * Looks a word up in the offline lexicon.
+     * @param {string} text The word to look up.
+     * @param {string} lang The language code.
+     * @returns {Promise<object|null>}
+     */
+    async queryOfflineLexicon(text, lang) {
+        try {
+            const entry = await offlineLexicon.lookup(text, lang);
+            return entry ? { ...entry, lang, provider: OFFLINE_PROVIDER.id, providerName: OFFLINE_PROVIDER.name } : null;
+        } catch (e) {
+            logError(`api.lookupMeaning (${OFFLINE_PROVIDER.name})`, { text, error: e.message });
+            return null;
+        }
+    },
+
+    /**
+     * Reads text aloud: the dictionary recording when there is one, and
+     * synthesized speech otherwise (or if the recording fails to play).
+     * @param {string} text The word or sentence to speak.
+     * @param {object} [options]
+     * @param {string} [options.lang] The language code of the text.
+     * @param {string} [options.audio] URL of a pronunciation recording.
+     * @returns {Promise<object>} `{ success, method: 'audio' | 'tts' }`.
+     */
+    async speak(text, { lang, audio } = {}) {
+        lang = resolveLanguage(lang);
+        if (audio) {
+            try {
+                await playAudio(audio);
+                return { success: true, method: 'audio' };
+            } catch (error) {
+                logError('api.speak (audio)', { audio, error: error.message });
+            }
+        }
+        const locale = lang === 'en' ? (ACCENTS[config.accent] || ACCENTS.us).locale : lang;
+        try {
+            await speakText(text, locale);
+            return { success: true, method: 'tts' };
+        } catch (error) {
+            logError('api.speak (tts)', { text, error: error.message });
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Asks Gemini to explain a phrase or idiom that no dictionary knows, in the
+     * shape of a dictionary entry.
+     * @param {string} phrase The normalized phrase.
+     * @param {object} [options]
+     * @param {string} [options.context] The sentence the phrase was selected from.
+     * @param {string} [options.lang] The language code.
+     * @returns {Promise<object|null>} A normalized entry, or null if Gemini fails.
+     */
+    async explainPhrase(phrase, { context, lang } = {}) {
+        try {
+            const languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(lang || 'en');
+            const prompt = `Explain the meaning of the ${languageName} phrase "${phrase}"` +
+                (context ? ` as it is used in this sentence: "${context}"` : '') + '. ' +
+                'Reply with ONLY a JSON object of the form ' +
+                '{"kind": "idiom" | "phrase" | "proper noun", "definition": "...", "example": "..."}, ' +
+                'where the definition is one short dictionary-style sentence and the example is a new sentence using the phrase.';
+            const reply = JSON.parse(await this.callGemini(prompt, { temperature: 0.2, responseMimeType: 'application/json' }));
+            if (!reply.definition) return null;
+            return {
+                word: phrase,
+                phonetic: undefined,
+                meaning: reply.definition,
+                meanings: [{
+                    partOfSpeech: (reply.kind || 'phrase').toLowerCase(),
+                    definitions: [{ definition: reply.definition, example: reply.example || '', synonyms: [], antonyms: [] }],
+                    synonyms: [],
+                    antonyms: [],
+                }],
+                synonyms: [],
+                antonyms: [],
+                lang,
+                provider: 'gemini',
+                providerName: 'Gemini',
+            };
+        } catch (error) {
+            logError('api.explainPhrase', { phrase, error: error.message });
+            return null;
+        }
+    },
+
+    /**
+     * Fetches synonyms and antonyms from the thesaurus and merges them with the ones
+     * the dictionary entry already has (dictionary ones first).
+     * @param {string} word The word to look up.
+     * @param {object} [options]
+     * @param {string} [options.lang] The language code; the thesaurus only covers English.
+     * @param {object} [options.entry] The dictionary entry to merge with. Read from the cache if omitted.
+     * @param {number} [options.timeout] The request timeout in milliseconds.
+     * @returns {Promise<object>} `{ success, type: 'thesaurus', data: { word, synonyms, antonyms } }`.
+     */
+    async lookupThesaurus(word, { lang, entry, timeout = config.providerTimeout } = {}) {
+        lang = resolveLanguage(lang);
+        const cacheKey = `thesaurus_${lang}_${word.toLowerCase()}`;
+        if (!entry) {
+            const meaningKey = `meaning_${lang}_${word.toLowerCase()}`;
+            entry = sessionCache.get(meaningKey) || await persistentCache.get(meaningKey) || {};
+        }
+        const merge = (related) => ({
+            word,
+            synonyms: Array.from(new Set([...(entry.synonyms || []), ...related.synonyms])),
+            antonyms: Array.from(new Set([...(entry.antonyms || []), ...related.antonyms])),
         });
 
-        return {
-            word: firstResult.word,
-            phonetic: firstResult.phonetic || firstResult.phonetics?.find(p => p.text)?.text,
-            meaning,
-            synonyms: Array.from(allSynonyms),
-            antonyms: Array.from(allAntonyms),
-        };
+        // 1. Check session cache
+        let related = sessionCache.get(cacheKey);
+        if (related) return { success: true, type: 'thesaurus', data: merge(related), source: 'session' };
+
+        // 2. Check persistent cache
+        related = await persistentCache.get(cacheKey);
+        if (related) {
+            sessionCache.set(cacheKey, related); // Hydrate session cache
+            return { success: true, type: 'thesaurus', data: merge(related), source: 'persistent' };
+        }
+
+        if (lang !== 'en') {
+            return { success: true, type: 'thesaurus', data: merge({ synonyms: [], antonyms: [] }), source: 'dictionary' };
+        }
+
+        // 3. Fetch from the thesaurus API
+        return new Promise(resolve => {
+            rateLimiter.add(async () => {
+                try {
+                    const fetchRelated = async (relation) => {
+                        const params = new URLSearchParams({ [relation]: word, max: '20' });
+                        const response = await fetchWithTimeout(`${config.apiBaseUrls.thesaurus}?${params}`, {}, timeout);
+                        if (!response.ok) {
+                            throw new Error(`HTTP error! status: ${response.status}`);
+                        }
+                        const results = await response.json();
+                        return Array.isArray(results) ? results.map(r => r.word).filter(Boolean) : [];
+                    };
+                    const [synonyms, antonyms] = await Promise.all([fetchRelated('rel_syn'), fetchRelated('rel_ant')]);
+
+                    related = { synonyms, antonyms };
+                    sessionCache.set(cacheKey, related);
+                    await persistentCache.set(cacheKey, related);
+                    resolve({ success: true, type: 'thesaurus', data: merge(related), source: 'api' });
+                } catch (error) {
+                    logError('api.lookupThesaurus', { word, error: error.message });
+                    resolve({ success: false, error: 'Failed to fetch related words.' });
+                }
+            });
+        });
     },
 
-    async rewriteTone(text, tone) {
+    /**
+     * Sends a prompt to the configured Gemini model and returns the text of the first candidate.
+     * @param {string} prompt
+     * @param {object} [generationConfig] Optional Gemini generation settings.
+     * @returns {Promise<string>} The trimmed response text.
+     * @throws {Error} If the key is missing, the request fails or the response is blocked.
+     */
+    async callGemini(prompt, generationConfig) {
         if (!config.apiKeys.gemini) {
-            const errorMessage = 'Gemini API key is not configured.';
-            logError('api.rewriteTone', { error: errorMessage });
-            return { success: false, error: errorMessage };
+            throw new Error('Gemini API key is not configured.');
         }
 
         const url = `${config.apiBaseUrls.toneRewrite}?key=${config.apiKeys.gemini}`;
-        const prompt = `Rewrite the following text in a ${tone} tone. Provide ONLY the rewritten text, with no additional commentary, introductory phrases, or explanations. Do not include quotation marks around the rewritten text. Original text: "${text}"`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                contents: [{
+                    parts: [{ "text": prompt }]
+                }],
+                ...(generationConfig ? { generationConfig } : {}),
+            })
+        });
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{ "text": prompt }]
-                    }]
-                })
+        if (!response.ok) {
+            throw new Error(await readGeminiError(response));
+        }
+
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+
+        if (!text) {
+            // This can happen if the model has safety blocks.
+            const blockReason = result.promptFeedback?.blockReason;
+            if (blockReason) {
+                throw new Error(`Content blocked by API: ${blockReason}`);
+            }
+            throw new Error('Invalid response structure from Gemini API.');
+        }
+
+        return text.trim();
+    },
+
+    /**
+     * Like `callGemini`, but streams the response and reports the text as it grows.
+     * With a `candidateCount` in the generation settings, every candidate is kept.
+     * @param {string} prompt
+     * @param {object} [generationConfig] Optional Gemini generation settings.
+     * @param {object} [stream]
+     * @param {AbortSignal} [stream.signal] Aborts the request.
+     * @param {function(Array<string>): void} [stream.onText] Called with the text of each candidate so far.
+     * @returns {Promise<Array<string>>} The trimmed text of each candidate, in Gemini's candidate order.
+     * @throws {Error} As `callGemini`, or an AbortError when the signal fires.
+     */
+    async streamGemini(prompt, generationConfig, { signal, onText } = {}) {
+        if (!config.apiKeys.gemini) {
+            throw new Error('Gemini API key is not configured.');
+        }
+
+        const url = `${config.apiBaseUrls.toneRewriteStream}?alt=sse&key=${config.apiKeys.gemini}`;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                contents: [{
+                    parts: [{ "text": prompt }]
+                }],
+                ...(generationConfig ? { generationConfig } : {}),
+            }),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw new Error(await readGeminiError(response));
+        }
+
+        const texts = [];
+        let blockReason;
+        await readServerSentEvents(response, (data) => {
+            const chunk = JSON.parse(data);
+            blockReason = chunk.promptFeedback?.blockReason || blockReason;
+            let grew = false;
+            (chunk.candidates || []).forEach((candidate, position) => {
+                const delta = (candidate.content?.parts || []).map(part => part.text || '').join('');
+                if (!delta) return;
+                const index = candidate.index ?? position;
+                texts[index] = (texts[index] || '') + delta;
+                grew = true;
             });
+            if (grew && onText) onText(Array.from(texts, text => (text || '').trimStart()));
+        });
 
-            if (!response.ok) {
-                let errorDetails = `HTTP error! status: ${response.status}`;
-                try {
-                    const errorData = await response.json();
-                    // Google API errors often have a structure like { error: { message: '...' } }
-                    if (errorData.error && errorData.error.message) {
-                        // Shorten the Google API error for better display in the UI
-                        errorDetails = errorData.error.message.split(' API key')[0];
-                    }
-                } catch (e) {
-                    // Response body was not JSON, stick with the status code
-                }
-                throw new Error(errorDetails);
+        // Empty candidates keep their place, so the card's pager doesn't shift.
+        const candidates = Array.from(texts, text => (text || '').trim());
+        if (!candidates.some(Boolean)) {
+            // This can happen if the model has safety blocks.
+            if (blockReason) {
+                throw new Error(`Content blocked by API: ${blockReason}`);
             }
+            throw new Error('Invalid response structure from Gemini API.');
+        }
 
-            const result = await response.json();
-            const rewrittenText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        return candidates;
+    },
 
-            if (!rewrittenText) {
-                // This can happen if the model has safety blocks.
-                const blockReason = result.promptFeedback?.blockReason;
-                if (blockReason) {
-                    throw new Error(`Content blocked by API: ${blockReason}`);
+    /**
+     * Picks the sense of an entry that best fits the sentence it was selected from.
+     * Uses Gemini when a key is configured and the local heuristic otherwise (or if Gemini fails).
+     * @param {object} entry A normalized dictionary entry.
+     * @param {string} context The surrounding sentence.
+     * @param {string} [query] The word as it appears in the sentence, if not the headword.
+     * @returns {Promise<object>} The entry with `chosenSense`, `context` and `meaning` set.
+     */
+    async rankSenses(entry, context, query) {
+        const senses = flattenSenses(entry);
+        if (!context || senses.length < 2) return entry;
+
+        let chosen = null;
+        let method = 'heuristic';
+        if (config.apiKeys.gemini) {
+            try {
+                const reply = await this.callGemini(buildSenseRankingPrompt(entry, context, query), { temperature: 0 });
+                const index = parseInt(reply, 10) - 1;
+                if (senses[index]) {
+                    chosen = senses[index];
+                    method = 'gemini';
                 }
-                throw new Error('Invalid response structure from Gemini API.');
+            } catch (error) {
+                logError('api.rankSenses', { word: entry.word, error: error.message });
             }
+        }
+        chosen = chosen || rankSensesHeuristically(entry, context, query);
+
+        return {
+            ...entry,
+            meaning: chosen.definition,
+            context,
+            chosenSense: {
+                meaningIndex: chosen.meaningIndex,
+                definitionIndex: chosen.definitionIndex,
+                partOfSpeech: chosen.partOfSpeech,
+                definition: chosen.definition,
+                method,
+            },
+        };
+    },
+
+    /**
+     * Translates text with the configured translation provider. Text in the user's native
+     * language goes to their target language; everything else goes to their native language.
+     * @param {string} text The text to translate.
+     * @param {object} [options]
+     * @param {string} [options.lang] The detected source language; 'auto' if unknown.
+     * @returns {Promise<object>}
+     */
+    async translate(text, { lang } = {}) {
+        const provider = { ...DEFAULT_TRANSLATION_PROVIDER, ...config.translationProvider };
+        const adapter = translationAdapters[provider.adapter];
+        if (!adapter) {
+            const errorMessage = `Unknown translation provider "${provider.adapter}".`;
+            logError('api.translate', { error: errorMessage });
+            return { success: false, error: errorMessage };
+        }
+
+        const source = lang || 'auto';
+        const { native = 'en', target: learning = 'en' } = config.languages || {};
+        const target = source === native && learning !== native ? learning : native;
+        if (source === target) {
+            return {
+                success: false,
+                error: 'This text is already in your native language. Set the language you are learning in Settings.',
+            };
+        }
+        const cacheKey = `translation_${provider.adapter}_${source}_${target}_${text}`;
+
+        // 1. Check session cache
+        let data = sessionCache.get(cacheKey);
+        if (data) return { success: true, type: 'translation', data, source: 'session' };
+
+        // 2. Check persistent cache
+        data = await persistentCache.get(cacheKey);
+        if (data) {
+            sessionCache.set(cacheKey, data); // Hydrate session cache
+            return { success: true, type: 'translation', data, source: 'persistent' };
+        }
 
-            return { success: true, type: 'rewritten', data: rewrittenText.trim() };
+        // 3. Fetch from the translation provider
+        if (adapter.requiresApiKey && !config.apiKeys.translation) {
+            return { success: false, error: `${adapter.label} needs an API key — add it in Settings.` };
+        }
+        return new Promise(resolve => {
+            rateLimiter.add(async () => {
+                try {
+                    const [url, options] = adapter.buildRequest({
+                        text,
+                        source,
+                        target,
+                        url: provider.url || adapter.defaultUrl,
+                        apiKey: config.apiKeys.translation,
+                    });
+                    const response = await fetchWithTimeout(url, options);
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    const result = adapter.parse(await response.json());
+                    if (!result) {
+                        throw new Error('Invalid response from translation provider.');
+                    }
+
+                    const translation = {
+                        text,
+                        translatedText: result.translatedText,
+                        source: result.detectedSource || source,
+                        target,
+                        provider: provider.adapter,
+                    };
+                    sessionCache.set(cacheKey, translation);
+                    await persistentCache.set(cacheKey, translation);
+                    resolve({ success: true, type: 'translation', data: translation, source: 'api' });
+                } catch (error) {
+                    logError('api.translate', { text, error: error.message });
+                    resolve({ success: false, error: 'Failed to translate text.' });
+                }
+            });
+        });
+    },
+
+    /**
+     * Rewrites text with one of the user's presets: its prompt template is filled
+     * in and sent with the preset's temperature and length limit, asking for as
+     * many alternatives as the preset wants. The response is streamed, so the
+     * card can show the rewrites as they are written.
+     * @param {string} text The selected text.
+     * @param {string} presetId The preset's id (or, from older content scripts, a tone).
+     * @param {object} [page]
+     * @param {string} [page.context] The paragraph the selection is in.
+     * @param {string} [page.title] The page title.
+     * @param {object} [stream] See `streamGemini`.
+     * @returns {Promise<object>} On success, `data` lists the alternatives.
+     */
+    async rewriteTone(text, presetId, { context, title } = {}, stream = {}) {
+        try {
+            const preset = findPreset(await getRewritePresets(), presetId);
+            const prompt = fillPromptTemplate(preset.prompt, { text, context, title });
+            const rewrittenTexts = await this.streamGemini(prompt, {
+                temperature: preset.temperature,
+                maxOutputTokens: preset.maxTokens,
+                candidateCount: preset.candidates,
+            }, stream);
+            return { success: true, type: 'rewritten', data: rewrittenTexts };
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return { success: false, stopped: true, error: 'Rewrite stopped.' };
+            }
             logError('api.rewriteTone', { text, error: error.message });
             return { success: false, error: error.message };
         }
@@ -297,6 +1016,34 @@ const api = {
 };
 
 
+// --- Streaming Rewrites ---
+// The card opens a `rewrite` port per rewrite and sends the request over it. The
+// alternatives so far come back as `partial` messages and the result as a `done` message;
+// the card disconnects the port to stop the rewrite, which aborts the request.
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'rewrite') return;
+    if (!port.sender.tab && !port.sender.url.startsWith(chrome.runtime.getURL(''))) {
+        logError('onConnect.security', { error: 'Untrusted port source', sender: port.sender });
+        port.disconnect();
+        return;
+    }
+
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+    port.onMessage.addListener(async (payload) => {
+        const response = await api.rewriteTone(payload.text, payload.preset || payload.tone, {
+            context: payload.context,
+            title: payload.title,
+        }, {
+            signal: controller.signal,
+            onText: (texts) => {
+                if (!controller.signal.aborted) port.postMessage({ type: 'partial', texts });
+            },
+        });
+        if (!controller.signal.aborted) port.postMessage({ type: 'done', response });
+    });
+});
+
 // --- Message Router ---
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Ensure the request is from our extension
@@ -309,13 +1056,231 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     switch (type) {
     case 'lookup': // Changed from 'lookupMeaning' to match content script
-        api.lookupMeaning(payload.text).then(sendResponse);
+        api.lookupMeaning(payload.text, { context: payload.context, lang: payload.lang, cacheOnly: payload.cacheOnly })
+            .then(response => {
+                // Hovering a highlighted word is not a lookup the user asked for.
+                if (!payload.cacheOnly) recordLookup(response, payload, sender);
+                sendResponse(response);
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
         return true; // Indicates async response
 
+    case 'thesaurus':
+        api.lookupThesaurus(payload.text, { lang: payload.lang }).then(sendResponse);
+        return true;
+
+    case 'translate':
+        api.translate(payload.text, { lang: payload.lang }).then(sendResponse);
+        return true;
+
     case 'rewriteTone':
-        api.rewriteTone(payload.text, payload.tone).then(sendResponse);
+        api.rewriteTone(payload.text, payload.preset || payload.tone, { context: payload.context, title: payload.title })
+            .then(sendResponse);
         return true;
         
+    case 'getRewritePresets':
+        getRewritePresets()
+            .then(presets => sendResponse({ success: true, data: presets }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'speak':
+        api.speak(payload.text, { lang: payload.lang, audio: payload.audio }).then(sendResponse);
+        return true;
+
+    case 'importLexicon':
+        offlineLexicon.importPack(payload.pack)
+            .then(count => sendResponse({ success: true, count }))
+            .catch(error => {
+                logError('offlineLexicon.importPack', { error: error.message });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+
+    case 'saveWord':
+        vocabulary.save(payload.entry, { context: payload.context, url: payload.url, pageTitle: payload.pageTitle })
+            .then(entry => sendResponse({ success: true, data: entry }))
+            .catch(error => {
+                logError('vocabulary.save', { word: payload.entry?.word, error: error.message });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+
+    case 'getVocabulary':
+        vocabulary.list(payload?.limit, { deck: payload?.deck })
+            .then(entries => sendResponse({ success: true, data: entries }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'updateWord':
+        vocabulary.update(payload.id, payload.changes)
+            .then(entry => sendResponse({ success: true, data: entry }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getLabels':
+        vocabulary.labels()
+            .then(labels => sendResponse({ success: true, data: labels }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'relabel':
+        vocabulary.relabel(payload.kind, payload.names, payload.newName)
+            .then(changed => sendResponse({ success: true, data: { changed } }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'deleteWord':
+        vocabulary.remove(payload.id)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'exportVocabulary':
+        vocabulary.exportAll({ deck: payload?.deck })
+            .then(backup => sendResponse({ success: true, data: backup }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'importVocabulary':
+        vocabulary.importAll(payload.backup)
+            .then(result => sendResponse({ success: true, data: result }))
+            .catch(error => {
+                logError('vocabulary.importAll', { error: error.message });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+
+    case 'planImport':
+        vocabulary.planImport(payload.items, resolveLanguage(payload.lang))
+            .then(plan => sendResponse({ success: true, data: plan }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'applyImport':
+        vocabulary.applyImport(payload.items, resolveLanguage(payload.lang), payload.resolutions)
+            .then(async ({ withoutDefinition, ...counts }) => {
+                await queueImportLookups(withoutDefinition);
+                sendResponse({ success: true, data: { ...counts, queued: withoutDefinition.length } });
+            })
+            .catch(error => {
+                logError('vocabulary.applyImport', { error: error.message });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+
+    case 'getImportLookups':
+        dbGet('meta', IMPORT_LOOKUPS_KEY)
+            .then(pending => {
+                processImportLookups(); // Picks up a queue left by a stopped service worker
+                sendResponse({ success: true, data: { pending: pending?.ids.length || 0 } });
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getReviewQueue':
+        getReviewSettings()
+            .then(settings => reviewScheduler.getQueue(settings, Date.now(), payload?.deck))
+            .then(queue => sendResponse({
+                success: true,
+                data: {
+                    ...queue,
+                    cards: queue.cards.map(card => ({ ...card, intervals: reviewScheduler.previewIntervals(card.review) })),
+                },
+            }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'gradeReview':
+        reviewScheduler.grade(payload.id, GRADES[payload.grade])
+            .then(entry => {
+                checkDueReviews({ notify: false }).catch(() => {}); // Clear the reminder once nothing is due
+                sendResponse({ success: true, data: entry });
+            })
+            .catch(error => {
+                logError('reviewScheduler.grade', { id: payload.id, error: error.message });
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+
+    case 'getAnnotationWords':
+        vocabulary.list()
+            .then(entries => sendResponse({
+                success: true,
+                data: entries.map(entry => ({ word: entry.word, lang: entry.lang, status: learningStatus(entry) })),
+            }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getStatistics':
+        Promise.all([lookupLog.list(), dbGetAll('reviewLog')])
+            .then(([events, reviews]) => sendResponse({ success: true, data: buildStatistics({ events, reviews }) }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getActivityLogs':
+        Promise.all([lookupLog.list(), dbGetAll('reviewLog', 'reviewedAt')])
+            .then(([lookups, reviews]) => sendResponse({ success: true, data: { lookups, reviews } }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'suggestWords':
+        wordSuggestions.complete(payload.prefix, resolveLanguage(payload.lang))
+            .then(words => sendResponse({ success: true, data: words }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getHistory':
+        lookupHistory.search(payload)
+            .then(page => sendResponse({ success: true, data: page }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'deleteHistoryItem':
+        lookupHistory.remove(payload.id)
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'clearHistory':
+        lookupHistory.clear(payload)
+            .then(deleted => sendResponse({ success: true, data: { deleted } }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getWordOfTheDay':
+        getWordOfTheDaySettings()
+            .then(settings => (settings.enabled ? wordOfTheDay.get(settings) : null))
+            .then(word => sendResponse({ success: true, data: word }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getQuiz':
+        Promise.all([vocabulary.list(), persistentCache.values('meaning_'), quizScores.getAll()])
+            .then(([notebook, cachedEntries, scores]) => {
+                const words = collectQuizWords(notebook, cachedEntries);
+                // A deck quiz asks about the deck's words; the other words still supply wrong options.
+                const targetIds = payload?.deck
+                    ? new Set(notebook.filter(entry => entry.deck === payload.deck).map(entry => entry.id))
+                    : undefined;
+                const questions = buildQuiz(words, scores, { count: payload?.count, targetIds });
+                sendResponse({ success: true, data: { questions, wordCount: targetIds ? targetIds.size : words.length } });
+            })
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'recordQuizAnswer':
+        quizScores.record(payload.id, payload.word, Boolean(payload.correct))
+            .then(score => sendResponse({ success: true, data: score }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+    case 'getLexiconInfo':
+        offlineLexicon.getInfo()
+            .then(info => sendResponse({ success: true, data: info }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
     case 'getStatus':
         sendResponse(getStatus());
         return false; // Sync response
@@ -332,16 +1297,194 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
-// --- Extension Lifecycle ---
-chrome.runtime.onInstalled.addListener(() => {
-    // Here you could set default configuration in chrome.storage
-    chrome.storage.sync.set({
-        config: {
-            apiBaseUrls: config.apiBaseUrls,
-            // Do NOT store API keys in sync storage. Use local or have the user enter them.
+// --- Review Reminders ---
+const REVIEW_ALARM = 'wordup-review-check';
+const REVIEW_NOTIFICATION = 'wordup-review-due';
+const REVIEW_CHECK_MINUTES = 60;
+const REVIEW_NOTIFY_INTERVAL = 6 * 60 * 60 * 1000; // At most one reminder every 6 hours
+
+/**
+ * Reads the review settings straight from storage. Alarms can wake the worker
+ * before `loadConfiguration` has finished, so `config` can't be trusted here.
+ * @returns {Promise<object>}
+ */
+async function getReviewSettings() {
+    const { config: storedConfig } = await chrome.storage.sync.get('config');
+    return { ...DEFAULT_REVIEW_SETTINGS, ...storedConfig?.review };
+}
+
+/**
+ * Creates the periodic review check unless it already exists. Alarms outlive the
+ * service worker, so this only does work after install or a browser restart.
+ */
+async function ensureReviewAlarm() {
+    if (!await chrome.alarms.get(REVIEW_ALARM)) {
+        chrome.alarms.create(REVIEW_ALARM, { delayInMinutes: 1, periodInMinutes: REVIEW_CHECK_MINUTES });
+    }
+}
+
+/**
+ * Shows a notification when words are due for review, or clears it when none are.
+ * @param {object} [options]
+ * @param {boolean} [options.notify=true] False to only clear a stale notification (e.g. mid-session).
+ */
+async function checkDueReviews({ notify = true } = {}) {
+    const settings = await getReviewSettings();
+    const { cards } = await reviewScheduler.getQueue(settings);
+    if (cards.length === 0 || !settings.notifications) {
+        chrome.notifications.clear(REVIEW_NOTIFICATION);
+        return;
+    }
+    if (!notify) return;
+
+    const lastReminder = await dbGet('meta', 'reviewReminder');
+    if (lastReminder && Date.now() - lastReminder.notifiedAt < REVIEW_NOTIFY_INTERVAL) return;
+
+    chrome.notifications.create(REVIEW_NOTIFICATION, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: 'WordUp: time to review',
+        message: `${cards.length} ${cards.length === 1 ? 'word is' : 'words are'} ready for review.`,
+        priority: 1,
+    });
+    await dbPut('meta', { key: 'reviewReminder', notifiedAt: Date.now() });
+}
+
+// --- Import Lookups ---
+// Imported words without a definition are looked up one by one in the background.
+// The queue is kept in the database so a stopped service worker can resume it.
+const IMPORT_LOOKUPS_KEY = 'importLookups';
+let isProcessingImportLookups = false;
+
+/**
+ * Adds notebook entries to the background lookup queue and starts working through it.
+ * @param {Array<string>} ids
+ */
+async function queueImportLookups(ids) {
+    if (ids.length === 0) return;
+    const pending = (await dbGet('meta', IMPORT_LOOKUPS_KEY))?.ids || [];
+    await dbPut('meta', { key: IMPORT_LOOKUPS_KEY, ids: [...new Set([...pending, ...ids])] });
+    processImportLookups();
+}
+
+/**
+ * Looks up the queued words and fills in their definitions. Lookups go through
+ * `api.lookupMeaning`, so they share the rate limiter and caches with every other
+ * lookup. Words that can't be found are dropped from the queue.
+ */
+async function processImportLookups() {
+    if (isProcessingImportLookups) return;
+    isProcessingImportLookups = true;
+    try {
+        for (;;) {
+            const ids = (await dbGet('meta', IMPORT_LOOKUPS_KEY))?.ids || [];
+            if (ids.length === 0) break;
+            const entry = await dbGet('vocabulary', ids[0]);
+            if (entry && !entry.sense.definition) {
+                try {
+                    const response = await api.lookupMeaning(entry.word, { lang: entry.lang, context: entry.context || undefined });
+                    if (response.success) await vocabulary.fillDefinition(entry.id, response.data);
+                } catch (error) {
+                    logError('importLookup', { word: entry.word, error: error.message });
+                }
+            }
+            // Re-read the queue: another import may have added words meanwhile.
+            const remaining = ((await dbGet('meta', IMPORT_LOOKUPS_KEY))?.ids || []).filter(id => id !== ids[0]);
+            await dbPut('meta', { key: IMPORT_LOOKUPS_KEY, ids: remaining });
         }
+    } catch (error) {
+        logError('processImportLookups', { error: error.message });
+    } finally {
+        isProcessingImportLookups = false;
+    }
+}
+
+// --- Word of the Day ---
+const WORD_OF_THE_DAY_ALARM = 'wordup-word-of-the-day';
+const WORD_OF_THE_DAY_NOTIFICATION = 'wordup-word-of-the-day';
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Reads the word-of-the-day settings straight from storage, for the same
+ * reason as `getReviewSettings`.
+ * @returns {Promise<object>}
+ */
+async function getWordOfTheDaySettings() {
+    const { config: storedConfig } = await chrome.storage.sync.get('config');
+    return { ...DEFAULT_WORD_OF_THE_DAY_SETTINGS, ...storedConfig?.wordOfTheDay };
+}
+
+/**
+ * (Re)creates the daily alarm at the configured time, or removes it when the
+ * word of the day is turned off.
+ */
+async function scheduleWordOfTheDay() {
+    const settings = await getWordOfTheDaySettings();
+    if (!settings.enabled) {
+        await chrome.alarms.clear(WORD_OF_THE_DAY_ALARM);
+        return;
+    }
+    chrome.alarms.create(WORD_OF_THE_DAY_ALARM, { when: nextOccurrence(settings.time), periodInMinutes: DAY_MINUTES });
+}
+
+/**
+ * Opens the full definition of a word in a small window.
+ * @param {string} word
+ * @param {string} lang
+ */
+function openDefinitionWindow(word, lang) {
+    chrome.windows.create({
+        url: chrome.runtime.getURL(`popup-result/popup-result.html?word=${encodeURIComponent(word)}&lang=${encodeURIComponent(lang)}`),
+        type: 'popup',
+        width: 360,
+        height: 480,
     });
+}
 
+async function notifyWordOfTheDay() {
+    const settings = await getWordOfTheDaySettings();
+    if (!settings.enabled) return;
+    const { word, sense } = await wordOfTheDay.get(settings);
+    chrome.notifications.create(WORD_OF_THE_DAY_NOTIFICATION, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: `Word of the day: ${word}`,
+        message: sense.partOfSpeech ? `(${sense.partOfSpeech}) ${sense.definition}` : sense.definition,
+        priority: 0,
+    });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === REVIEW_ALARM) {
+        checkDueReviews().catch(error => logError('checkDueReviews', { error: error.message }));
+    } else if (alarm.name === WORD_OF_THE_DAY_ALARM) {
+        notifyWordOfTheDay().catch(error => logError('notifyWordOfTheDay', { error: error.message }));
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId === REVIEW_NOTIFICATION) {
+        chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') });
+        chrome.notifications.clear(notificationId);
+    } else if (notificationId === WORD_OF_THE_DAY_NOTIFICATION) {
+        getWordOfTheDaySettings()
+            .then(settings => wordOfTheDay.get(settings))
+            .then(({ word, lang }) => openDefinitionWindow(word, lang))
+            .catch(error => logError('openWordOfTheDay', { error: error.message }));
+        chrome.notifications.clear(notificationId);
+    }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    ensureReviewAlarm().catch(error => logError('ensureReviewAlarm', { error: error.message }));
+    scheduleWordOfTheDay().catch(error => logError('scheduleWordOfTheDay', { error: error.message }));
+    processImportLookups();
+    // Finishes an import that was cut short; a no-op when the pack is current.
+    offlineLexicon.ensureLoaded().catch(error => logError('offlineLexicon.ensureLoaded', { error: error.message }));
+});
+
+// --- Extension Lifecycle ---
+chrome.runtime.onInstalled.addListener(async () => {
     // Create context menus on installation.
     chrome.contextMenus.create({
         id: 'wordup-define',
@@ -354,6 +1497,26 @@ chrome.runtime.onInstalled.addListener(() => {
         type: 'separator',
         contexts: ['selection']
     });
+
+    ensureReviewAlarm().catch(error => logError('ensureReviewAlarm', { error: error.message }));
+    scheduleWordOfTheDay().catch(error => logError('scheduleWordOfTheDay', { error: error.message }));
+
+    // Import (or update) the bundled offline lexicon in the background.
+    offlineLexicon.ensureLoaded().catch(error => logError('offlineLexicon.ensureLoaded', { error: error.message }));
+
+    // Refresh the built-in endpoints but keep the user's own settings (e.g. their provider list).
+    const { config: storedConfig = {} } = await chrome.storage.sync.get('config');
+    chrome.storage.sync.set({
+        config: {
+            ...storedConfig,
+            apiBaseUrls: DEFAULT_API_BASE_URLS,
+            dictionaryProviders: migrateProviders(storedConfig.dictionaryProviders
+                || migrateLegacyDictionaryUrl(storedConfig.apiBaseUrls?.dictionary)),
+            translationProvider: storedConfig.translationProvider
+                || migrateLegacyTranslationUrl(storedConfig.apiBaseUrls?.translation),
+            // Do NOT store API keys in sync storage. Use local or have the user enter them.
+        }
+    });
 });
 
 // --- Context Menus for PDFs and other restricted pages ---
@@ -420,6 +1583,12 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
 
         }
 
+        // Move the daily alarm when its time or on/off setting changed.
+        const oldWordOfTheDay = changes.config.oldValue?.wordOfTheDay;
+        if (JSON.stringify(oldWordOfTheDay) !== JSON.stringify(newConfig?.wordOfTheDay)) {
+            scheduleWordOfTheDay().catch(error => logError('scheduleWordOfTheDay', { error: error.message }));
+        }
+
     }
 
 });
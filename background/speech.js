@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Pronunciation playback for WordUp.
+ *
+ * Dictionary audio is played from an offscreen document, since a service
+ * worker can't play media. When there is no recording, or it fails to play,
+ * the text is synthesized with `chrome.tts`.
+ */
+
+'use strict';
+
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+
+// Accents a user can prefer, and the locale used for synthesized speech in each.
+export const ACCENTS = {
+    us: { label: 'American (US)', locale: 'en-US' },
+    uk: { label: 'British (UK)', locale: 'en-GB' },
+};
+
+let creatingOffscreen = null;
+
+/**
+ * Picks the pronunciation for the preferred accent, falling back to one with audio,
+ * then to the first one.
+ * @param {Array<object>} [pronunciations] `{ text, audio, accent }` records from a dictionary entry.
+ * @param {string} accent A key of `ACCENTS`.
+ * @returns {object|null}
+ */
+export function pickPronunciation(pronunciations, accent) {
+    if (!Array.isArray(pronunciations) || pronunciations.length === 0) return null;
+    return pronunciations.find(p => p.accent === accent && p.audio)
+        || pronunciations.find(p => p.accent === accent)
+        || pronunciations.find(p => p.audio)
+        || pronunciations[0];
+}
+
+/**
+ * Creates the offscreen audio document unless it already exists.
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+    });
+    if (contexts.length > 0) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: OFFSCREEN_URL,
+            reasons: ['AUDIO_PLAYBACK'],
+            justification: 'Play dictionary pronunciation recordings.',
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+    await creatingOffscreen;
+}
+
+/**
+ * Plays an audio file through the offscreen document.
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {Error} If the audio can't be loaded or played.
+ */
+export async function playAudio(url) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'playAudio', url });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Audio playback failed');
+    }
+}
+
+/**
+ * Reads text aloud with the browser's speech synthesis.
+ * @param {string} text
+ * @param {string} locale A BCP 47 language tag, e.g. "en-GB".
+ * @returns {Promise<void>} Resolves once speech has started, or has ended or been
+ *   stopped without a 'start' event (some voices never send one).
+ * @throws {Error} If no voice can speak the text.
+ */
+export function speakText(text, locale) {
+    return new Promise((resolve, reject) => {
+        chrome.tts.speak(text, {
+            lang: locale,
+            onEvent: (event) => {
+                if (['start', 'end', 'interrupted', 'cancelled'].includes(event.type)) resolve();
+                if (event.type === 'error') reject(new Error(event.errorMessage || 'Speech synthesis failed'));
+            },
+        }, () => {
+            if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+        });
+    });
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Learning statistics for WordUp.
+ *
+ * Turns the lookup event log and the review log into the figures shown on the
+ * dashboard. Everything is computed from the raw logs on request, so nothing
+ * has to be kept in sync when words are deleted or backups imported.
+ */
+
+'use strict';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CHART_DAYS = 30; // Days shown in the lookups-per-day chart
+const TOP_COUNT = 10; // Entries in the top words and top sites lists
+// Time since the previous review, in days, for the retention curve.
+const RETENTION_BUCKETS = [
+    { label: 'Up to 1 day', max: 1 },
+    { label: '1–3 days', max: 3 },
+    { label: '3–7 days', max: 7 },
+    { label: '1–2 weeks', max: 14 },
+    { label: '2–4 weeks', max: 30 },
+    { label: '1–3 months', max: 90 },
+    { label: '3+ months', max: Infinity },
+];
+const RECALLED_GRADE = 3; // Review grades from here up mean the word was remembered
+
+/**
+ * The local date of a timestamp as YYYY-MM-DD.
+ * @param {number} time
+ * @returns {string}
+ */
+const dateKey = (time) => {
+    const date = new Date(time);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+};
+
+/**
+ * The local date `days` days before `time`, as YYYY-MM-DD.
+ * @param {number} time
+ * @param {number} days
+ * @returns {string}
+ */
+const daysBefore = (time, days) => {
+    const date = new Date(time);
+    date.setDate(date.getDate() - days);
+    return dateKey(date.getTime());
+};
+
+/**
+ * Counts values and returns the most frequent ones.
+ * @param {Array<string>} values
+ * @param {number} limit
+ * @returns {Array<{key: string, count: number}>}
+ */
+const topCounts = (values, limit) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return Array.from(counts, ([key, count]) => ({ key, count }))
+        .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+        .slice(0, limit);
+};
+
+/**
+ * Lookups per day for the last `CHART_DAYS` days, oldest first, including days without any.
+ * @param {Array<object>} events
+ * @param {number} now
+ * @returns {Array<{date: string, count: number}>}
+ */
+const lookupsPerDay = (events, now) => {
+    const counts = new Map();
+    events.forEach(event => counts.set(dateKey(event.time), (counts.get(dateKey(event.time)) || 0) + 1));
+    return Array.from({ length: CHART_DAYS }, (_, i) => {
+        const date = daysBefore(now, CHART_DAYS - 1 - i);
+        return { date, count: counts.get(date) || 0 };
+    });
+};
+
+/**
+ * Share of reviews in which the word was remembered, overall and over the last 30 days.
+ * @param {Array<object>} reviews
+ * @param {number} now
+ * @returns {{total: number, recalled: number, rate: number|null, recentTotal: number, recentRate: number|null}}
+ */
+const reviewAccuracy = (reviews, now) => {
+    const rate = (list) => (list.length ? list.filter(r => r.grade >= RECALLED_GRADE).length / list.length : null);
+    const recent = reviews.filter(review => review.reviewedAt >= now - CHART_DAYS * DAY);
+    return {
+        total: reviews.length,
+        recalled: reviews.filter(review => review.grade >= RECALLED_GRADE).length,
+        rate: rate(reviews),
+        recentTotal: recent.length,
+        recentRate: rate(recent),
+    };
+};
+
+/**
+ * Retention curve: how often a word is remembered, by how long it has been
+ * since it was last reviewed. First reviews have no previous review and are left out.
+ * @param {Array<object>} reviews
+ * @returns {Array<{label: string, total: number, rate: number|null}>}
+ */
+const retentionCurve = (reviews) => {
+    const buckets = RETENTION_BUCKETS.map(bucket => ({ ...bucket, total: 0, recalled: 0 }));
+    const lastReviewed = new Map();
+    [...reviews].sort((a, b) => a.reviewedAt - b.reviewedAt).forEach(review => {
+        const previous = lastReviewed.get(review.cardId);
+        lastReviewed.set(review.cardId, review.reviewedAt);
+        if (previous === undefined) return;
+        const days = (review.reviewedAt - previous) / DAY;
+        const bucket = buckets.find(b => days <= b.max);
+        bucket.total++;
+        if (review.grade >= RECALLED_GRADE) bucket.recalled++;
+    });
+    return buckets.map(({ label, total, recalled }) => ({ label, total, rate: total ? recalled / total : null }));
+};
+
+/**
+ * Current and longest run of consecutive days with at least one lookup or review.
+ * The current streak is still alive if today has no activity yet but yesterday had.
+ * @param {Array<number>} times Activity timestamps.
+ * @param {number} now
+ * @returns {{current: number, longest: number, activeDays: number}}
+ */
+const streaks = (times, now) => {
+    const days = new Set(times.map(dateKey));
+
+    let current = 0;
+    let offset = days.has(dateKey(now)) ? 0 : 1;
+    while (days.has(daysBefore(now, offset))) {
+        current++;
+        offset++;
+    }
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    Array.from(days).sort().forEach(day => {
+        // Compare at noon so a daylight-saving change can't make a day 23 or 25 hours long.
+        const time = new Date(`${day}T12:00:00`).getTime();
+        run = previous !== null && Math.round((time - previous) / DAY) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    return { current, longest, activeDays: days.size };
+};
+
+/**
+ * Computes everything the dashboard shows.
+ * @param {object} logs
+ * @param {Array<object>} logs.events Lookup events.
+ * @param {Array<object>} logs.reviews Review log entries.
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+export function buildStatistics({ events, reviews }, now = Date.now()) {
+    const found = events.filter(event => event.found);
+    return {
+        totalLookups: events.length,
+        cacheHitRate: events.length ? events.filter(event => event.cacheHit).length / events.length : null,
+        lookupsPerDay: lookupsPerDay(events, now),
+        topWords: topCounts(found.map(event => event.word.toLowerCase()), TOP_COUNT)
+            .map(({ key, count }) => ({ word: key, count })),
+        topSites: topCounts(events.map(event => event.site || 'WordUp popup'), TOP_COUNT)
+            .map(({ key, count }) => ({ site: key, count })),
+        reviewAccuracy: reviewAccuracy(reviews, now),
+        retention: retentionCurve(reviews),
+        streaks: streaks([...events.map(event => event.time), ...reviews.map(review => review.reviewedAt)], now),
+    };
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Translation providers for WordUp.
+ *
+ * Each adapter turns a translation request into a `fetch` call for its service
+ * and pulls the translated text out of the response. The endpoint is
+ * configurable, so a self-hosted server (e.g. LibreTranslate on localhost)
+ * works with the matching adapter.
+ */
+
+'use strict';
+
+export const DEFAULT_TRANSLATION_PROVIDER = {
+    adapter: 'libreTranslate',
+    url: '', // Empty means the adapter's default endpoint
+};
+
+/**
+ * Translation adapters keyed by the `adapter` field of the translation provider.
+ * `buildRequest({ text, source, target, url, apiKey })` returns `[url, fetchOptions]`;
+ * `parse(json)` returns `{ translatedText, detectedSource }` or null.
+ * Adapters with `requiresApiKey` are not called without a translation API key.
+ */
+export const translationAdapters = {
+    libreTranslate: {
+        label: 'LibreTranslate (hosted or self-hosted)',
+        defaultUrl: 'https://libretranslate.com/translate',
+        buildRequest: ({ text, source, target, url, apiKey }) => [url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: text,
+                source,
+                target,
+                format: 'text',
+                ...(apiKey ? { api_key: apiKey } : {}),
+            }),
+        }],
+        parse: (json) => json?.translatedText
+            ? { translatedText: json.translatedText, detectedSource: json.detectedLanguage?.language }
+            : null,
+    },
+    myMemory: {
+        label: 'MyMemory',
+        defaultUrl: 'https://api.mymemory.translated.net/get',
+        buildRequest: ({ text, source, target, url, apiKey }) => {
+            // MyMemory has no auto-detect; English is the most useful guess.
+            const params = new URLSearchParams({ q: text, langpair: `${source === 'auto' ? 'en' : source}|${target}` });
+            if (apiKey) params.set('key', apiKey);
+            return [`${url}?${params}`, {}];
+        },
+        parse: (json) => json?.responseData?.translatedText
+            ? { translatedText: json.responseData.translatedText }
+            : null,
+    },
+    deepl: {
+        label: 'DeepL',
+        defaultUrl: 'https://api-free.deepl.com/v2/translate',
+        requiresApiKey: true,
+        buildRequest: ({ text, source, target, url, apiKey }) => {
+            const body = new URLSearchParams({ text, target_lang: target.toUpperCase() });
+            if (source !== 'auto') body.set('source_lang', source.toUpperCase());
+            return [url, {
+                method: 'POST',
+                headers: { 'Authorization': `DeepL-Auth-Key ${apiKey}` },
+                body,
+            }];
+        },
+        parse: (json) => json?.translations?.[0]?.text
+            ? {
+                translatedText: json.translations[0].text,
+                detectedSource: json.translations[0].detected_source_language?.toLowerCase(),
+            }
+            : null,
+    },
+};
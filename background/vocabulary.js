@@ -0,0 +1,435 @@
+/**
+ * @fileoverview The vocabulary notebook for WordUp.
+ *
+ * Words the user deliberately saves from a definition card. Unlike the lookup
+ * cache, notebook entries never expire; they are kept in IndexedDB until the
+ * user deletes them, and are what the popup lists and the options page exports.
+ */
+
+'use strict';
+
+import { dbDelete, dbGet, dbGetAll, dbPut, dbPutMany } from './db.js';
+
+const EXPORT_FORMAT = 'wordup-vocabulary';
+const EXPORT_VERSION = 1;
+const MAX_LABEL_LENGTH = 40;
+// How a word that is already in the notebook is handled on import.
+export const IMPORT_RESOLUTIONS = ['merge', 'overwrite', 'skip'];
+// Entry fields holding each kind of label: any number of tags, at most one deck.
+const LABEL_FIELDS = { tag: 'tags', deck: 'deck' };
+
+/**
+ * Builds the notebook key for a word.
+ * @param {string} lang
+ * @param {string} word
+ * @returns {string}
+ */
+export const vocabularyId = (lang, word) => `${lang}:${word.toLowerCase()}`;
+
+/**
+ * Cleans up a tag or deck name.
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeLabel = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_LABEL_LENGTH);
+
+/**
+ * Cleans up a list of tags, dropping empty ones and case-insensitive duplicates.
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+const normalizeTags = (tags) => {
+    const seen = new Set();
+    return tags.map(normalizeLabel).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+/**
+ * Counts how many entries carry each label, sorted by name.
+ * @param {Array<string>} names One name per use.
+ * @returns {Array<{name: string, count: number}>}
+ */
+const countLabels = (names) => {
+    const counts = new Map();
+    names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+};
+
+/**
+ * Picks the sense to remember from a dictionary entry: the one chosen for the
+ * page context if there is one, otherwise the first.
+ * @param {object} entry A normalized dictionary entry.
+ * @returns {{partOfSpeech: string, definition: string, example: string}}
+ */
+export const senseFromEntry = (entry) => {
+    const chosen = entry.chosenSense;
+    const group = chosen ? entry.meanings?.[chosen.meaningIndex] : entry.meanings?.[0];
+    const sense = group?.definitions?.[chosen ? chosen.definitionIndex : 0];
+    return {
+        partOfSpeech: group?.partOfSpeech || '',
+        definition: sense?.definition || entry.meaning || '',
+        example: sense?.example || '',
+    };
+};
+
+/**
+ * Turns a lookup-cache backup (the pre-notebook export format) into notebook entries.
+ * @param {object} backup `{ meaning_<lang>_<word>: { value, expires } }`.
+ * @returns {Array<object>}
+ */
+const entriesFromCacheBackup = (backup) => Object.entries(backup)
+    .filter(([key, item]) => key.startsWith('meaning_') && item?.value?.word)
+    .map(([, item]) => {
+        const entry = item.value;
+        const lang = entry.lang || 'en';
+        const now = Date.now();
+        return {
+            id: vocabularyId(lang, entry.word),
+            word: entry.word,
+            lang,
+            sense: senseFromEntry(entry),
+            phonetic: entry.phonetic || '',
+            context: entry.context || '',
+            url: '',
+            pageTitle: '',
+            notes: '',
+            tags: [],
+            deck: '',
+            createdAt: now,
+            updatedAt: now,
+        };
+    });
+
+/**
+ * Builds a notebook record from a row of an imported word list.
+ * @param {object} item `{ word, meaning, partOfSpeech, phonetic, example, context, source, notes, tags, deck }`.
+ * @param {string} lang
+ * @param {number} now
+ * @returns {object}
+ */
+const recordFromImport = (item, lang, now) => ({
+    id: vocabularyId(lang, item.word),
+    word: item.word,
+    lang,
+    sense: { partOfSpeech: item.partOfSpeech || '', definition: item.meaning || '', example: item.example || '' },
+    phonetic: item.phonetic || '',
+    context: item.context || '',
+    url: '',
+    pageTitle: item.source || '',
+    notes: item.notes || '',
+    tags: normalizeTags(item.tags || []),
+    deck: normalizeLabel(item.deck),
+    createdAt: now,
+    updatedAt: now,
+});
+
+/**
+ * Combines two copies of a word. Fields of `primary` win; its empty fields are
+ * filled from `secondary`, tags are combined and different notes are both kept.
+ * The earlier creation date and any review state are kept.
+ * @param {object} primary
+ * @param {object} secondary
+ * @returns {object}
+ */
+const combineRecords = (primary, secondary) => {
+    const notes = [primary.notes, secondary.notes].filter(Boolean);
+    return {
+        ...secondary,
+        ...primary,
+        createdAt: Math.min(primary.createdAt || Infinity, secondary.createdAt || Infinity),
+        sense: {
+            partOfSpeech: primary.sense.partOfSpeech || secondary.sense.partOfSpeech,
+            definition: primary.sense.definition || secondary.sense.definition,
+            example: primary.sense.example || secondary.sense.example,
+        },
+        phonetic: primary.phonetic || secondary.phonetic,
+        context: primary.context || secondary.context,
+        url: primary.url || secondary.url,
+        pageTitle: primary.pageTitle || secondary.pageTitle,
+        notes: notes.length === 2 && notes[0] !== notes[1] ? notes.join('\n\n') : notes[0] || '',
+        tags: normalizeTags([...(primary.tags || []), ...(secondary.tags || [])]),
+        deck: primary.deck || secondary.deck || '',
+        ...(primary.review || secondary.review ? { review: primary.review || secondary.review } : {}),
+        updatedAt: Math.max(primary.updatedAt || 0, secondary.updatedAt || 0),
+    };
+};
+
+export const vocabulary = {
+    /**
+     * Saves a looked-up word, or updates it if it is already in the notebook.
+     * Notes and the original save date are kept.
+     * @param {object} entry The dictionary entry shown in the card.
+     * @param {object} [source]
+     * @param {string} [source.context] The sentence the word was selected from.
+     * @param {string} [source.url] The page the word was found on.
+     * @param {string} [source.pageTitle]
+     * @returns {Promise<object>} The stored notebook entry.
+     */
+    async save(entry, { context = '', url = '', pageTitle = '' } = {}) {
+        const lang = entry.lang || 'en';
+        const id = vocabularyId(lang, entry.word);
+        const existing = await dbGet('vocabulary', id);
+        const now = Date.now();
+        const record = {
+            ...existing,
+            id,
+            word: entry.word,
+            lang,
+            sense: senseFromEntry(entry),
+            phonetic: entry.phonetic || '',
+            context: context || entry.context || existing?.context || '',
+            url: url || existing?.url || '',
+            pageTitle: pageTitle || existing?.pageTitle || '',
+            notes: existing?.notes || '',
+            tags: existing?.tags || [],
+            deck: existing?.deck || '',
+            createdAt: existing?.createdAt || now,
+            updatedAt: now,
+        };
+        await dbPut('vocabulary', record);
+        return record;
+    },
+
+    /**
+     * Reads one entry.
+     * @param {string} lang
+     * @param {string} word
+     * @returns {Promise<object|undefined>}
+     */
+    get(lang, word) {
+        return dbGet('vocabulary', vocabularyId(lang, word));
+    },
+
+    /**
+     * Whether a word is in the notebook.
+     * @param {string} lang
+     * @param {string} word
+     * @returns {Promise<boolean>}
+     */
+    async has(lang, word) {
+        return Boolean(await dbGet('vocabulary', vocabularyId(lang, word)));
+    },
+
+    /**
+     * Lists notebook entries, most recently updated first.
+     * @param {number} [limit] Return at most this many entries.
+     * @param {object} [filter]
+     * @param {string} [filter.deck] Only list entries in this deck.
+     * @returns {Promise<Array<object>>}
+     */
+    async list(limit, { deck } = {}) {
+        // Entries saved before tags and decks existed have neither field.
+        let entries = (await dbGetAll('vocabulary', 'updatedAt')).reverse().map(entry => ({ tags: [], deck: '', ...entry }));
+        if (deck) entries = entries.filter(entry => entry.deck === deck);
+        return limit ? entries.slice(0, limit) : entries;
+    },
+
+    /**
+     * Lists the tags and decks in use, with how many entries carry each.
+     * @returns {Promise<{tags: Array<{name: string, count: number}>, decks: Array<{name: string, count: number}>}>}
+     */
+    async labels() {
+        const entries = await dbGetAll('vocabulary');
+        return {
+            tags: countLabels(entries.flatMap(entry => entry.tags || [])),
+            decks: countLabels(entries.map(entry => entry.deck).filter(Boolean)),
+        };
+    },
+
+    /**
+     * Renames tags or decks. Renaming to a name that is already in use merges
+     * them; renaming to an empty name removes the label from every entry.
+     * @param {'tag'|'deck'} kind
+     * @param {Array<string>} names The labels to rename.
+     * @param {string} newName
+     * @returns {Promise<number>} How many entries changed.
+     * @throws {Error} If `kind` is unknown.
+     */
+    async relabel(kind, names, newName) {
+        const field = LABEL_FIELDS[kind];
+        if (!field) throw new Error(`Unknown label kind: ${kind}`);
+        const from = new Set(names);
+        const to = normalizeLabel(newName);
+        const now = Date.now();
+
+        const changed = (await dbGetAll('vocabulary')).flatMap(entry => {
+            if (field === 'deck') {
+                return from.has(entry.deck) && entry.deck !== to ? [{ ...entry, deck: to, updatedAt: now }] : [];
+            }
+            const tags = entry.tags || [];
+            if (!tags.some(tag => from.has(tag))) return [];
+            return [{ ...entry, tags: normalizeTags(tags.map(tag => (from.has(tag) ? to : tag))), updatedAt: now }];
+        });
+        await dbPutMany('vocabulary', changed);
+        return changed.length;
+    },
+
+    /**
+     * Changes the editable fields of an entry.
+     * @param {string} id
+     * @param {object} changes Only `notes`, `sense`, `tags` and `deck` can be changed.
+     * @returns {Promise<object>} The updated entry.
+     * @throws {Error} If the entry doesn't exist.
+     */
+    async update(id, changes) {
+        const existing = await dbGet('vocabulary', id);
+        if (!existing) throw new Error('This word is no longer in your notebook.');
+        const record = { ...existing, updatedAt: Date.now() };
+        if (typeof changes.notes === 'string') record.notes = changes.notes;
+        if (changes.sense) record.sense = { ...existing.sense, ...changes.sense };
+        if (Array.isArray(changes.tags)) record.tags = normalizeTags(changes.tags);
+        if (typeof changes.deck === 'string') record.deck = normalizeLabel(changes.deck);
+        await dbPut('vocabulary', record);
+        return record;
+    },
+
+    /**
+     * Removes an entry.
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return dbDelete('vocabulary', id);
+    },
+
+    /**
+     * Builds a backup of the notebook, or of one deck.
+     * @param {object} [filter]
+     * @param {string} [filter.deck]
+     * @returns {Promise<object>}
+     */
+    async exportAll({ deck } = {}) {
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...(deck ? { deck } : {}),
+            entries: await this.list(undefined, { deck }),
+        };
+    },
+
+    /**
+     * Dry run of a word-list import: turns the rows into notebook records,
+     * folds repeated words into one and finds the words already in the notebook.
+     * @param {Array<object>} items Rows with at least a `word`.
+     * @param {string} lang The language of the words.
+     * @returns {Promise<{entries: Array<{record: object, existing: object|null}>, duplicates: number}>}
+     *   `duplicates` counts rows that repeated an earlier word of the file.
+     */
+    async planImport(items, lang) {
+        const now = Date.now();
+        const records = new Map();
+        let duplicates = 0;
+        for (const item of items) {
+            const record = recordFromImport(item, lang, now);
+            if (records.has(record.id)) {
+                records.set(record.id, combineRecords(records.get(record.id), record));
+                duplicates++;
+            } else {
+                records.set(record.id, record);
+            }
+        }
+        const existing = new Map((await dbGetAll('vocabulary')).map(entry => [entry.id, entry]));
+        return {
+            entries: Array.from(records.values(), record => ({ record, existing: existing.get(record.id) || null })),
+            duplicates,
+        };
+    },
+
+    /**
+     * Imports a word list. Words already in the notebook are merged (the notebook's
+     * fields win and empty ones are filled in), overwritten (the file's fields win)
+     * or skipped, as chosen per word. Tags are combined either way, and the review
+     * schedule is kept.
+     * @param {Array<object>} items Rows with at least a `word`.
+     * @param {string} lang
+     * @param {Object<string, string>} resolutions A value of `IMPORT_RESOLUTIONS` per conflicting id;
+     *   conflicts without one are skipped.
+     * @returns {Promise<{added: number, merged: number, overwritten: number, skipped: number, withoutDefinition: Array<string>}>}
+     *   `withoutDefinition` lists the ids of the written entries that still have no definition.
+     */
+    async applyImport(items, lang, resolutions = {}) {
+        const { entries } = await this.planImport(items, lang);
+        const counts = { added: 0, merged: 0, overwritten: 0, skipped: 0 };
+        const toWrite = [];
+        for (const { record, existing } of entries) {
+            const resolution = existing ? resolutions[record.id] : 'add';
+            if (resolution === 'add') {
+                toWrite.push(record);
+                counts.added++;
+            } else if (resolution === 'merge') {
+                toWrite.push(combineRecords(existing, record));
+                counts.merged++;
+            } else if (resolution === 'overwrite') {
+                toWrite.push(combineRecords(record, existing));
+                counts.overwritten++;
+            } else {
+                counts.skipped++;
+            }
+        }
+        await dbPutMany('vocabulary', toWrite);
+        return {
+            ...counts,
+            withoutDefinition: toWrite.filter(record => !record.sense.definition).map(record => record.id),
+        };
+    },
+
+    /**
+     * Fills in the definition of an imported word from a dictionary lookup.
+     * Entries that got a definition in the meantime are left alone.
+     * @param {string} id
+     * @param {object} entry The normalized dictionary entry.
+     * @returns {Promise<object|undefined>} The updated entry, if it changed.
+     */
+    async fillDefinition(id, entry) {
+        const existing = await dbGet('vocabulary', id);
+        if (!existing || existing.sense.definition) return undefined;
+        const sense = senseFromEntry(entry);
+        const record = {
+            ...existing,
+            sense: {
+                partOfSpeech: sense.partOfSpeech || existing.sense.partOfSpeech,
+                definition: sense.definition,
+                example: existing.sense.example || sense.example,
+            },
+            phonetic: existing.phonetic || entry.phonetic || '',
+            updatedAt: Date.now(),
+        };
+        await dbPut('vocabulary', record);
+        return record;
+    },
+
+    /**
+     * Merges a backup into the notebook. When a word is in both, the more recently
+     * updated copy wins. Old lookup-cache backups are converted on the way in.
+     * @param {object} backup A notebook backup or a legacy cache backup.
+     * @returns {Promise<{imported: number, skipped: number}>}
+     * @throws {Error} If the file is in neither format.
+     */
+    async importAll(backup) {
+        let entries;
+        if (backup?.format === EXPORT_FORMAT && Array.isArray(backup.entries)) {
+            entries = backup.entries.filter(e => e && e.word && e.lang);
+        } else if (backup && typeof backup === 'object' && Object.keys(backup).some(key => key.startsWith('meaning_'))) {
+            entries = entriesFromCacheBackup(backup);
+        } else {
+            throw new Error('Unrecognized backup format.');
+        }
+
+        const toWrite = [];
+        for (const entry of entries) {
+            const record = { ...entry, id: vocabularyId(entry.lang, entry.word) };
+            const existing = await dbGet('vocabulary', record.id);
+            if (!existing || (record.updatedAt || 0) > (existing.updatedAt || 0)) {
+                toWrite.push(record);
+            }
+        }
+        await dbPutMany('vocabulary', toWrite);
+        return { imported: toWrite.length, skipped: entries.length - toWrite.length };
+    },
+};
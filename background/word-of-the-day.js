@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Word of the day for WordUp.
+ *
+ * Picks one word per day, from the user's notebook (words due for review
+ * first) or from a small curated list bundled with the extension. The pick is
+ * stored in the `meta` store so the popup and the notification agree on it
+ * for the whole day.
+ */
+
+'use strict';
+
+import { dbGet, dbGetAll, dbPut } from './db.js';
+
+const CURATED_LIST_URL = 'data/word-of-the-day.json';
+const META_KEY = 'wordOfTheDay';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Where the word of the day comes from; labels are shown on the options page.
+export const WORD_SOURCES = {
+    notebook: 'My saved words (due for review first)',
+    curated: 'WordUp’s curated list',
+};
+
+export const DEFAULT_WORD_OF_THE_DAY_SETTINGS = {
+    enabled: true,
+    time: '09:00', // Local time of the daily notification
+    source: 'notebook',
+};
+
+let curatedPromise = null;
+
+/**
+ * Loads the bundled list once per service worker lifetime.
+ * @returns {Promise<Array<object>>} `{ word, partOfSpeech, definition, example }` entries.
+ */
+const loadCuratedWords = () => {
+    if (!curatedPromise) {
+        curatedPromise = fetch(chrome.runtime.getURL(CURATED_LIST_URL))
+            .then(response => response.json())
+            .then(pack => pack.entries)
+            .catch(error => {
+                curatedPromise = null;
+                throw error;
+            });
+    }
+    return curatedPromise;
+};
+
+/**
+ * The local date of `now` as YYYY-MM-DD.
+ * @param {number} now
+ * @returns {string}
+ */
+const dateKey = (now) => {
+    const date = new Date(now);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+};
+
+/**
+ * Picks an item for the day, cycling through the list one item per day. Days
+ * are counted by the local date, like `dateKey`, so the pick changes at local midnight.
+ * @param {Array} items
+ * @param {number} now
+ * @returns {*}
+ */
+const pickForDay = (items, now) => {
+    const [year, month, day] = dateKey(now).split('-').map(Number);
+    return items[Math.floor(Date.UTC(year, month - 1, day) / DAY) % items.length];
+};
+
+/**
+ * The next time the daily notification should fire.
+ * @param {string} time Local time as HH:MM.
+ * @param {number} [now=Date.now()]
+ * @returns {number} A timestamp later than `now`.
+ */
+export function nextOccurrence(time, now = Date.now()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(now);
+    next.setHours(hours || 0, minutes || 0, 0, 0);
+    if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+    return next.getTime();
+}
+
+/**
+ * Picks from the notebook: words due for review, then words never reviewed,
+ * then any saved word.
+ * @param {number} now
+ * @returns {Promise<object|null>} Null when the notebook is empty.
+ */
+const pickFromNotebook = async (now) => {
+    const entries = await dbGetAll('vocabulary');
+    if (entries.length === 0) return null;
+    const due = entries.filter(entry => entry.review && entry.review.due <= now);
+    const fresh = entries.filter(entry => !entry.review);
+    const pool = [due, fresh, entries].find(list => list.length > 0);
+    const entry = pickForDay(pool.sort((a, b) => a.createdAt - b.createdAt), now);
+    return { id: entry.id, word: entry.word, lang: entry.lang, sense: entry.sense, source: 'notebook' };
+};
+
+/**
+ * Picks from the bundled list.
+ * @param {number} now
+ * @returns {Promise<object>}
+ */
+const pickFromCuratedList = async (now) => {
+    const { word, partOfSpeech, definition, example } = pickForDay(await loadCuratedWords(), now);
+    return { word, lang: 'en', sense: { partOfSpeech, definition, example }, source: 'curated' };
+};
+
+export const wordOfTheDay = {
+    /**
+     * Returns today's word, picking it if it hasn't been picked yet today (or
+     * the source setting changed since).
+     * @param {object} settings `{ source }`.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<{word: string, lang: string, sense: object, source: string, date: string, id?: string}>}
+     */
+    async get(settings, now = Date.now()) {
+        const date = dateKey(now);
+        const stored = await dbGet('meta', META_KEY);
+        if (stored && stored.date === date && stored.requestedSource === settings.source) {
+            return stored.pick;
+        }
+
+        const notebookPick = settings.source === 'notebook' ? await pickFromNotebook(now) : null;
+        const pick = { ...(notebookPick || await pickFromCuratedList(now)), date };
+        await dbPut('meta', { key: META_KEY, date, requestedSource: settings.source, pick });
+        return pick;
+    },
+};
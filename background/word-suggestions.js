@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Word suggestions for WordUp.
+ *
+ * Completes what is typed in the popup's search box and suggests spellings
+ * when no dictionary knows a word. Both draw on the user's own words first
+ * (the notebook and the lookup history), then on a word frequency list
+ * bundled with the extension; spelling suggestions also consider every
+ * headword of the offline lexicon.
+ */
+
+'use strict';
+
+import { rankSpellingSuggestions } from '../libs/utils.js';
+import { lookupHistory } from './lookup-history.js';
+import { offlineLexicon } from './offline-lexicon.js';
+import { vocabulary } from './vocabulary.js';
+
+const FREQUENCY_LIST_URL = 'data/word-frequency.json';
+const DEFAULT_COMPLETION_LIMIT = 8;
+
+let frequencyPromise = null;
+
+/**
+ * Loads the bundled frequency list once per service worker lifetime.
+ * @returns {Promise<{lang: string, words: Array<string>}>} Words most frequent first.
+ */
+const loadFrequencyList = () => {
+    if (!frequencyPromise) {
+        frequencyPromise = fetch(chrome.runtime.getURL(FREQUENCY_LIST_URL))
+            .then(response => response.json())
+            .then(pack => ({ lang: pack.lang || 'en', words: pack.words }))
+            .catch(error => {
+                frequencyPromise = null;
+                throw error;
+            });
+    }
+    return frequencyPromise;
+};
+
+/**
+ * The frequency list's words for a language; there is only an English list.
+ * @param {string} lang
+ * @returns {Promise<Array<string>>}
+ */
+const frequentWords = async (lang) => {
+    const list = await loadFrequencyList();
+    return list.lang === lang ? list.words : [];
+};
+
+/**
+ * The user's own words in a language: notebook words, most recently updated
+ * first, then words from the lookup history, newest first.
+ * @param {string} lang
+ * @returns {Promise<{notebook: Array<string>, history: Array<string>}>}
+ */
+const personalWords = async (lang) => {
+    const [entries, history] = await Promise.all([vocabulary.list(), lookupHistory.words(lang)]);
+    return {
+        notebook: entries.filter(entry => entry.lang === lang).map(entry => entry.word),
+        history,
+    };
+};
+
+export const wordSuggestions = {
+    /**
+     * Completes a prefix, with the user's words before frequent ones.
+     * @param {string} prefix
+     * @param {string} lang
+     * @param {number} [limit=8]
+     * @returns {Promise<Array<{word: string, source: 'notebook'|'history'|'common'}>>}
+     */
+    async complete(prefix, lang, limit = DEFAULT_COMPLETION_LIMIT) {
+        const start = prefix.trim().toLowerCase();
+        if (!start) return [];
+        const [{ notebook, history }, common] = await Promise.all([
+            personalWords(lang),
+            frequentWords(lang).catch(() => []),
+        ]);
+        const seen = new Set([start]);
+        const completions = [];
+        [['notebook', notebook], ['history', history], ['common', common]].forEach(([source, words]) => {
+            words.forEach(word => {
+                const normalized = word.toLowerCase();
+                if (completions.length >= limit || seen.has(normalized) || !normalized.startsWith(start)) return;
+                seen.add(normalized);
+                completions.push({ word, source });
+            });
+        });
+        return completions;
+    },
+
+    /**
+     * Suggests known words spelled like one no dictionary found.
+     * @param {string} query A normalized query.
+     * @param {string} lang
+     * @returns {Promise<Array<string>>}
+     */
+    async didYouMean(query, lang) {
+        const [{ notebook, history }, common, lexicon] = await Promise.all([
+            personalWords(lang),
+            frequentWords(lang).catch(() => []),
+            offlineLexicon.words(lang).catch(() => []),
+        ]);
+        return rankSpellingSuggestions(query, [...notebook, ...history, ...common, ...lexicon]);
+    },
+};
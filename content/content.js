@@ -1,4 +1,4 @@
-/* global selectionUI */
+/* global selectionUI, pageAnnotator, shortcutKeys */
 
 /**
  * @fileoverview Content script for WordUp.
@@ -14,14 +14,59 @@
         IDLE: 'IDLE', // No selection UI is active
         SHOWING_OPTIONS: 'SHOWING_OPTIONS', // The initial UI (definition or rewrite options) is visible
         AWAITING_REWRITE: 'AWAITING_REWRITE', // Waiting for the rewrite API response
-        REWRITE_RESULT_VISIBLE: 'REWRITE_RESULT_VISIBLE' // The rewritten text is being displayed,
+        REWRITE_RESULT_VISIBLE: 'REWRITE_RESULT_VISIBLE', // The rewritten text is being displayed,
+        AWAITING_TRANSLATION: 'AWAITING_TRANSLATION', // Waiting for the translation API response
+        TRANSLATION_VISIBLE: 'TRANSLATION_VISIBLE' // The translation is being displayed
     };
+    // States in which a new selection must not replace the card.
+    const LOCKED_STATES = [
+        STATE.AWAITING_REWRITE,
+        STATE.REWRITE_RESULT_VISIBLE,
+        STATE.AWAITING_TRANSLATION,
+        STATE.TRANSLATION_VISIBLE,
+    ];
     let currentState = STATE.IDLE;
     let lastSelectionRect = null; // Store the position of the last valid selection
     let lastSelectionRange = null; // Store the Range object for insertion
+    let lastSelectionLang = null; // Detected language of the last selection, if any
+    let exploreStack = []; // Entries visited from the original lookup via synonym/antonym pills
+    let knownLabels = null; // Tags and decks in the notebook, suggested in the card's label picker
+    let rewritePresets = []; // The user's rewrite presets, in the order the card lists them
+    let rewriteStream = null; // The rewrite being streamed: its port, original text and the alternatives so far
 
     // --- Configuration ---
     const DEBOUNCE_DELAY = 200;
+    const MAX_CONTEXT_LENGTH = 300; // Longest surrounding sentence sent with a lookup
+    const MAX_PARAGRAPH_LENGTH = 1500; // Longest surrounding paragraph sent with a rewrite
+    const PHRASE_MAX_WORDS = 5; // Longer selections are always treated as sentences
+    // Elements treated as the paragraph a selection lives in when looking for its sentence.
+    const BLOCK_SELECTOR = 'p, li, dd, dt, td, th, blockquote, figcaption, pre, h1, h2, h3, h4, h5, h6, article, section, div';
+    // Scripts that identify a language on their own.
+    const SCRIPT_LANGUAGES = [
+        [/[\u3040-\u30ff]/, 'ja'],
+        [/[\uac00-\ud7af]/, 'ko'],
+        [/[\u4e00-\u9fff]/, 'zh'],
+        [/[\u0400-\u04ff]/, 'ru'],
+        [/[\u0600-\u06ff]/, 'ar'],
+        [/[\u0900-\u097f]/, 'hi'],
+    ];
+    // Letters that are (nearly) unique to one Latin-script language.
+    const DIACRITIC_LANGUAGES = [
+        [/[ñ¿¡]/i, 'es'],
+        [/[ßäöü]/i, 'de'],
+        [/[çœêèàù]/i, 'fr'],
+        [/[ãõ]/i, 'pt'],
+        [/[ığş]/i, 'tr'],
+    ];
+    // Very common function words, used to guess the language of the surrounding sentence.
+    const STOPWORD_LANGUAGES = {
+        en: ['the', 'and', 'is', 'of', 'to', 'that', 'with', 'it', 'for', 'was'],
+        es: ['el', 'los', 'las', 'que', 'y', 'es', 'por', 'una', 'con', 'del'],
+        fr: ['le', 'les', 'des', 'est', 'et', 'une', 'du', 'pas', 'dans', 'qui'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'den'],
+        it: ['il', 'che', 'di', 'non', 'della', 'per', 'gli', 'sono', 'una', 'nel'],
+        pt: ['os', 'que', 'não', 'uma', 'com', 'para', 'são', 'mais', 'dos', 'das'],
+    };
     // Selectors for other extension UIs to avoid conflicts.
     const CONFLICTING_SELECTORS = [
         // Example: A selector for another known conflicting extension.
@@ -49,6 +94,120 @@
         return false;
     };
 
+    /**
+     * Extracts the sentence around a selection from its enclosing block element.
+     * @param {Range|null} range - The selection range; null for cards not opened from a selection.
+     * @returns {string} The sentence containing the selection, or '' if it can't be determined.
+     */
+    const getSurroundingSentence = (range) => {
+        if (!range) return '';
+        try {
+            const startNode = range.startContainer.nodeType === Node.TEXT_NODE
+                ? range.startContainer.parentElement
+                : range.startContainer;
+            const block = (startNode && startNode.closest(BLOCK_SELECTOR)) || document.body;
+            const text = block.textContent || '';
+
+            // Measure the offset of the selection within the block's text.
+            const prefixRange = document.createRange();
+            prefixRange.setStart(block, 0);
+            prefixRange.setEnd(range.startContainer, range.startOffset);
+            const start = prefixRange.toString().length;
+            const end = start + range.toString().length;
+
+            // Walk out to the nearest sentence boundaries on either side.
+            const boundaryBefore = text.slice(0, start).search(/[.!?]\s+[^.!?]*$/);
+            const sentenceStart = boundaryBefore === -1 ? 0 : boundaryBefore + 1;
+            const boundaryAfter = text.slice(end).search(/[.!?](\s|$)/);
+            const sentenceEnd = boundaryAfter === -1 ? text.length : end + boundaryAfter + 1;
+
+            let sentence = text.slice(sentenceStart, sentenceEnd).replace(/\s+/g, ' ').trim();
+            if (sentence.length > MAX_CONTEXT_LENGTH) {
+                // Keep a window centred on the selection for very long "sentences" (e.g. lists without punctuation).
+                const centre = Math.max(0, start - sentenceStart - MAX_CONTEXT_LENGTH / 2);
+                sentence = sentence.slice(centre, centre + MAX_CONTEXT_LENGTH).trim();
+            }
+            return sentence;
+        } catch (e) {
+            return '';
+        }
+    };
+
+    /**
+     * Extracts the paragraph around a selection, for rewrite prompts that use the
+     * page context. Long blocks are cut to a window around the selection.
+     * @param {Range} range - The selection range.
+     * @returns {string} The paragraph, or '' if it can't be determined.
+     */
+    const getSurroundingParagraph = (range) => {
+        try {
+            const startNode = range.startContainer.nodeType === Node.TEXT_NODE
+                ? range.startContainer.parentElement
+                : range.startContainer;
+            const block = (startNode && startNode.closest(BLOCK_SELECTOR)) || document.body;
+            const text = (block.textContent || '').replace(/\s+/g, ' ').trim();
+            if (text.length <= MAX_PARAGRAPH_LENGTH) return text;
+
+            const start = Math.max(0, text.indexOf(range.toString().replace(/\s+/g, ' ').trim()));
+            const from = Math.max(0, start - MAX_PARAGRAPH_LENGTH / 2);
+            return text.slice(from, from + MAX_PARAGRAPH_LENGTH).trim();
+        } catch (e) {
+            return '';
+        }
+    };
+
+    /**
+     * Guesses a language from the text itself: first by script, then by distinctive
+     * letters in the word, then by counting function words in the sentence.
+     * @param {string} word - The selected word.
+     * @param {string} sentence - The surrounding sentence.
+     * @returns {{lang: string, confident: boolean}|null}
+     */
+    const detectLanguageFromText = (word, sentence) => {
+        for (const [pattern, lang] of SCRIPT_LANGUAGES) {
+            if (pattern.test(word)) return { lang, confident: true };
+        }
+        for (const [pattern, lang] of DIACRITIC_LANGUAGES) {
+            if (pattern.test(word)) return { lang, confident: true };
+        }
+
+        const tokens = sentence.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+        let best = null;
+        let bestHits = 0;
+        for (const [lang, stopwords] of Object.entries(STOPWORD_LANGUAGES)) {
+            const hits = tokens.filter(token => stopwords.includes(token)).length;
+            if (hits > bestHits) {
+                best = lang;
+                bestHits = hits;
+            }
+        }
+        return best ? { lang: best, confident: bestHits >= 3 } : null;
+    };
+
+    /**
+     * Detects the language of a selection from the nearest `lang` attribute and a text heuristic.
+     * A confident text signal wins over the markup, since pages often quote other languages
+     * without tagging them.
+     * @param {Range|null} range - The selection range; null for cards not opened from a selection.
+     * @param {string} word - The selected text.
+     * @param {string} sentence - The surrounding sentence.
+     * @returns {string|null} A two-letter language code, or null to use the user's target language.
+     */
+    const detectLanguage = (range, word, sentence) => {
+        const guess = detectLanguageFromText(word, sentence);
+        if (guess && guess.confident) return guess.lang;
+        if (!range) return guess ? guess.lang : null;
+
+        const startNode = range.startContainer.nodeType === Node.TEXT_NODE
+            ? range.startContainer.parentElement
+            : range.startContainer;
+        const declared = startNode && startNode.closest('[lang]');
+        if (declared && declared.lang) {
+            return declared.lang.split('-')[0].toLowerCase();
+        }
+        return guess ? guess.lang : null;
+    };
+
     /**
      * Checks if a known conflicting UI element is visible near the selection.
      * @param {DOMRect} selectionRect - The bounding rectangle of the user's selection.
@@ -70,18 +229,71 @@
         return false;
     };
 
+    /**
+     * Classifies a selection as a single word, a short phrase (an idiom, a name,
+     * a compound) or a sentence. Phrases are short and have no sentence punctuation
+     * other than at the very end.
+     * @param {string} text The trimmed selection.
+     * @returns {'word'|'phrase'|'sentence'}
+     */
+    const classifySelection = (text) => {
+        const words = text.split(/\s+/);
+        if (words.length === 1) return 'word';
+        const body = text.replace(/[.!?…]+["'”’)]*$/, '');
+        return words.length <= PHRASE_MAX_WORDS && !/[.!?;:…]/.test(body) ? 'phrase' : 'sentence';
+    };
+
+    /**
+     * Looks up a word or phrase from the current selection and shows its definition.
+     * @param {string} text The selected word or phrase.
+     */
+    const requestDefinition = (text) => {
+        // Show loading state, then fetch definition
+        selectionUI.show({
+            view: 'loading',
+            rect: lastSelectionRect
+        });
+        currentState = STATE.SHOWING_OPTIONS;
+
+        // Before sending, check if the runtime is still connected.
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        const context = getSurroundingSentence(lastSelectionRange);
+        // Cards opened without a selection (hovering a highlighted word) keep the language they show.
+        const lang = lastSelectionRange
+            ? detectLanguage(lastSelectionRange, text, context)
+            : (exploreStack.length > 0 && exploreStack[exploreStack.length - 1].lang) || lastSelectionLang;
+        lastSelectionLang = lang;
+        chrome.runtime.sendMessage({ type: 'lookup', payload: { text, context, lang } }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error(`WordUp: Error during lookup: ${chrome.runtime.lastError.message}`);
+                return selectionUI.show({ view: 'error', rect: lastSelectionRect, error: 'Could not connect to the service.' });
+            }
+            // Only handle the response if there was no error.
+            handleServiceWorkerResponse(response, lastSelectionRect, text);
+        });
+    };
+
     /**
      * Main handler for text selection. Determines context and shows the appropriate UI.
+     * @param {MouseEvent} [event] - The triggering mouseup event, if any.
      */
-    const handleTextSelection = () => {
+    const handleTextSelection = (event) => {
         // Gracefully exit if the script is running in a sandboxed iframe (like the PDF viewer)
         // where it cannot create its UI. The context menu will handle this case.
         if (window.self !== window.top && !document.body) {
             return;
         }
 
-        // Do not trigger a new selection UI if the user is viewing a rewrite result.
-        if (currentState === STATE.REWRITE_RESULT_VISIBLE || currentState === STATE.AWAITING_REWRITE) return;
+        // Clicks inside the card (e.g. expanding senses) are not a new selection.
+        const card = document.getElementById('wordup-selection-card');
+        if (event && card && card.contains(event.target)) return;
+
+        // Do not trigger a new selection UI if the user is viewing a rewrite or translation result.
+        if (LOCKED_STATES.includes(currentState)) return;
 
         const selection = window.getSelection();
         if (!selection || selection.isCollapsed) {
@@ -102,36 +314,28 @@
             return;
         }
 
-        const isSingleWord = !/\s/.test(selectionText);
+        const kind = classifySelection(selectionText);
 
-        if (isSingleWord) {
-            // Show loading state, then fetch definition
+        if (kind === 'word') {
+            requestDefinition(selectionText);
+        } else if (kind === 'phrase') {
+            lastSelectionLang = detectLanguage(lastSelectionRange, selectionText, getSurroundingSentence(lastSelectionRange));
+            // A phrase may be an idiom to define or a fragment to rewrite, so offer both.
             selectionUI.show({
-                view: 'loading',
-                rect: lastSelectionRect
+                view: 'phrase-options',
+                rect: lastSelectionRect,
+                text: selectionText,
+                presets: rewritePresets
             });
             currentState = STATE.SHOWING_OPTIONS;
-
-            // Before sending, check if the runtime is still connected.
-            if (!chrome.runtime?.id) {
-                console.warn('WordUp: Extension context invalidated. Please reload the page.');
-                return disableAllListeners();
-            }
-
-            chrome.runtime.sendMessage({ type: 'lookup', payload: { text: selectionText } }, (response) => {
-                if (chrome.runtime.lastError) {
-                    console.error(`WordUp: Error during lookup: ${chrome.runtime.lastError.message}`);
-                    return selectionUI.show({ view: 'error', rect: lastSelectionRect, error: 'Could not connect to the service.' });
-                }
-                // Only handle the response if there was no error.
-                handleServiceWorkerResponse(response, lastSelectionRect, selectionText);
-            });
         } else {
+            lastSelectionLang = detectLanguage(lastSelectionRange, selectionText, selectionText);
             // Show rewrite options for sentences
             selectionUI.show({
                 view: 'rewrite-options',
                 rect: lastSelectionRect,
-                text: selectionText
+                text: selectionText,
+                presets: rewritePresets
             });
             currentState = STATE.SHOWING_OPTIONS;
         }
@@ -156,7 +360,8 @@
 
         if (response && response.success) {
             if (response.type === 'definition') {
-                selectionUI.show({ view: 'definition', rect, data: response.data });
+                exploreStack = [response.data];
+                showExploreTop(rect);
             } else if (response.type === 'rewritten') {
                 // Add a small delay to ensure the loading state is visible, making the transition smoother.
                 setTimeout(() => {
@@ -166,9 +371,13 @@
                         view: 'rewritten-text',
                         rect, data: response.data,
                         originalText,
-                        isEditable
+                        isEditable,
+                        lang: lastSelectionLang
                     });
                 }, 100); // 100ms delay
+            } else if (response.type === 'translation') {
+                currentState = STATE.TRANSLATION_VISIBLE; // Lock the UI open
+                selectionUI.show({ view: 'translation', rect, data: response.data });
             }
         } else {
             // Handle API errors
@@ -181,12 +390,40 @@
                     error: response.error || 'The default model is currently overloaded. Try the stable model.'
                 });
             } else {
-                selectionUI.show({ view: 'error', rect, error: response ? response.error : 'An unknown error occurred.' });
+                selectionUI.show({
+                    view: 'error',
+                    rect,
+                    error: response ? response.error : 'An unknown error occurred.',
+                    suggestions: response?.suggestions,
+                });
             }
             currentState = STATE.SHOWING_OPTIONS; // Allow user to try again
         }
     };
 
+    /**
+     * Shows the definition at the top of the explore stack, with the breadcrumb trail.
+     * @param {DOMRect} rect - The selection rectangle to anchor the card to.
+     */
+    const showExploreTop = (rect) => {
+        const entry = exploreStack[exploreStack.length - 1];
+        selectionUI.show({
+            view: 'definition',
+            rect,
+            data: entry,
+            trail: exploreStack.map(item => item.word),
+            labels: knownLabels,
+        });
+        // The label picker of a saved word suggests existing tags and decks; fetch them the first time one is shown.
+        if (entry.saved && !knownLabels && chrome.runtime?.id) {
+            chrome.runtime.sendMessage({ type: 'getLabels' }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) return;
+                knownLabels = response.data;
+                if (exploreStack[exploreStack.length - 1] === entry) showExploreTop(rect);
+            });
+        }
+    };
+
     // --- Event Listeners ---
     const debouncedMouseupHandler = debounce(handleTextSelection, DEBOUNCE_DELAY);
     
@@ -200,6 +437,7 @@
         if (isClickOutside) {
             // If the user clicks away, always hide the UI and reset the state.
             // This provides a more predictable experience than leaving the rewrite card open.
+            stopRewrite();
             selectionUI.hide();
             currentState = STATE.IDLE;
         } else if (currentState === STATE.SHOWING_OPTIONS) {
@@ -214,7 +452,23 @@
         if (event.ctrlKey && event.shiftKey && (event.key === 'L' || event.key === 'l')) {
             event.preventDefault();
             handleTextSelection();
+            return;
         }
+
+        // A preset's shortcut rewrites the selection without showing the options first.
+        // Presets saved with an editing shortcut (e.g. Ctrl+C) never override it.
+        const shortcut = shortcutKeys.fromEvent(event);
+        const preset = shortcut && !shortcutKeys.isEditing(shortcut) && rewritePresets.find(candidate => candidate.shortcut === shortcut);
+        if (!preset || LOCKED_STATES.includes(currentState)) return;
+        const selection = window.getSelection();
+        const selectionText = selection ? selection.toString().trim() : '';
+        if (selectionText.length < 2) return;
+
+        event.preventDefault();
+        lastSelectionRect = selection.getRangeAt(0).getBoundingClientRect();
+        lastSelectionRange = selection.getRangeAt(0);
+        lastSelectionLang = detectLanguage(lastSelectionRange, selectionText, selectionText);
+        requestRewrite(selectionText, preset.id);
     };
 
     const disableAllListeners = () => {
@@ -223,9 +477,13 @@
         document.removeEventListener('mousedown', handleMouseDown);
     };
 
-    // Listen for rewrite requests from the UI script
-    document.addEventListener('wordup-rewrite-request', (event) => {
-        const { text, tone, model } = event.detail; // model can be 'stable'
+    /**
+     * Rewrites the last selection with one of the user's presets and shows the result.
+     * @param {string} text The selected text.
+     * @param {string} preset The preset's id.
+     * @param {string} [model] The Gemini model to use; can be 'stable'.
+     */
+    const requestRewrite = (text, preset, model) => {
         // Use the stored rectangle from the last valid selection.
         // This prevents errors if the user's click on a button deselects the text.
         if (!lastSelectionRect) return;
@@ -239,17 +497,245 @@
             return disableAllListeners();
         }
 
-        chrome.runtime.sendMessage({ type: 'rewriteTone', payload: { text, tone, model } }, (response) => {
-            if (chrome.runtime.lastError) {
-                if (chrome.runtime.lastError.message.includes('Extension context invalidated')) {
-                    console.warn('WordUp: Context invalidated, please reload the page.');
-                    disableAllListeners(); // Stop listening to prevent further errors.
-                    return;
+        const context = lastSelectionRange ? getSurroundingParagraph(lastSelectionRange) : '';
+        const port = chrome.runtime.connect({ name: 'rewrite' });
+        const stream = { port, texts: [], originalText: text };
+        rewriteStream = stream;
+
+        port.onMessage.addListener((message) => {
+            if (rewriteStream !== stream) return;
+            if (message.type === 'partial') {
+                // The first part replaces the loader; later ones only update the text.
+                if (stream.texts.length > 0) {
+                    selectionUI.updateRewrite(message.texts);
+                } else {
+                    selectionUI.show({ view: 'rewritten-text', rect: lastSelectionRect, data: message.texts, streaming: true });
                 }
-                console.error(`WordUp: Error during rewrite: ${chrome.runtime.lastError.message}`);
+                stream.texts = message.texts;
+            } else if (message.type === 'done') {
+                rewriteStream = null;
+                port.disconnect();
+                handleServiceWorkerResponse(message.response, lastSelectionRect, text);
+            }
+        });
+        port.onDisconnect.addListener(() => {
+            if (rewriteStream !== stream) return;
+            rewriteStream = null;
+            const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : '';
+            if (error.includes('Extension context invalidated')) {
+                console.warn('WordUp: Context invalidated, please reload the page.');
+                disableAllListeners(); // Stop listening to prevent further errors.
+                return;
+            }
+            console.error(`WordUp: Error during rewrite: ${error || 'the service worker closed the connection.'}`);
+            selectionUI.show({ view: 'error', rect: lastSelectionRect, error: 'Could not connect to the service.' });
+        });
+        port.postMessage({ text, preset, context, title: document.title, model });
+    };
+
+    /**
+     * Stops the rewrite being streamed, if any. Closing the port aborts the request.
+     * @returns {object|null} The stopped stream.
+     */
+    const stopRewrite = () => {
+        const stream = rewriteStream;
+        if (!stream) return null;
+        rewriteStream = null;
+        stream.port.disconnect();
+        return stream;
+    };
+
+    /**
+     * Loads the user's rewrite presets from the service worker.
+     */
+    const loadRewritePresets = () => {
+        if (!chrome.runtime?.id) return;
+        chrome.runtime.sendMessage({ type: 'getRewritePresets' }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                console.warn('WordUp: Could not load the rewrite presets.');
+                return;
+            }
+            rewritePresets = response.data;
+        });
+    };
+
+    // Listen for rewrite requests from the UI script
+    document.addEventListener('wordup-rewrite-request', (event) => {
+        const { text, preset, model } = event.detail; // model can be 'stable'
+        requestRewrite(text, preset, model);
+    });
+
+    // Listen for the Stop button: keep what was written so far, if anything.
+    document.addEventListener('wordup-rewrite-stop', () => {
+        const stream = stopRewrite();
+        if (!stream) return;
+        // Every alternative keeps its place, so the pager stays on the one being read.
+        const texts = stream.texts.map(text => text.trim());
+        if (texts.some(Boolean)) {
+            handleServiceWorkerResponse({ success: true, type: 'rewritten', data: texts }, lastSelectionRect, stream.originalText);
+        } else {
+            selectionUI.hide();
+            currentState = STATE.IDLE;
+        }
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'sync' && changes.rewritePresets) loadRewritePresets();
+    });
+
+    // Listen for "Define phrase" clicks from the UI script
+    document.addEventListener('wordup-define-request', (event) => {
+        if (!lastSelectionRect) return;
+        requestDefinition(event.detail.text);
+    });
+
+    // Listen for "Save word" clicks: add the word on top of the explore stack to the notebook.
+    document.addEventListener('wordup-save-request', () => {
+        const entry = exploreStack[exploreStack.length - 1];
+        if (!lastSelectionRect || !entry) return;
+
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        // Only the originally selected word was read in this page's sentence.
+        const context = exploreStack.length === 1 && lastSelectionRange ? getSurroundingSentence(lastSelectionRange) : '';
+        const payload = { entry, context, url: location.href, pageTitle: document.title };
+        chrome.runtime.sendMessage({ type: 'saveWord', payload }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                return selectionUI.show({
+                    view: 'error',
+                    rect: lastSelectionRect,
+                    error: (response && response.error) || 'Could not save the word.',
+                });
+            }
+            const { id, tags, deck } = response.data;
+            exploreStack[exploreStack.length - 1] = { ...entry, saved: true, notebook: { id, tags: tags || [], deck: deck || '' } };
+            showExploreTop(lastSelectionRect);
+            pageAnnotator.refresh(); // Underline the new word if highlighting is on
+        });
+    });
+
+    // Listen for tag and deck changes in the card's label picker of a saved word.
+    document.addEventListener('wordup-labels-request', (event) => {
+        const entry = exploreStack[exploreStack.length - 1];
+        if (!lastSelectionRect || !entry || !entry.notebook) return;
+
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        const { tags, deck } = event.detail;
+        chrome.runtime.sendMessage({ type: 'updateWord', payload: { id: entry.notebook.id, changes: { tags, deck } } }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                return selectionUI.show({
+                    view: 'error',
+                    rect: lastSelectionRect,
+                    error: (response && response.error) || 'Could not update the word.',
+                });
+            }
+            knownLabels = null; // A new tag or deck may have been created
+            exploreStack[exploreStack.length - 1] = {
+                ...entry,
+                notebook: { ...entry.notebook, tags: response.data.tags, deck: response.data.deck },
+            };
+            showExploreTop(lastSelectionRect);
+        });
+    });
+
+    // Listen for hovers on highlighted notebook words: show the card from the cache, without a network request.
+    document.addEventListener('wordup-annotation-hover', (event) => {
+        const { word, lang, rect } = event.detail;
+        if (LOCKED_STATES.includes(currentState)) return;
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return; // Don't replace the card for a selection
+
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        chrome.runtime.sendMessage({ type: 'lookup', payload: { text: word, lang, cacheOnly: true } }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) return;
+            lastSelectionRect = rect;
+            lastSelectionRange = null;
+            lastSelectionLang = lang;
+            currentState = STATE.SHOWING_OPTIONS;
+            handleServiceWorkerResponse(response, rect, word);
+        });
+    });
+
+    // Listen for play buttons: pronunciations and reading rewritten text aloud
+    document.addEventListener('wordup-speak-request', (event) => {
+        const { text, lang, audio } = event.detail;
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+        chrome.runtime.sendMessage({ type: 'speak', payload: { text, lang: lang || lastSelectionLang, audio } }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.warn('WordUp: Could not play pronunciation.', chrome.runtime.lastError?.message || response?.error);
+            }
+        });
+    });
+
+    // Listen for synonym/antonym pill clicks: look up the word and add it to the trail.
+    document.addEventListener('wordup-explore-request', (event) => {
+        const { word } = event.detail;
+        if (!lastSelectionRect || exploreStack.length === 0) return;
+
+        selectionUI.show({ view: 'loading', rect: lastSelectionRect });
+
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        const lang = exploreStack[exploreStack.length - 1].lang || lastSelectionLang;
+        chrome.runtime.sendMessage({ type: 'lookup', payload: { text: word, lang } }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                return selectionUI.show({
+                    view: 'error',
+                    rect: lastSelectionRect,
+                    error: (response && response.error) || 'Could not connect to the service.',
+                    suggestions: response?.suggestions,
+                });
+            }
+            exploreStack.push(response.data);
+            showExploreTop(lastSelectionRect);
+        });
+    });
+
+    // Listen for breadcrumb and back clicks: return to an earlier word without a new lookup.
+    document.addEventListener('wordup-crumb-request', (event) => {
+        const { index } = event.detail;
+        if (!lastSelectionRect || !exploreStack[index]) return;
+        exploreStack = exploreStack.slice(0, index + 1);
+        showExploreTop(lastSelectionRect);
+    });
+
+    // Listen for translate requests from the UI script
+    document.addEventListener('wordup-translate-request', (event) => {
+        const { text, lang } = event.detail;
+        if (!lastSelectionRect) return;
+
+        currentState = STATE.AWAITING_TRANSLATION;
+        selectionUI.show({ view: 'loading', rect: lastSelectionRect });
+
+        // Before sending, check if the runtime is still connected.
+        if (!chrome.runtime?.id) {
+            console.warn('WordUp: Extension context invalidated. Please reload the page.');
+            return disableAllListeners();
+        }
+
+        chrome.runtime.sendMessage({ type: 'translate', payload: { text, lang: lang || lastSelectionLang } }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error(`WordUp: Error during translation: ${chrome.runtime.lastError.message}`);
+                currentState = STATE.SHOWING_OPTIONS;
                 return selectionUI.show({ view: 'error', rect: lastSelectionRect, error: 'Could not connect to the service.' });
             }
-            // Only handle the response if there was no error.
             handleServiceWorkerResponse(response, lastSelectionRect, text);
         });
     });
@@ -274,4 +760,5 @@
     document.addEventListener('mouseup', debouncedMouseupHandler);
     document.addEventListener('keydown', handleKeyDown);
     document.addEventListener('mousedown', handleMouseDown);
+    loadRewritePresets();
 })();
\ No newline at end of file
@@ -0,0 +1,409 @@
+/* exported entryRenderer */
+
+/**
+ * @fileoverview Renders a dictionary entry for WordUp.
+ * Shared by the in-page card (selection-ui.js) and the toolbar popup, so both
+ * show the same entry: phonetic and play button, every sense with its
+ * examples, synonym/antonym pills, actions and the tag/deck picker of a saved
+ * word. The renderer only builds HTML; each host handles the `data-action`
+ * clicks itself.
+ */
+
+var entryRenderer = (() => {
+    'use strict';
+
+    // How many senses of the leading part of speech are visible before "More senses" is used.
+    const VISIBLE_SENSES = 2;
+
+    /**
+     * Escapes HTML special characters in text that comes from an API or the page.
+     * @param {string} str
+     * @returns {string}
+     */
+    const safeHtml = (str) => String(str ?? '').replace(/[&<>"']/g, (match) => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&#39;',
+    })[match]);
+
+    /**
+     * The entry's styles, scoped to the element it is rendered into. The host
+     * defines the colors as `--bg-color`, `--text-color`, `--secondary-text-color`,
+     * `--primary-color`, `--bg-alt` and `--bg-hover`.
+     * @param {string} scope A selector, e.g. "#wordup-selection-card".
+     * @returns {string}
+     */
+    const styles = (scope) => `
+            ${scope} .ilx-pills-container {
+                margin-top: 12px;
+            }
+            ${scope} .ilx-pills-container h4 {
+                margin: 0 0 6px 0;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-pill {
+                display: inline-block;
+                background-color: var(--bg-alt);
+                color: var(--text-color);
+                border: none;
+                font-family: inherit;
+                padding: 4px 8px;
+                border-radius: 16px;
+                font-size: 12px;
+                margin: 2px;
+            }
+            ${scope} button.ilx-pill { cursor: pointer; }
+            ${scope} button.ilx-pill:hover { background-color: var(--bg-hover); }
+            ${scope} .ilx-breadcrumb {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 4px;
+                margin-bottom: 8px;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-breadcrumb button {
+                background: none;
+                border: none;
+                padding: 0;
+                cursor: pointer;
+                font-size: 12px;
+                color: var(--primary-color);
+            }
+            ${scope} .ilx-definition strong {
+                display: block;
+                font-size: 16px;
+                margin-bottom: 4px;
+                color: var(--primary-color);
+            }
+            ${scope} .ilx-definition { max-height: 360px; overflow-y: auto; }
+            ${scope} .ilx-sense-group { margin-top: 8px; }
+            ${scope} .ilx-sense-group summary {
+                cursor: pointer;
+                font-size: 12px;
+                font-style: italic;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-sense-group ol { margin: 4px 0 0 0; padding-left: 20px; }
+            ${scope} .ilx-sense-group li { margin-bottom: 6px; }
+            ${scope} .ilx-example {
+                display: block;
+                margin-top: 2px;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-chosen-sense::marker { color: var(--primary-color); }
+            ${scope} .ilx-fit-badge {
+                display: inline-block;
+                margin-right: 4px;
+                font-size: 10px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: var(--primary-color);
+            }
+            ${scope} .ilx-pronunciation { margin-left: 6px; }
+            ${scope} .ilx-phonetic { font-size: 13px; color: var(--secondary-text-color); }
+            ${scope} .ilx-speak-btn {
+                background: none;
+                border: none;
+                padding: 0 2px;
+                cursor: pointer;
+                font-size: 13px;
+                vertical-align: middle;
+            }
+            ${scope} .ilx-lemma-note {
+                margin-left: 6px;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-sense-relations { display: block; margin-top: 2px; }
+            ${scope} .ilx-sense-relations .ilx-pill { font-size: 11px; padding: 2px 6px; }
+            ${scope} .ilx-definition:not(.ilx-expanded) .ilx-extra-sense { display: none; }
+            ${scope} .ilx-more-btn {
+                background: none;
+                border: none;
+                padding: 0;
+                margin-top: 4px;
+                cursor: pointer;
+                font-weight: 600;
+                font-size: 12px;
+                color: var(--primary-color);
+            }
+            ${scope} .ilx-error { color: #d93025; font-weight: 500; }
+            ${scope} .ilx-labels {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 4px;
+                margin-top: 8px;
+            }
+            ${scope} .ilx-tag { padding-right: 4px; }
+            ${scope} .ilx-tag button {
+                background: none;
+                border: none;
+                padding: 0 2px;
+                cursor: pointer;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            ${scope} .ilx-labels input {
+                width: 90px;
+                padding: 3px 6px;
+                border: 1px solid var(--bg-hover);
+                border-radius: 6px;
+                background: var(--bg-color);
+                color: var(--text-color);
+                font-family: inherit;
+                font-size: 12px;
+            }
+            ${scope} .ilx-card-actions {
+                display: flex;
+                gap: 12px;
+                margin-top: 12px;
+            }
+            ${scope} .ilx-link-btn {
+                background: none;
+                border: none;
+                padding: 0;
+                cursor: pointer;
+                font-weight: 600;
+                font-size: 12px;
+                color: var(--primary-color);
+            }
+            ${scope} .ilx-link-btn:disabled { color: var(--secondary-text-color); cursor: default; }
+        `;
+
+    /**
+     * Renders the tag chips and the tag and deck fields of a saved word.
+     * @param {object} notebook `{ id, tags, deck }` of the saved entry.
+     * @param {{tags: Array<{name: string}>, decks: Array<{name: string}>}} [labels] Known labels, for suggestions.
+     * @returns {string}
+     */
+    const renderLabelPicker = (notebook, labels) => {
+        const options = (list) => (list || []).map(({ name }) => `<option value="${safeHtml(name)}"></option>`).join('');
+        const chips = notebook.tags.map(tag => `<span class="ilx-pill ilx-tag" data-tag="${safeHtml(tag)}">#${safeHtml(tag)}<button data-action="remove-tag" data-tag="${safeHtml(tag)}" title="Remove tag">×</button></span>`).join('');
+        return `<div class="ilx-labels">
+                ${chips}
+                <input class="ilx-tag-input" list="wordup-tag-options" placeholder="Add tag" maxlength="40">
+                <input class="ilx-deck-input" list="wordup-deck-options" placeholder="Deck" maxlength="40" value="${safeHtml(notebook.deck)}" title="Deck">
+                <datalist id="wordup-tag-options">${options(labels && labels.tags)}</datalist>
+                <datalist id="wordup-deck-options">${options(labels && labels.decks)}</datalist>
+            </div>`;
+    };
+
+    /**
+     * Reads the tags and deck currently shown in a label picker.
+     * @param {HTMLElement} container The element the entry was rendered into.
+     * @returns {{tags: string[], deck: string}}
+     */
+    const readLabels = (container) => ({
+        tags: Array.from(container.querySelectorAll('.ilx-tag'), chip => chip.dataset.tag),
+        deck: container.querySelector('.ilx-deck-input').value.trim(),
+    });
+
+    /**
+     * Renders a clickable pill that opens the word's own definition.
+     * @param {string} word
+     * @param {string} [label=word] The text shown on the pill.
+     * @returns {string}
+     */
+    const renderWordPill = (word, label = word) =>
+        `<button class="ilx-pill" data-action="explore" data-word="${safeHtml(word)}" title="Look up “${safeHtml(word)}”">${safeHtml(label)}</button>`;
+
+    /**
+     * Renders synonym or antonym pills.
+     * @param {string} title The heading, e.g. "Synonyms".
+     * @param {string[]} words
+     * @returns {string}
+     */
+    const renderPills = (title, words) => (words && words.length > 0)
+        ? `<div class="ilx-pills-container">
+               <h4>${title}</h4>
+               ${words.slice(0, 8).map(w => renderWordPill(w)).join('')}
+           </div>`
+        : '';
+
+    /**
+     * Renders "did you mean" pills after a failed lookup; each looks the word up afresh.
+     * @param {string[]} [words]
+     * @returns {string}
+     */
+    const renderSuggestions = (words) => (words && words.length > 0)
+        ? `<div class="ilx-pills-container">
+               <h4>Did you mean</h4>
+               ${words.map(w => `<button class="ilx-pill" data-action="define" data-text="${safeHtml(w)}" title="Look up “${safeHtml(w)}”">${safeHtml(w)}</button>`).join('')}
+           </div>`
+        : '';
+
+    /**
+     * Renders the trail of words visited by clicking pills, with a back button.
+     * @param {string[]} trail Words from the original lookup to the current one.
+     * @returns {string}
+     */
+    const renderBreadcrumb = (trail) => {
+        if (!trail || trail.length < 2) return '';
+        const crumbs = trail.map((word, index) => (index === trail.length - 1)
+            ? `<span>${safeHtml(word)}</span>`
+            : `<button data-action="crumb" data-index="${index}">${safeHtml(word)}</button> ›`).join(' ');
+        return `<nav class="ilx-breadcrumb">
+                <button data-action="crumb" data-index="${trail.length - 2}" title="Back">‹ Back</button>
+                <span>·</span>
+                ${crumbs}
+            </nav>`;
+    };
+
+    /**
+     * Renders one sense: the definition, its example and its own synonyms/antonyms.
+     * @param {object} sense
+     * @param {boolean} isExtra Whether the sense is hidden until "More senses" is clicked.
+     * @returns {string}
+     */
+    const renderSense = (sense, isExtra) => {
+        const relations = [
+            ...(sense.synonyms || []).slice(0, 3).map(w => renderWordPill(w)),
+            ...(sense.antonyms || []).slice(0, 3).map(w => renderWordPill(w, `≠ ${w}`)),
+        ];
+        const classes = [isExtra ? 'ilx-extra-sense' : '', sense.isChosen ? 'ilx-chosen-sense' : ''].join(' ');
+        return `<li class="${classes}">
+                ${sense.isChosen ? '<span class="ilx-fit-badge" title="Best fit for the sentence on this page">Best fit</span>' : ''}
+                ${safeHtml(sense.definition)}
+                ${sense.example ? `<span class="ilx-example">“${safeHtml(sense.example)}”</span>` : ''}
+                ${relations.length > 0
+                    ? `<span class="ilx-sense-relations">${relations.join('')}</span>`
+                    : ''}
+            </li>`;
+    };
+
+    /**
+     * Renders the phonetic spelling and a play button. The button plays the
+     * dictionary recording if there is one and synthesized speech otherwise.
+     * @param {object} data The normalized dictionary entry.
+     * @returns {string}
+     */
+    const renderPronunciation = (data) => {
+        const pronunciation = data.pronunciation || {};
+        const phonetic = pronunciation.text || data.phonetic;
+        return `<span class="ilx-pronunciation">
+                ${phonetic ? `<span class="ilx-phonetic">${safeHtml(phonetic)}</span>` : ''}
+                <button class="ilx-speak-btn" data-action="speak" data-text="${safeHtml(data.word)}" data-lang="${safeHtml(data.lang || '')}" data-audio="${safeHtml(pronunciation.audio || '')}" title="Listen">🔊</button>
+            </span>`;
+    };
+
+    /**
+     * Moves the sense chosen for the page context (and its part of speech) to the front,
+     * so the entry leads with the meaning that fits.
+     * @param {Array<object>} meanings Meaning groups.
+     * @param {object} [chosenSense] `{ meaningIndex, definitionIndex, definition }` from the service worker.
+     * @returns {Array<object>}
+     */
+    const orderByChosenSense = (meanings, chosenSense) => {
+        const group = chosenSense && meanings[chosenSense.meaningIndex];
+        const sense = group && group.definitions[chosenSense.definitionIndex];
+        if (!sense || sense.definition !== chosenSense.definition) return meanings;
+
+        const leadingGroup = {
+            ...group,
+            definitions: [
+                { ...sense, isChosen: true },
+                ...group.definitions.filter((_, i) => i !== chosenSense.definitionIndex),
+            ],
+        };
+        return [leadingGroup, ...meanings.filter((_, i) => i !== chosenSense.meaningIndex)];
+    };
+
+    /**
+     * The entry's meaning groups in display order. Entries cached before
+     * multi-sense support only carry `meaning`.
+     * @param {object} data The normalized dictionary entry.
+     * @returns {Array<object>}
+     */
+    const orderedMeanings = (data) => ((data.meanings && data.meanings.length > 0)
+        ? orderByChosenSense(data.meanings, data.chosenSense)
+        : [{ partOfSpeech: '', definitions: [{ definition: data.meaning }] }]);
+
+    /**
+     * The entry as plain text for the Copy action: the word and its leading sense.
+     * @param {object} data The normalized dictionary entry.
+     * @returns {string}
+     */
+    const toPlainText = (data) => {
+        const [group] = orderedMeanings(data);
+        const [sense] = group.definitions;
+        const partOfSpeech = group.partOfSpeech ? ` (${group.partOfSpeech})` : '';
+        return `${data.word}${partOfSpeech}: ${sense.definition}${sense.example ? `\n“${sense.example}”` : ''}`;
+    };
+
+    /**
+     * Renders the Save, Copy and Translate buttons.
+     * @param {object} data The normalized dictionary entry.
+     * @param {string[]} actions Which buttons to show.
+     * @returns {string}
+     */
+    const renderActions = (data, actions) => {
+        const buttons = {
+            save: `<button class="ilx-link-btn" data-action="save" ${data.saved ? 'disabled' : ''}>${data.saved ? 'Saved ✓' : 'Save word'}</button>`,
+            copy: `<button class="ilx-link-btn" data-action="copy" data-text="${safeHtml(toPlainText(data))}">Copy</button>`,
+            translate: `<button class="ilx-link-btn" data-action="translate" data-text="${safeHtml(data.word)}" data-lang="${safeHtml(data.lang || '')}">Translate</button>`,
+        };
+        return `<div class="ilx-card-actions">${actions.map(action => buttons[action]).join('')}</div>`;
+    };
+
+    /**
+     * Renders an entry: senses grouped by part of speech in collapsible
+     * sections. Only the first few senses are shown until "More senses" is clicked.
+     * @param {object} data The normalized dictionary entry.
+     * @param {object} [options]
+     * @param {string[]} [options.trail] Words visited through synonym/antonym pills, for the breadcrumb.
+     * @param {object} [options.labels] Known tags and decks, suggested in the label picker of a saved word.
+     * @param {string[]} [options.actions=['save', 'translate']] The action buttons to show.
+     * @returns {string}
+     */
+    const renderEntry = (data, { trail, labels, actions = ['save', 'translate'] } = {}) => {
+        let extraCount = 0;
+        const groupsHtml = orderedMeanings(data).map((group, groupIndex) => {
+            const sensesHtml = group.definitions.map((sense, senseIndex) => {
+                const isExtra = groupIndex > 0 || senseIndex >= VISIBLE_SENSES;
+                if (isExtra) extraCount++;
+                return renderSense(sense, isExtra);
+            }).join('');
+            return `<details class="ilx-sense-group ${groupIndex > 0 ? 'ilx-extra-sense' : ''}" open>
+                    <summary>${safeHtml(group.partOfSpeech || 'definition')} (${group.definitions.length})</summary>
+                    <ol>${sensesHtml}</ol>
+                </details>`;
+        }).join('');
+
+        const moreLabel = `More senses (${extraCount})`;
+        const moreHtml = extraCount > 0
+            ? `<button class="ilx-more-btn" data-action="more-senses" data-label="${moreLabel}">${moreLabel}</button>`
+            : '';
+
+        return `<div class="ilx-definition">
+                ${renderBreadcrumb(trail)}
+                <strong>${safeHtml(data.word)}</strong>
+                ${renderPronunciation(data)}
+                ${data.query ? `<span class="ilx-lemma-note">${safeHtml(data.query)} → ${safeHtml(data.word)}</span>` : ''}
+                ${groupsHtml}
+                ${moreHtml}
+                ${renderPills('Synonyms', data.synonyms)}
+                ${renderPills('Antonyms', data.antonyms)}
+                ${renderActions(data, actions)}
+                ${data.saved && data.notebook ? renderLabelPicker(data.notebook, labels) : ''}
+            </div>`;
+    };
+
+    /**
+     * Shows or hides the senses beyond the first few, for the "More senses" button.
+     * @param {HTMLButtonElement} button
+     */
+    const toggleSenses = (button) => {
+        const definition = button.closest('.ilx-definition');
+        const expanded = definition.classList.toggle('ilx-expanded');
+        button.textContent = expanded ? 'Fewer senses' : button.dataset.label;
+    };
+
+    return { safeHtml, styles, renderEntry, renderSuggestions, readLabels, toggleSenses };
+})();
@@ -0,0 +1,316 @@
+/* exported pageAnnotator */
+
+/**
+ * @fileoverview Page annotation for WordUp.
+ * When turned on (in Options, or per site from the popup), underlines the words
+ * of the user's notebook on the page, colored by learning status. Text is walked
+ * in idle-time chunks, content added later is picked up by a MutationObserver,
+ * and the number of text nodes processed per page is capped. Hovering an
+ * underlined word asks the content script to show its card.
+ */
+
+var pageAnnotator = (() => {
+    'use strict';
+
+    const MARK_CLASS = 'wordup-annotated';
+    const STYLE_ID = 'wordup-annotation-styles';
+    const MAX_NODES = 5000; // Text nodes processed per page; the rest of a huge page is left alone
+    const CHUNK_SIZE = 200; // Text nodes per chunk when there is no idle time to measure
+    const HOVER_DELAY = 400; // How long a word must be hovered before its card opens
+    // Subtrees that are never annotated: code, form fields, editors and WordUp's own UI.
+    const SKIP_SELECTOR = [
+        'script', 'style', 'noscript', 'template', 'textarea', 'input', 'select', 'option',
+        'code', 'pre', 'kbd', 'svg', 'math', 'canvas', 'iframe',
+        '#wordup-selection-card', `.${MARK_CLASS}`,
+    ].join(', ');
+    const WORD_PATTERN = /\p{L}+(?:['’]\p{L}+)*/gu;
+    // Endings removed to find a saved word in an inflected form ("runs", "saved", "running").
+    const SUFFIXES = ['s', 'es', 'ed', 'ing', 'ly'];
+
+    let words = new Map(); // Lowercase notebook word -> { word, lang, status }
+    let running = false;
+    let observer = null;
+    let queue = []; // Roots still to be walked
+    let walker = null; // Walker over the root being processed
+    let seen = new WeakSet(); // Text nodes already processed
+    let processed = 0;
+    let scheduled = false;
+    let hoverTimer = null;
+
+    /**
+     * Finds the notebook word a token on the page is a form of.
+     * @param {string} token
+     * @returns {object|null} `{ word, lang, status }`.
+     */
+    const findWord = (token) => {
+        const lower = token.toLowerCase().replace(/['’]s$/, '');
+        if (words.has(lower)) return words.get(lower);
+        for (const suffix of SUFFIXES) {
+            if (!lower.endsWith(suffix) || lower.length - suffix.length < 3) continue;
+            const stem = lower.slice(0, -suffix.length);
+            const match = [stem, `${stem}e`, stem.replace(/(.)\1$/, '$1'), stem.replace(/i$/, 'y')]
+                .find(candidate => words.has(candidate));
+            if (match) return words.get(match);
+        }
+        return null;
+    };
+
+    const injectStyles = () => {
+        if (document.getElementById(STYLE_ID)) return;
+        const style = document.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = `
+            .${MARK_CLASS} {
+                text-decoration-line: underline;
+                text-decoration-thickness: 2px;
+                text-underline-offset: 2px;
+                text-decoration-skip-ink: none;
+                cursor: help;
+            }
+            .${MARK_CLASS}[data-status="new"] { text-decoration-color: #1a73e8; }
+            .${MARK_CLASS}[data-status="learning"] { text-decoration-color: #f29900; }
+            .${MARK_CLASS}[data-status="mastered"] { text-decoration-color: #1e8e3e; }
+        `;
+        document.head.appendChild(style);
+    };
+
+    /**
+     * Whether text inside an element may be annotated.
+     * @param {Element|null} element
+     * @returns {boolean}
+     */
+    const isAnnotatable = (element) => Boolean(element) && !element.isContentEditable && !element.closest(SKIP_SELECTOR);
+
+    /**
+     * Tree walker filter: skips hidden and excluded subtrees, and text without words.
+     * @param {Node} node
+     * @returns {number}
+     */
+    const acceptNode = (node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.matches(SKIP_SELECTOR) || node.isContentEditable) return NodeFilter.FILTER_REJECT;
+            if (node.checkVisibility && !node.checkVisibility()) return NodeFilter.FILTER_REJECT;
+            return NodeFilter.FILTER_SKIP;
+        }
+        return !seen.has(node) && /\p{L}{2}/u.test(node.data) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+    };
+
+    /**
+     * Returns the next text node to annotate, moving through the queued roots.
+     * @returns {Text|null}
+     */
+    const nextTextNode = () => {
+        for (;;) {
+            const node = walker && walker.nextNode();
+            if (node) return node;
+            walker = null;
+            const root = queue.shift();
+            if (!root) return null;
+            if (!root.isConnected) continue;
+            if (root.nodeType === Node.TEXT_NODE) {
+                if (isAnnotatable(root.parentElement) && acceptNode(root) === NodeFilter.FILTER_ACCEPT) return root;
+            } else if (root.nodeType === Node.ELEMENT_NODE && isAnnotatable(root)) {
+                walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, { acceptNode });
+            }
+        }
+    };
+
+    /**
+     * Wraps the notebook words in a text node. The text node is split in place, from
+     * the last match backwards, so it stays in the document and the walker can
+     * carry on from it.
+     * @param {Text} node
+     */
+    const annotateTextNode = (node) => {
+        seen.add(node);
+        const matches = [];
+        for (const match of node.data.matchAll(WORD_PATTERN)) {
+            const entry = findWord(match[0]);
+            if (entry) matches.push({ index: match.index, length: match[0].length, entry });
+        }
+        for (const { index, length, entry } of matches.reverse()) {
+            const matchNode = node.splitText(index);
+            seen.add(matchNode.splitText(length));
+            const mark = document.createElement('span');
+            mark.className = MARK_CLASS;
+            mark.dataset.word = entry.word;
+            mark.dataset.lang = entry.lang;
+            mark.dataset.status = entry.status;
+            mark.title = `${entry.word} · ${entry.status}`;
+            matchNode.replaceWith(mark);
+            mark.appendChild(matchNode);
+        }
+    };
+
+    /**
+     * Queues the content of mutation records for annotation.
+     * @param {MutationRecord[]} records
+     */
+    const enqueueMutations = (records) => {
+        for (const record of records) {
+            if (record.type === 'characterData') {
+                seen.delete(record.target);
+                queue.push(record.target);
+            } else {
+                queue.push(...record.addedNodes);
+            }
+        }
+    };
+
+    const scheduleProcessing = () => {
+        if (scheduled || !running) return;
+        scheduled = true;
+        if (window.requestIdleCallback) {
+            requestIdleCallback(processQueue, { timeout: 1000 });
+        } else {
+            setTimeout(processQueue, 50);
+        }
+    };
+
+    /**
+     * Annotates text nodes until the idle period (or the chunk) runs out.
+     * @param {IdleDeadline} [deadline]
+     */
+    const processQueue = (deadline) => {
+        scheduled = false;
+        if (!running) return;
+        // Page changes recorded so far still need annotating; the ones made below are our own.
+        enqueueMutations(observer.takeRecords());
+
+        // A timed-out idle callback has no time left, so it gets a fixed chunk instead.
+        let budget = CHUNK_SIZE;
+        const hasTime = () => (deadline && !deadline.didTimeout ? deadline.timeRemaining() > 1 : budget-- > 0);
+        let node = null;
+        while (processed < MAX_NODES && hasTime() && (node = nextTextNode())) {
+            annotateTextNode(node);
+            processed++;
+        }
+        observer.takeRecords();
+
+        if (processed >= MAX_NODES) {
+            // The cap is reached: leave the rest of the page as it is.
+            observer.disconnect();
+            queue = [];
+            walker = null;
+        } else if (walker || queue.length > 0) {
+            scheduleProcessing();
+        }
+    };
+
+    /**
+     * Removes every annotation from the page.
+     */
+    const removeAnnotations = () => {
+        const parents = new Set();
+        document.querySelectorAll(`.${MARK_CLASS}`).forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(...mark.childNodes);
+        });
+        parents.forEach(parent => parent && parent.normalize());
+    };
+
+    /**
+     * Fetches the notebook words from the service worker.
+     * @returns {Promise<void>}
+     */
+    const loadWords = () => new Promise((resolve) => {
+        if (!chrome.runtime?.id) return resolve();
+        chrome.runtime.sendMessage({ type: 'getAnnotationWords' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.warn('WordUp: Could not load notebook words for highlighting.');
+            } else {
+                words = new Map(response.data
+                    .filter(entry => !/\s/.test(entry.word)) // Saved phrases are not highlighted
+                    .map(entry => [entry.word.toLowerCase(), entry]));
+            }
+            resolve();
+        });
+    });
+
+    /**
+     * Walks the whole page again from scratch.
+     */
+    const restartWalk = () => {
+        removeAnnotations();
+        seen = new WeakSet();
+        processed = 0;
+        walker = null;
+        queue = [document.body];
+        observer.takeRecords();
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        scheduleProcessing();
+    };
+
+    const start = async () => {
+        if (running || !document.body) return;
+        running = true;
+        await loadWords();
+        if (!running) return; // Turned off while the words were loading
+        injectStyles();
+        observer = observer || new MutationObserver((records) => {
+            enqueueMutations(records);
+            scheduleProcessing();
+        });
+        restartWalk();
+    };
+
+    const stop = () => {
+        if (!running) return;
+        running = false;
+        observer?.disconnect();
+        queue = [];
+        walker = null;
+        removeAnnotations();
+    };
+
+    /**
+     * Reloads the notebook words (e.g. after one was saved) and re-annotates the page.
+     */
+    const refresh = async () => {
+        if (!running) return;
+        await loadWords();
+        if (running) restartWalk();
+    };
+
+    /**
+     * Starts or stops annotation according to the global setting and this site's override.
+     */
+    const applySettings = async () => {
+        try {
+            const { config, annotationSites } = await chrome.storage.sync.get(['config', 'annotationSites']);
+            const enabled = annotationSites?.[location.hostname] ?? Boolean(config?.annotatePages);
+            if (enabled) start();
+            else stop();
+        } catch (e) {
+            console.warn('WordUp: Could not load the highlighting setting.');
+        }
+    };
+
+    // --- Event Listeners ---
+    document.addEventListener('mouseover', (event) => {
+        const mark = event.target.closest && event.target.closest(`.${MARK_CLASS}`);
+        if (!mark || event.buttons !== 0) return;
+        clearTimeout(hoverTimer);
+        hoverTimer = setTimeout(() => {
+            document.dispatchEvent(new CustomEvent('wordup-annotation-hover', {
+                detail: { word: mark.dataset.word, lang: mark.dataset.lang, rect: mark.getBoundingClientRect() },
+            }));
+        }, HOVER_DELAY);
+    });
+
+    document.addEventListener('mouseout', (event) => {
+        if (event.target.closest && event.target.closest(`.${MARK_CLASS}`)) clearTimeout(hoverTimer);
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === 'sync' && (changes.config || changes.annotationSites)) applySettings();
+    });
+
+    // --- Initialization ---
+    applySettings();
+
+    // Expose public methods
+    return {
+        refresh
+    };
+})();
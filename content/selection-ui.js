@@ -1,9 +1,11 @@
 /* exported selectionUI */
+/* global entryRenderer */
 
 /**
  * @fileoverview UI component for displaying selection information.
  * This script creates and manages a floating card UI with multiple views
- * and a theme that syncs with the user's preference.
+ * and a theme that syncs with the user's preference. Definitions are
+ * rendered by entry-renderer.js, which the popup shares.
  */
 
 var selectionUI = (() => {
@@ -11,7 +13,10 @@ var selectionUI = (() => {
 
     let card = null;
     let currentTheme = 'light';
+    let rewriteView = null; // Options of the shown rewrite, kept to page between its alternatives
     const cardId = 'wordup-selection-card';
+    const MAX_DIFF_CELLS = 250000; // Longer texts are shown without a word diff
+    const { safeHtml } = entryRenderer;
 
     /**
      * Fetches the theme from storage and applies it.
@@ -90,31 +95,8 @@ var selectionUI = (() => {
                 --bg-alt: var(--ilx-dark-bg-alt);
                 --bg-hover: var(--ilx-dark-bg-hover);
             }
-            #${cardId} .ilx-pills-container {
-                margin-top: 12px;
-            }
-            #${cardId} .ilx-pills-container h4 {
-                margin: 0 0 6px 0;
-                font-size: 12px;
-                color: var(--secondary-text-color);
-            }
-            #${cardId} .ilx-pill {
-                display: inline-block;
-                background-color: var(--bg-alt);
-                padding: 4px 8px;
-                border-radius: 16px;
-                font-size: 12px;
-                margin: 2px;
-            }
             #${cardId} .ilx-content { padding: 16px; }
             #${cardId} .ilx-loader { text-align: center; padding: 20px; }
-            #${cardId} .ilx-definition strong {
-                display: block;
-                font-size: 16px;
-                margin-bottom: 4px;
-                color: var(--primary-color);
-            }
-            #${cardId} .ilx-error { color: #d93025; font-weight: 500; }
             #${cardId} .ilx-rewrite-actions button {
                 width: 100%;
                 background: var(--bg-alt);
@@ -128,11 +110,61 @@ var selectionUI = (() => {
                 text-align: left;
             }
             #${cardId} .ilx-rewrite-actions button:hover { background: var(--bg-hover); }
+            #${cardId} .ilx-rewrite-actions .ilx-define-btn { color: var(--primary-color); font-weight: 600; }
+            #${cardId} .ilx-rewrite-actions .ilx-shortcut {
+                float: right;
+                color: var(--secondary-text-color);
+                font-size: 12px;
+                font-weight: 400;
+            }
             #${cardId} .ilx-rewritten-text {
                 background-color: var(--bg-alt);
                 padding: 12px;
                 border-radius: 8px;
                 margin-bottom: 8px;
+                white-space: pre-wrap;
+            }
+            #${cardId} .ilx-streaming::after {
+                content: '▍';
+                color: var(--secondary-text-color);
+            }
+            #${cardId} .ilx-diff-added {
+                background: rgba(52, 168, 83, 0.25);
+                border-radius: 3px;
+                text-decoration: none;
+            }
+            #${cardId} .ilx-diff-removed {
+                background: rgba(234, 67, 53, 0.2);
+                border-radius: 3px;
+            }
+            #${cardId} .ilx-pager {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                margin-right: auto;
+                font-size: 12px;
+                color: var(--secondary-text-color);
+            }
+            #${cardId} .ilx-pager button {
+                background: none;
+                border: none;
+                cursor: pointer;
+                font-size: 16px;
+                line-height: 1;
+                color: var(--secondary-text-color);
+            }
+            #${cardId} .ilx-pager button:hover { color: var(--text-color); }
+            #${cardId} .ilx-original-text {
+                font-size: 12px;
+                color: var(--secondary-text-color);
+                margin-bottom: 8px;
+            }
+            #${cardId} .ilx-header-title {
+                margin-right: auto;
+                align-self: center;
+                font-size: 12px;
+                text-transform: uppercase;
+                color: var(--secondary-text-color);
             }
             #${cardId} .ilx-header {
                 display: flex;
@@ -165,6 +197,9 @@ var selectionUI = (() => {
                 font-weight: 600;
                 color: var(--primary-color);
             }
+            #${cardId} .ilx-listen-btn { margin-right: auto; }
+            #${cardId} .ilx-copy-btn:disabled,
+            #${cardId} .ilx-insert-btn:disabled { opacity: 0.5; cursor: default; }
             #${cardId} .ilx-insert-btn {
                 background-color: var(--primary-color);
                 color: var(--ilx-light-bg);
@@ -175,19 +210,42 @@ var selectionUI = (() => {
                 font-weight: 600;
                 margin-right: 12px;
             }
+            ${entryRenderer.styles(`#${cardId}`)}
         `;
         document.head.appendChild(style);
         newCard.addEventListener('click', handleCardClick);
+        newCard.addEventListener('keydown', handleLabelKeydown);
+        newCard.addEventListener('change', handleLabelChange);
         return newCard;
     };
 
     const handleCardClick = (event) => {
         const target = event.target.closest('button');
         if (!target) return;
-        const { action, text, tone } = target.dataset;
+        const { action, text, preset, lang } = target.dataset;
 
         if (action === 'rewrite') {
-            document.dispatchEvent(new CustomEvent('wordup-rewrite-request', { detail: { text, tone } }));
+            document.dispatchEvent(new CustomEvent('wordup-rewrite-request', { detail: { text, preset } }));
+        } else if (action === 'candidate') {
+            const count = rewriteView.data.length;
+            render({ ...rewriteView, index: (rewriteView.index + Number(target.dataset.step) + count) % count });
+        } else if (action === 'stop') {
+            target.disabled = true;
+            document.dispatchEvent(new CustomEvent('wordup-rewrite-stop'));
+        } else if (action === 'define') {
+            document.dispatchEvent(new CustomEvent('wordup-define-request', { detail: { text } }));
+        } else if (action === 'save') {
+            target.disabled = true;
+            target.textContent = 'Saving…';
+            document.dispatchEvent(new CustomEvent('wordup-save-request'));
+        } else if (action === 'speak') {
+            document.dispatchEvent(new CustomEvent('wordup-speak-request', { detail: { text, lang, audio: target.dataset.audio } }));
+        } else if (action === 'explore') {
+            document.dispatchEvent(new CustomEvent('wordup-explore-request', { detail: { word: target.dataset.word } }));
+        } else if (action === 'crumb') {
+            document.dispatchEvent(new CustomEvent('wordup-crumb-request', { detail: { index: Number(target.dataset.index) } }));
+        } else if (action === 'translate') {
+            document.dispatchEvent(new CustomEvent('wordup-translate-request', { detail: { text, lang } }));
         } else if (action === 'insert') {
             document.dispatchEvent(new CustomEvent('wordup-insert-request', { detail: { text } }));
         } else if (action === 'copy') {
@@ -197,59 +255,223 @@ var selectionUI = (() => {
                     target.textContent = 'Copy';
                 }, 1500);
             });
+        } else if (action === 'remove-tag') {
+            const labels = readLabels();
+            requestLabels({ ...labels, tags: labels.tags.filter(tag => tag !== target.dataset.tag) });
+        } else if (action === 'more-senses') {
+            entryRenderer.toggleSenses(target);
         } else if (action === 'close') {
             hide();
         }
     };
 
+    /**
+     * Reads the tags and deck currently shown in the card's label picker.
+     * @returns {{tags: string[], deck: string}}
+     */
+    const readLabels = () => entryRenderer.readLabels(card);
+
+    /**
+     * Asks the content script to store new labels for the saved word.
+     * @param {{tags: string[], deck: string}} labels
+     */
+    const requestLabels = (labels) => {
+        document.dispatchEvent(new CustomEvent('wordup-labels-request', { detail: labels }));
+    };
+
+    // Enter in the tag field adds the typed tag.
+    const handleLabelKeydown = (event) => {
+        if (event.key !== 'Enter' || !event.target.matches('.ilx-tag-input')) return;
+        event.preventDefault();
+        const tag = event.target.value.trim();
+        if (!tag) return;
+        const labels = readLabels();
+        requestLabels({ ...labels, tags: [...labels.tags, tag] });
+    };
+
+    // Picking or typing a deck moves the word into it.
+    const handleLabelChange = (event) => {
+        if (event.target.matches('.ilx-deck-input')) requestLabels(readLabels());
+    };
+
+    /**
+     * Renders a button for each of the user's rewrite presets, in their order,
+     * and the Translate button for a selection.
+     * @param {string} text The selected text.
+     * @param {Array<{id: string, name: string, shortcut?: string}>} [presets=[]]
+     * @returns {string}
+     */
+    const renderRewriteButtons = (text, presets = []) => `
+        ${presets.map(preset => `
+            <button data-action="rewrite" data-text="${safeHtml(text)}" data-preset="${safeHtml(preset.id)}">
+                Rewrite as ${safeHtml(preset.name)}
+                ${preset.shortcut ? `<span class="ilx-shortcut">${safeHtml(preset.shortcut)}</span>` : ''}
+            </button>`).join('')}
+        <button data-action="translate" data-text="${safeHtml(text)}">Translate</button>`;
+
+    /**
+     * Compares two texts word by word, through their longest common subsequence.
+     * @param {string} before
+     * @param {string} after
+     * @returns {Array<{type: 'same'|'removed'|'added', word: string}>|null} null when the texts are too long to compare.
+     */
+    const diffWords = (before, after) => {
+        const a = before.split(/\s+/).filter(Boolean);
+        const b = after.split(/\s+/).filter(Boolean);
+        if (a.length * b.length > MAX_DIFF_CELLS) return null;
+
+        // common[i][j] is the length of the longest common subsequence of a[i..] and b[j..].
+        const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'same', word: a[i] });
+                i++;
+                j++;
+            } else if (common[i + 1][j] >= common[i][j + 1]) {
+                ops.push({ type: 'removed', word: a[i++] });
+            } else {
+                ops.push({ type: 'added', word: b[j++] });
+            }
+        }
+        a.slice(i).forEach(word => ops.push({ type: 'removed', word }));
+        b.slice(j).forEach(word => ops.push({ type: 'added', word }));
+        return ops;
+    };
+
+    /**
+     * Renders one side of a word diff, marking the words only that side has.
+     * @param {Array<{type: string, word: string}>} ops
+     * @param {'removed'|'added'} marked The words to mark; the other side's own words are left out.
+     * @returns {string}
+     */
+    const renderDiffSide = (ops, marked) => {
+        const tag = marked === 'removed' ? 'del' : 'ins';
+        return ops
+            .filter(op => op.type === 'same' || op.type === marked)
+            .map(op => (op.type === marked ? `<${tag} class="ilx-diff-${marked}">${safeHtml(op.word)}</${tag}>` : safeHtml(op.word)))
+            .join(' ');
+    };
+
+    /**
+     * Renders the rewrite alternatives one at a time, with a pager between them.
+     * Once written, the shown alternative is compared with the original text.
+     * @param {object} options The rewritten-text view's options; `data` lists the alternatives.
+     * @returns {string}
+     */
+    const renderRewrite = (options) => {
+        const candidates = options.data;
+        const { index } = options;
+        const text = candidates[index] || '';
+        const pager = candidates.length > 1
+            ? `<div class="ilx-pager">
+                    <button data-action="candidate" data-step="-1" title="Previous alternative">‹</button>
+                    <span>${index + 1} / ${candidates.length}</span>
+                    <button data-action="candidate" data-step="1" title="Next alternative">›</button>
+                </div>`
+            : '';
+
+        if (options.streaming) {
+            // Still being written: only the text so far and a Stop button.
+            return `<div>
+                <div class="ilx-header"><span class="ilx-header-title">Rewriting…</span>${pager}</div>
+                <div class="ilx-content"><div class="ilx-rewritten-text ilx-streaming">${safeHtml(text)}</div></div>
+                <div class="ilx-footer"><button class="ilx-copy-btn" data-action="stop">Stop</button></div>
+            </div>`;
+        }
+
+        // A stopped or filtered alternative can be empty: there is nothing to use.
+        if (!text) {
+            return `<div>
+                <div class="ilx-header">
+                    ${pager}
+                    <button class="ilx-close-btn" data-action="close" title="Close">×</button>
+                </div>
+                <div class="ilx-content"><p>This alternative came back empty.</p></div>
+                <div class="ilx-footer">
+                    ${options.isEditable ? '<button class="ilx-insert-btn" disabled>Insert</button>' : ''}<button class="ilx-copy-btn" disabled>Copy</button>
+                </div>
+            </div>`;
+        }
+
+        const diff = options.originalText ? diffWords(options.originalText, text) : null;
+        const insertBtnHtml = options.isEditable
+            ? `<button class="ilx-insert-btn" data-action="insert" data-text="${safeHtml(text)}">Insert</button>`
+            : '';
+        return `<div>
+            <div class="ilx-header">
+                ${pager}
+                <button class="ilx-close-btn" data-action="close" title="Close">×</button>
+            </div>
+            <div class="ilx-content">
+                ${diff ? `<div class="ilx-original-text">${renderDiffSide(diff, 'removed')}</div>` : ''}
+                <div class="ilx-rewritten-text">${diff ? renderDiffSide(diff, 'added') : safeHtml(text)}</div>
+            </div>
+            <div class="ilx-footer">
+                <button class="ilx-copy-btn ilx-listen-btn" data-action="speak" data-text="${safeHtml(text)}" data-lang="${safeHtml(options.lang || '')}">Listen</button>
+                ${insertBtnHtml}<button class="ilx-copy-btn" data-action="copy" data-text="${safeHtml(text)}">Copy</button>
+            </div>
+        </div>`;
+    };
+
     const render = (options) => {
         if (!card) card = createCard();
+        if (options.view === 'rewritten-text') {
+            // A rewrite that has finished streaming stays on the alternative being read.
+            const index = options.index ?? (rewriteView && rewriteView.streaming ? rewriteView.index : 0);
+            options = { ...options, index: Math.max(0, Math.min(index, options.data.length - 1)) };
+            rewriteView = options;
+        } else {
+            rewriteView = null;
+        }
         let contentHtml = '';
         switch (options.view) {
             case 'loading':
                 contentHtml = `<div class="ilx-loader">Loading...</div>`;
                 break;
             case 'definition':
-                const synonymsHtml = (options.data.synonyms && options.data.synonyms.length > 0)
-                    ? `<div class="ilx-pills-container">
-                           <h4>Synonyms</h4>
-                           ${options.data.synonyms.slice(0, 5).map(s => `<span class="ilx-pill">${s}</span>`).join('')}
-                       </div>`
-                    : '';
-                const antonymsHtml = (options.data.antonyms && options.data.antonyms.length > 0)
-                    ? `<div class="ilx-pills-container">
-                           <h4>Antonyms</h4>
-                           ${options.data.antonyms.slice(0, 5).map(a => `<span class="ilx-pill">${a}</span>`).join('')}
-                       </div>`
-                    : '';
-
-                contentHtml = `<div class="ilx-definition"><strong>${options.data.word}</strong><p>${options.data.meaning}</p>${synonymsHtml}${antonymsHtml}</div>`;
+                contentHtml = entryRenderer.renderEntry(options.data, { trail: options.trail, labels: options.labels });
                 break;
             case 'rewrite-options':
+                contentHtml = `<div class="ilx-rewrite-actions">${renderRewriteButtons(options.text, options.presets)}</div>`;
+                break;
+            case 'phrase-options':
                 contentHtml = `<div class="ilx-rewrite-actions">
-                        <button data-action="rewrite" data-text="${options.text}" data-tone="Formal">Rewrite as Formal</button>
-                        <button data-action="rewrite" data-text="${options.text}" data-tone="Casual">Rewrite as Casual</button>
-                        <button data-action="rewrite" data-text="${options.text}" data-tone="Professional">Rewrite as Professional</button>
+                        <button class="ilx-define-btn" data-action="define" data-text="${safeHtml(options.text)}">Define phrase</button>
+                        ${renderRewriteButtons(options.text, options.presets)}
                     </div>`;
                 break;
             case 'rewritten-text':
-                const insertBtnHtml = options.isEditable
-                    ? `<button class="ilx-insert-btn" data-action="insert" data-text="${options.data}">Insert</button>`
-                    : '';
-
+                contentHtml = renderRewrite(options);
+                break;
+            case 'translation':
                 contentHtml = `<div>
                     <div class="ilx-header">
+                        <span class="ilx-header-title">${safeHtml(options.data.source)} → ${safeHtml(options.data.target)}</span>
                         <button class="ilx-close-btn" data-action="close" title="Close">×</button>
                     </div>
-                    <div class="ilx-content"><div class="ilx-rewritten-text">${options.data}</div></div>
-                    <div class="ilx-footer">${insertBtnHtml}<button class="ilx-copy-btn" data-action="copy" data-text="${options.data}">Copy</button></div>
+                    <div class="ilx-content">
+                        <div class="ilx-original-text">${safeHtml(options.data.text)}</div>
+                        <div class="ilx-rewritten-text">${safeHtml(options.data.translatedText)}</div>
+                    </div>
+                    <div class="ilx-footer"><button class="ilx-copy-btn" data-action="copy" data-text="${safeHtml(options.data.translatedText)}">Copy</button></div>
                 </div>`;
                 break;
             case 'error':
-                contentHtml = `<div class="ilx-error">${options.error}</div>`;
+                contentHtml = `<div class="ilx-error">${safeHtml(options.error)}</div>${entryRenderer.renderSuggestions(options.suggestions)}`;
                 break;
         }
-        card.innerHTML = (options.view === 'rewritten-text') ? contentHtml : `<div class="ilx-content">${contentHtml}</div>`;
+        // These views bring their own header, content and footer sections.
+        const isFramedView = options.view === 'rewritten-text' || options.view === 'translation';
+        card.innerHTML = isFramedView ? contentHtml : `<div class="ilx-content">${contentHtml}</div>`;
     };
 
     const show = (options) => {
@@ -298,6 +520,21 @@ var selectionUI = (() => {
         });
     };
 
+    /**
+     * Replaces the alternatives of a rewrite being streamed, without moving the card.
+     * @param {Array<string>} candidates Each alternative so far.
+     */
+    const updateRewrite = (candidates) => {
+        if (!rewriteView || !rewriteView.streaming) return;
+        if (candidates.length !== rewriteView.data.length) {
+            render({ ...rewriteView, data: candidates }); // A new alternative: redraw the pager
+            return;
+        }
+        rewriteView = { ...rewriteView, data: candidates };
+        const output = card.querySelector('.ilx-streaming');
+        if (output) output.textContent = candidates[rewriteView.index] || '';
+    };
+
     const hide = () => {
         if (card) {
             card.style.transform = 'scale(0.95)';
@@ -312,6 +549,7 @@ var selectionUI = (() => {
     // Expose public methods
     return {
         show,
+        updateRewrite,
         hide
     };
 })();
\ No newline at end of file
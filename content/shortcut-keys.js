@@ -0,0 +1,49 @@
+/* exported shortcutKeys */
+
+/**
+ * @fileoverview Keyboard shortcuts for WordUp's rewrite presets.
+ * Shared by the options page, which records a preset's shortcut, and the
+ * content script, which matches key presses against them, so both describe
+ * a key press the same way.
+ */
+
+var shortcutKeys = (() => {
+    'use strict';
+
+    // The browser's and the page's own editing shortcuts (copy, paste, undo…),
+    // which a preset must never take over.
+    const EDITING = new Set(['Ctrl', 'Meta'].flatMap(modifier => [
+        ...['A', 'C', 'V', 'X', 'Y', 'Z'].map(key => `${modifier}+${key}`),
+        `${modifier}+Shift+V`,
+        `${modifier}+Shift+Z`,
+    ]));
+
+    /**
+     * Describes a key press as a shortcut string like "Alt+Shift+F". Only presses
+     * with Ctrl, Alt or Meta count, so typing on a page never triggers a rewrite.
+     * @param {KeyboardEvent} event
+     * @returns {string} '' when the press can't be a shortcut.
+     */
+    const fromEvent = (event) => {
+        if (!event.ctrlKey && !event.altKey && !event.metaKey) return '';
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return '';
+        // `code` keeps the shortcut readable when Alt or Shift change the character typed.
+        const key = /^Key[A-Z]$|^Digit\d$/.test(event.code) ? event.code.slice(-1) : event.key;
+        return [
+            event.ctrlKey && 'Ctrl',
+            event.altKey && 'Alt',
+            event.shiftKey && 'Shift',
+            event.metaKey && 'Meta',
+            key.length === 1 ? key.toUpperCase() : key,
+        ].filter(Boolean).join('+');
+    };
+
+    /**
+     * Whether a shortcut is a standard editing shortcut such as Ctrl+C.
+     * @param {string} shortcut A shortcut string from `fromEvent`.
+     * @returns {boolean}
+     */
+    const isEditing = (shortcut) => EDITING.has(shortcut);
+
+    return { fromEvent, isEditing };
+})();
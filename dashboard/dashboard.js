@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Statistics dashboard for WordUp.
+ * Shows figures computed by the service worker from the lookup and review
+ * logs, draws the charts locally as SVG and exports the raw logs as CSV.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+import { sendRequest } from '../libs/runtime-request.js';
+import { renderBarChart, renderLineChart } from '../libs/charts.js';
+import { toCsv } from '../libs/csv.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const lookupsTile = document.getElementById('stat-lookups');
+    const cacheTile = document.getElementById('stat-cache');
+    const accuracyTile = document.getElementById('stat-accuracy');
+    const streakTile = document.getElementById('stat-streak');
+    const longestTile = document.getElementById('stat-longest');
+    const lookupsChart = document.getElementById('chart-lookups');
+    const retentionChart = document.getElementById('chart-retention');
+    const topWordsList = document.getElementById('top-words');
+    const topSitesList = document.getElementById('top-sites');
+    const exportLookupsButton = document.getElementById('export-lookups');
+    const exportReviewsButton = document.getElementById('export-reviews');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    /**
+     * Formats a 0–1 rate as a percentage, or a dash when there is no data.
+     * @param {number|null} rate
+     * @returns {string}
+     */
+    const percent = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+    const days = (count) => `${count} ${count === 1 ? 'day' : 'days'}`;
+
+    /**
+     * Fills a ranked list.
+     * @param {HTMLOListElement} list
+     * @param {Array<{label: string, count: number}>} items
+     * @param {string} emptyText
+     */
+    const renderTopList = (list, items, emptyText) => {
+        list.innerHTML = '';
+        if (items.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'chart-empty';
+            li.textContent = emptyText;
+            list.appendChild(li);
+            return;
+        }
+        items.forEach(({ label, count }) => {
+            const li = document.createElement('li');
+            const countSpan = document.createElement('span');
+            countSpan.className = 'count';
+            countSpan.textContent = count;
+            li.append(label, countSpan);
+            list.appendChild(li);
+        });
+    };
+
+    /**
+     * Formats a YYYY-MM-DD date as a short local date for the chart axis.
+     * @param {string} date
+     * @returns {string}
+     */
+    const shortDate = (date) => new Date(`${date}T12:00:00`)
+        .toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    const renderStatistics = (stats) => {
+        lookupsTile.textContent = stats.totalLookups;
+        cacheTile.textContent = percent(stats.cacheHitRate);
+        accuracyTile.textContent = percent(stats.reviewAccuracy.rate);
+        accuracyTile.title = `${stats.reviewAccuracy.recalled} of ${stats.reviewAccuracy.total} reviews remembered; ${percent(stats.reviewAccuracy.recentRate)} in the last 30 days`;
+        streakTile.textContent = days(stats.streaks.current);
+        longestTile.textContent = days(stats.streaks.longest);
+
+        renderBarChart(lookupsChart, stats.lookupsPerDay.map(day => ({ label: shortDate(day.date), value: day.count })), {
+            title: 'Lookups per day over the last 30 days',
+        });
+        if (stats.retention.some(bucket => bucket.total > 0)) {
+            renderLineChart(retentionChart, stats.retention.map(bucket => ({ label: bucket.label, value: bucket.rate })), {
+                title: 'Share of words remembered by time since the previous review',
+                max: 1,
+                formatValue: percent,
+            });
+        } else {
+            retentionChart.innerHTML = '<p class="chart-empty">The curve appears once you have reviewed words more than once.</p>';
+        }
+
+        renderTopList(topWordsList, stats.topWords.map(({ word, count }) => ({ label: word, count })), 'No lookups yet.');
+        renderTopList(topSitesList, stats.topSites.map(({ site, count }) => ({ label: site, count })), 'No lookups yet.');
+    };
+
+    const loadStatistics = async () => {
+        try {
+            renderStatistics(await sendRequest('getStatistics'));
+        } catch (e) {
+            showStatus(`Could not load statistics: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Downloads a CSV file.
+     * @param {string} csv
+     * @param {string} name File name without the date and extension.
+     */
+    const downloadCsv = (csv, name) => {
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Exports one of the activity logs.
+     * @param {'lookups'|'reviews'} kind
+     */
+    const exportLog = async (kind) => {
+        try {
+            const { lookups, reviews } = await sendRequest('getActivityLogs');
+            if (kind === 'lookups') {
+                downloadCsv(toCsv(lookups.map(event => ({ ...event, time: new Date(event.time).toISOString() })), [
+                    'time', 'word', 'query', 'lang', 'site', { key: 'cacheHit', label: 'cache_hit' }, 'found',
+                ]), 'wordup-lookups');
+            } else {
+                downloadCsv(toCsv(reviews.map(review => ({ ...review, reviewedAt: new Date(review.reviewedAt).toISOString() })), [
+                    { key: 'reviewedAt', label: 'time' }, { key: 'cardId', label: 'word' }, 'grade',
+                    { key: 'wasNew', label: 'first_review' }, { key: 'interval', label: 'next_interval_days' }, 'ease',
+                ]), 'wordup-reviews');
+            }
+            showStatus('Export downloaded.', 'success');
+        } catch (e) {
+            showStatus(`Could not export: ${e.message}`, 'error');
+        }
+    };
+
+    // --- Event Listeners ---
+    exportLookupsButton.addEventListener('click', () => exportLog('lookups'));
+    exportReviewsButton.addEventListener('click', () => exportLog('reviews'));
+
+    // --- Initialization ---
+    initThemeToggle(themeToggle);
+    loadStatistics();
+});
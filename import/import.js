@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Word-list import page for WordUp.
+ * Reads a CSV/TSV, Anki or Kindle export in the page, lets the user map its
+ * columns, shows a dry run of what the import will add or change, and lets
+ * each word already in the notebook be merged, overwritten or skipped. Words
+ * without a definition are looked up by the service worker afterwards.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+import { sendRequest } from '../libs/runtime-request.js';
+import { IMPORT_FIELDS, IMPORT_SOURCES, guessMapping, readImportFile, rowsToItems } from '../libs/notebook-import.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const fileInput = document.getElementById('import-file');
+    const fileName = document.getElementById('import-file-name');
+    const fileOptions = document.getElementById('import-file-options');
+    const sourceSelect = document.getElementById('import-source');
+    const hasHeaderCheckbox = document.getElementById('import-has-header');
+    const langInput = document.getElementById('import-lang');
+    const deckInput = document.getElementById('import-deck');
+    const deckOptions = document.getElementById('deck-options');
+    const mappingSection = document.getElementById('import-mapping-section');
+    const mappingTable = document.getElementById('import-mapping');
+    const previewButton = document.getElementById('import-preview');
+    const planSection = document.getElementById('import-plan-section');
+    const summary = document.getElementById('import-summary');
+    const conflictsPanel = document.getElementById('import-conflicts');
+    const resolveAllSelect = document.getElementById('import-resolve-all');
+    const conflictTable = document.getElementById('import-conflict-table');
+    const applyButton = document.getElementById('import-apply');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    const SAMPLE_ROWS = 3; // Values shown next to each column
+    const RESOLUTION_LABELS = { merge: 'Merge', overwrite: 'Overwrite', skip: 'Skip' };
+
+    // --- State ---
+    let file = null; // The parsed file, see readImportFile
+    let mapping = [];
+    let plannedItems = null; // Items of the last dry run, imported as they were previewed
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`;
+
+    /**
+     * Creates an element with text content.
+     * @param {string} tag
+     * @param {string} [text]
+     * @param {string} [className]
+     * @returns {HTMLElement}
+     */
+    const element = (tag, text, className) => {
+        const el = document.createElement(tag);
+        if (text) el.textContent = text;
+        if (className) el.className = className;
+        return el;
+    };
+
+    /**
+     * Builds a select of the fields a column can be mapped to.
+     * @param {string} value
+     * @returns {HTMLSelectElement}
+     */
+    const fieldSelect = (value) => {
+        const select = document.createElement('select');
+        select.add(new Option('Ignore', ''));
+        Object.entries(IMPORT_FIELDS).forEach(([key, label]) => select.add(new Option(label, key)));
+        select.value = value;
+        return select;
+    };
+
+    /**
+     * Lists the file's columns with a field select and a few sample values each.
+     */
+    const renderMapping = () => {
+        const rows = hasHeaderCheckbox.checked ? file.rows.slice(1) : file.rows;
+        mappingTable.innerHTML = '';
+        const head = mappingTable.createTHead().insertRow();
+        ['Column', 'Import as', 'Sample'].forEach(title => head.appendChild(element('th', title)));
+        const body = mappingTable.createTBody();
+        mapping.forEach((field, index) => {
+            const row = body.insertRow();
+            const name = hasHeaderCheckbox.checked && file.rows[0][index] ? file.rows[0][index] : `Column ${index + 1}`;
+            row.insertCell().textContent = name;
+            const select = fieldSelect(field);
+            select.dataset.index = index;
+            row.insertCell().appendChild(select);
+            const samples = rows.slice(0, SAMPLE_ROWS).map(cells => (cells[index] || '').trim()).filter(Boolean);
+            const sampleCell = row.insertCell();
+            sampleCell.className = 'import-sample';
+            sampleCell.textContent = samples.join(' · ');
+            sampleCell.title = samples.join('\n');
+        });
+    };
+
+    /**
+     * Invalidates the dry run after a change to the file, mapping or options.
+     */
+    const resetPlan = () => {
+        plannedItems = null;
+        planSection.hidden = true;
+    };
+
+    const applyGuessedMapping = () => {
+        mapping = guessMapping({ ...file, hasHeader: hasHeaderCheckbox.checked }, sourceSelect.value);
+        renderMapping();
+        resetPlan();
+    };
+
+    const handleFileChange = (event) => {
+        const chosen = event.target.files[0];
+        if (!chosen) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            file = readImportFile(reader.result, chosen.name);
+            if (file.rows.length === 0) {
+                showStatus('The file has no rows to import.', 'error');
+                return;
+            }
+            fileName.textContent = `${chosen.name}: ${plural(file.rows.length, 'row')}.`;
+            sourceSelect.value = file.source;
+            hasHeaderCheckbox.checked = file.hasHeader;
+            fileOptions.hidden = false;
+            mappingSection.hidden = false;
+            showStatus('', '');
+            applyGuessedMapping();
+        };
+        reader.readAsText(chosen);
+        event.target.value = ''; // Allow choosing the same file again
+    };
+
+    const handleMappingChange = (event) => {
+        if (!event.target.matches('select')) return;
+        const index = Number(event.target.dataset.index);
+        const field = event.target.value;
+        // A field can only come from one column.
+        mapping = mapping.map((current, i) => (i !== index && field && current === field ? '' : current));
+        mapping[index] = field;
+        renderMapping();
+        resetPlan();
+    };
+
+    /**
+     * Shows the words already in the notebook with a merge/overwrite/skip choice each.
+     * @param {Array<{record: object, existing: object}>} conflicts
+     */
+    const renderConflicts = (conflicts) => {
+        conflictsPanel.hidden = conflicts.length === 0;
+        conflictTable.innerHTML = '';
+        if (conflicts.length === 0) return;
+        const head = conflictTable.createTHead().insertRow();
+        ['Word', 'In your notebook', 'In the file', ''].forEach(title => head.appendChild(element('th', title)));
+        const body = conflictTable.createTBody();
+        conflicts.forEach(({ record, existing }) => {
+            const row = body.insertRow();
+            row.insertCell().appendChild(element('strong', record.word));
+            row.insertCell().textContent = existing.sense.definition || '—';
+            row.insertCell().textContent = record.sense.definition || '—';
+            const select = document.createElement('select');
+            Object.entries(RESOLUTION_LABELS).forEach(([key, label]) => select.add(new Option(label, key)));
+            select.value = resolveAllSelect.value;
+            select.dataset.id = record.id;
+            row.insertCell().appendChild(select);
+        });
+    };
+
+    /**
+     * Runs the import as a dry run and shows what it would do.
+     */
+    const previewImport = async () => {
+        if (!mapping.includes('word')) {
+            showStatus('Choose the column that holds the words.', 'error');
+            return;
+        }
+        const { items, invalid } = rowsToItems(file, mapping, {
+            hasHeader: hasHeaderCheckbox.checked,
+            source: sourceSelect.value,
+            deck: deckInput.value.trim(),
+        });
+        if (items.length === 0) {
+            showStatus('No rows with a word were found.', 'error');
+            return;
+        }
+        try {
+            const plan = await sendRequest('planImport', { items, lang: langInput.value.trim() });
+            plannedItems = items;
+            const conflicts = plan.entries.filter(entry => entry.existing);
+            const newCount = plan.entries.length - conflicts.length;
+            const withoutDefinition = plan.entries.filter(entry => !entry.record.sense.definition).length;
+            summary.textContent = [
+                `${plural(newCount, 'new word')} to add`,
+                `${plural(conflicts.length, 'word')} already in your notebook`,
+                plan.duplicates > 0 ? `${plural(plan.duplicates, 'repeated row')} combined` : '',
+                invalid > 0 ? `${plural(invalid, 'row')} without a word left out` : '',
+                withoutDefinition > 0 ? `${plural(withoutDefinition, 'word')} without a definition will be looked up after the import` : '',
+            ].filter(Boolean).join(' · ');
+            renderConflicts(conflicts);
+            planSection.hidden = false;
+            applyButton.disabled = false;
+            showStatus('Nothing has been imported yet. Check the preview, then import.', 'info');
+        } catch (e) {
+            showStatus(`Could not preview the import: ${e.message}`, 'error');
+        }
+    };
+
+    const applyImport = async () => {
+        if (!plannedItems) return;
+        const resolutions = Object.fromEntries(Array.from(conflictTable.querySelectorAll('select'), select => [select.dataset.id, select.value]));
+        applyButton.disabled = true;
+        try {
+            const result = await sendRequest('applyImport', { items: plannedItems, lang: langInput.value.trim(), resolutions });
+            const changes = [
+                `Added ${plural(result.added, 'word')}`,
+                result.merged > 0 ? `merged ${result.merged}` : '',
+                result.overwritten > 0 ? `overwrote ${result.overwritten}` : '',
+                result.skipped > 0 ? `skipped ${result.skipped}` : '',
+            ].filter(Boolean).join(', ');
+            const lookups = result.queued > 0 ? ` Looking up ${plural(result.queued, 'definition')} in the background.` : '';
+            showStatus(`${changes}.${lookups}`, 'success');
+            resetPlan();
+            loadDecks();
+        } catch (e) {
+            applyButton.disabled = false;
+            showStatus(`Could not import: ${e.message}`, 'error');
+        }
+    };
+
+    const loadDecks = async () => {
+        try {
+            const { decks } = await sendRequest('getLabels');
+            deckOptions.replaceChildren(...decks.map(({ name }) => new Option('', name)));
+        } catch (e) {
+            // Deck suggestions are a convenience; the field works without them.
+        }
+    };
+
+    /**
+     * Mentions lookups still queued from an earlier import (and resumes them).
+     */
+    const checkPendingLookups = async () => {
+        try {
+            const { pending } = await sendRequest('getImportLookups');
+            if (pending > 0) showStatus(`Still looking up ${plural(pending, 'definition')} from an earlier import.`, 'info');
+        } catch (e) {
+            // Not worth interrupting the page for.
+        }
+    };
+
+    // --- Event Listeners ---
+    fileInput.addEventListener('change', handleFileChange);
+    sourceSelect.addEventListener('change', applyGuessedMapping);
+    hasHeaderCheckbox.addEventListener('change', applyGuessedMapping);
+    langInput.addEventListener('input', resetPlan);
+    deckInput.addEventListener('input', resetPlan);
+    mappingTable.addEventListener('change', handleMappingChange);
+    previewButton.addEventListener('click', previewImport);
+    resolveAllSelect.addEventListener('change', () => {
+        conflictTable.querySelectorAll('select').forEach(select => {
+            select.value = resolveAllSelect.value;
+        });
+    });
+    applyButton.addEventListener('click', applyImport);
+
+    // --- Initialization ---
+    sourceSelect.innerHTML = Object.entries(IMPORT_SOURCES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    initThemeToggle(themeToggle);
+    loadDecks();
+    checkPendingLookups();
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Small SVG charts for the extension's pages. Everything is drawn
+ * locally; no charting library is loaded.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 36 };
+
+/**
+ * Creates an SVG element with attributes.
+ * @param {string} tag
+ * @param {object} [attributes]
+ * @param {string} [text]
+ * @returns {SVGElement}
+ */
+const svgElement = (tag, attributes = {}, text) => {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    if (text !== undefined) el.textContent = text;
+    return el;
+};
+
+/**
+ * Creates the chart's SVG root, its horizontal grid lines and their labels.
+ * @param {number} max The value at the top of the chart.
+ * @param {(value: number) => string} formatValue
+ * @param {string} title Accessible description of the chart.
+ * @returns {SVGSVGElement}
+ */
+const createFrame = (max, formatValue, title) => {
+    const svg = svgElement('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'chart', role: 'img' });
+    svg.appendChild(svgElement('title', {}, title));
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    [0, 0.5, 1].forEach(fraction => {
+        const y = PADDING.top + plotHeight * (1 - fraction);
+        svg.appendChild(svgElement('line', { x1: PADDING.left, x2: WIDTH - PADDING.right, y1: y, y2: y, class: 'chart-grid' }));
+        svg.appendChild(svgElement('text', { x: PADDING.left - 6, y: y + 4, class: 'chart-axis', 'text-anchor': 'end' }, formatValue(max * fraction)));
+    });
+    return svg;
+};
+
+/**
+ * Adds x-axis labels, thinned out so they don't overlap.
+ * @param {SVGSVGElement} svg
+ * @param {Array<{label: string}>} points
+ * @param {(index: number) => number} xAt Centre of each point.
+ */
+const addLabels = (svg, points, xAt) => {
+    const every = Math.max(1, Math.ceil(points.length / 8));
+    points.forEach((point, i) => {
+        if (i % every !== 0 && i !== points.length - 1) return;
+        svg.appendChild(svgElement('text', { x: xAt(i), y: HEIGHT - 8, class: 'chart-axis', 'text-anchor': 'middle' }, point.label));
+    });
+};
+
+/**
+ * Draws a vertical bar chart.
+ * @param {HTMLElement} container Emptied and filled with the chart.
+ * @param {Array<{label: string, value: number}>} points
+ * @param {object} [options]
+ * @param {string} [options.title='']
+ * @param {(value: number) => string} [options.formatValue] Axis and tooltip values.
+ */
+export function renderBarChart(container, points, { title = '', formatValue = value => String(Math.round(value)) } = {}) {
+    const max = Math.max(1, ...points.map(point => point.value));
+    const svg = createFrame(max, formatValue, title);
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const slot = plotWidth / Math.max(1, points.length);
+    const xAt = i => PADDING.left + slot * (i + 0.5);
+
+    points.forEach((point, i) => {
+        const height = (point.value / max) * plotHeight;
+        const bar = svgElement('rect', {
+            x: xAt(i) - slot * 0.35,
+            y: PADDING.top + plotHeight - height,
+            width: slot * 0.7,
+            height,
+            rx: 2,
+            class: 'chart-bar',
+        });
+        bar.appendChild(svgElement('title', {}, `${point.label}: ${formatValue(point.value)}`));
+        svg.appendChild(bar);
+    });
+    addLabels(svg, points, xAt);
+    container.replaceChildren(svg);
+}
+
+/**
+ * Draws a line chart with a dot per point. Points without a value leave a gap.
+ * @param {HTMLElement} container Emptied and filled with the chart.
+ * @param {Array<{label: string, value: number|null}>} points
+ * @param {object} [options]
+ * @param {string} [options.title='']
+ * @param {number} [options.max] Top of the value axis; defaults to the largest value.
+ * @param {(value: number) => string} [options.formatValue] Axis and tooltip values.
+ */
+export function renderLineChart(container, points, { title = '', max, formatValue = value => String(Math.round(value)) } = {}) {
+    const top = max ?? Math.max(1, ...points.map(point => point.value ?? 0));
+    const svg = createFrame(top, formatValue, title);
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const slot = plotWidth / Math.max(1, points.length);
+    const xAt = i => PADDING.left + slot * (i + 0.5);
+    const yAt = value => PADDING.top + plotHeight * (1 - value / top);
+
+    // One path segment per run of points that have a value.
+    let path = '';
+    let penDown = false;
+    points.forEach((point, i) => {
+        if (point.value === null || point.value === undefined) {
+            penDown = false;
+            return;
+        }
+        path += `${penDown ? 'L' : 'M'}${xAt(i)},${yAt(point.value)} `;
+        penDown = true;
+    });
+    if (path) svg.appendChild(svgElement('path', { d: path.trim(), class: 'chart-line' }));
+
+    points.forEach((point, i) => {
+        if (point.value === null || point.value === undefined) return;
+        const dot = svgElement('circle', { cx: xAt(i), cy: yAt(point.value), r: 4, class: 'chart-dot' });
+        dot.appendChild(svgElement('title', {}, `${point.label}: ${formatValue(point.value)}`));
+        svg.appendChild(dot);
+    });
+    addLabels(svg, points, xAt);
+    container.replaceChildren(svg);
+}
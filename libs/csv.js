@@ -0,0 +1,31 @@
+/**
+ * @fileoverview CSV writing for WordUp's exports.
+ */
+
+/**
+ * Quotes a value for a CSV cell when it contains a separator, a quote or a line break.
+ * @param {*} value
+ * @param {string} [separator=',']
+ * @returns {string}
+ */
+export function csvCell(value, separator = ',') {
+    const text = String(value ?? '');
+    return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document with a header row.
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string}|string>} columns Row properties to write, in order.
+ *   A string is used as both the property name and the header.
+ * @param {string} [separator=',']
+ * @returns {string}
+ */
+export function toCsv(rows, columns, separator = ',') {
+    const normalized = columns.map(column => (typeof column === 'string' ? { key: column, label: column } : column));
+    const lines = [
+        normalized.map(column => csvCell(column.label, separator)).join(separator),
+        ...rows.map(row => normalized.map(column => csvCell(row[column.key], separator)).join(separator)),
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Notebook export formats for WordUp.
+ * Turns a notebook backup (as built by the service worker) into files other
+ * tools can read: the JSON backup itself, an Anki-importable TSV built from
+ * front/back templates, a CSV with chosen columns and a Markdown glossary.
+ */
+
+import { csvCell, toCsv } from './csv.js';
+
+/**
+ * Fields of a notebook entry that can be exported, as template placeholders
+ * (`{{word}}`) and CSV columns.
+ */
+export const EXPORT_FIELDS = {
+    word: { label: 'Word', value: entry => entry.word },
+    phonetic: { label: 'Phonetic', value: entry => entry.phonetic || '' },
+    partOfSpeech: { label: 'Part of speech', value: entry => entry.sense?.partOfSpeech || '' },
+    meaning: { label: 'Meaning', value: entry => entry.sense?.definition || '' },
+    examples: { label: 'Examples', value: entry => entry.sense?.example || '' },
+    context: { label: 'Context', value: entry => entry.context || '' },
+    url: { label: 'URL', value: entry => entry.url || '' },
+    pageTitle: { label: 'Page title', value: entry => entry.pageTitle || '' },
+    notes: { label: 'Notes', value: entry => entry.notes || '' },
+    tags: { label: 'Tags', value: entry => (entry.tags || []).join(', ') },
+    deck: { label: 'Deck', value: entry => entry.deck || '' },
+    lang: { label: 'Language', value: entry => entry.lang || '' },
+};
+
+export const DEFAULT_EXPORT_SETTINGS = {
+    format: 'json',
+    ankiFront: '{{word}}',
+    ankiBack: '{{meaning}}<br><i>{{examples}}</i>',
+    csvColumns: ['word', 'phonetic', 'meaning', 'examples', 'context', 'url', 'tags'],
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+
+// Parentheses and spaces would end a Markdown link target early.
+const markdownUrl = (url) => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+/**
+ * Fills the `{{field}}` placeholders of a template with an entry's values.
+ * Unknown placeholders are left as they are, so typos show up in the preview.
+ * @param {string} template
+ * @param {object} entry A notebook entry.
+ * @param {(text: string) => string} [escape] Applied to each value.
+ * @returns {string}
+ */
+export function fillTemplate(template, entry, escape = text => text) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+        EXPORT_FIELDS[name] ? escape(EXPORT_FIELDS[name].value(entry)) : placeholder
+    ));
+}
+
+/**
+ * Builds an Anki TSV: one note per line with the front, the back and the tags.
+ * The header lines tell Anki the separator, that fields are HTML, which column
+ * holds the tags and, for a single deck, which deck to import into.
+ * @param {Array<object>} entries
+ * @param {object} templates
+ * @param {string} templates.front
+ * @param {string} templates.back
+ * @param {string} [deck] The deck that was exported.
+ * @returns {string}
+ */
+export function toAnkiTsv(entries, { front, back }, deck = '') {
+    const field = (template, entry) => csvCell(fillTemplate(template, entry, escapeHtml).replace(/\r?\n/g, '<br>'), '\t');
+    // Anki tags can't contain spaces.
+    const tags = entry => (entry.tags || []).map(tag => tag.replace(/\s+/g, '_')).join(' ');
+    const lines = [
+        '#separator:tab',
+        '#html:true',
+        '#tags column:3',
+        ...(deck ? [`#deck:${deck}`] : []),
+        ...entries.map(entry => [field(front, entry), field(back, entry), csvCell(tags(entry), '\t')].join('\t')),
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds a CSV with the chosen columns, in the order of `EXPORT_FIELDS`.
+ * @param {Array<object>} entries
+ * @param {Array<string>} columns Keys of `EXPORT_FIELDS`.
+ * @returns {string}
+ */
+export function toNotebookCsv(entries, columns) {
+    const keys = Object.keys(EXPORT_FIELDS).filter(key => columns.includes(key));
+    const rows = entries.map(entry => Object.fromEntries(keys.map(key => [key, EXPORT_FIELDS[key].value(entry)])));
+    return toCsv(rows, keys.map(key => ({ key, label: EXPORT_FIELDS[key].label })));
+}
+
+/**
+ * Builds a Markdown glossary, alphabetical with a heading per initial letter.
+ * @param {Array<object>} entries
+ * @param {string} [deck] The deck that was exported, used as the title.
+ * @returns {string}
+ */
+export function toMarkdownGlossary(entries, deck = '') {
+    const sorted = [...entries].sort((a, b) => a.word.localeCompare(b.word, undefined, { sensitivity: 'base' }));
+    const lines = [`# ${escapeMarkdown(deck || 'WordUp glossary')}`, ''];
+    let letter = null;
+    sorted.forEach(entry => {
+        const initial = entry.word.charAt(0).toLocaleUpperCase();
+        if (initial !== letter) {
+            letter = initial;
+            lines.push(`## ${escapeMarkdown(initial)}`, '');
+        }
+        const details = [entry.sense?.partOfSpeech && `*${escapeMarkdown(entry.sense.partOfSpeech)}*`, entry.phonetic && escapeMarkdown(entry.phonetic)]
+            .filter(Boolean).join(' · ');
+        lines.push(`### ${escapeMarkdown(entry.word)}`, '');
+        if (details) lines.push(details, '');
+        lines.push(escapeMarkdown(entry.sense?.definition || ''), '');
+        if (entry.sense?.example) lines.push(`> ${escapeMarkdown(entry.sense.example)}`, '');
+        if (entry.context) {
+            const source = entry.url ? ` — [${escapeMarkdown(entry.pageTitle || new URL(entry.url).hostname)}](${markdownUrl(entry.url)})` : '';
+            lines.push(`Found in: “${escapeMarkdown(entry.context)}”${source}`, '');
+        }
+        if (entry.notes) lines.push(`Notes: ${escapeMarkdown(entry.notes)}`, '');
+        if (entry.tags?.length) lines.push(`Tags: ${entry.tags.map(tag => `\`${tag.replace(/`/g, '')}\``).join(', ')}`, '');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * The export formats offered on the options page.
+ */
+export const EXPORT_FORMATS = {
+    json: {
+        label: 'WordUp backup (JSON)',
+        extension: 'json',
+        mimeType: 'application/json',
+        build: (backup) => JSON.stringify(backup, null, 2),
+    },
+    anki: {
+        label: 'Anki (TSV)',
+        extension: 'txt',
+        mimeType: 'text/tab-separated-values',
+        build: (backup, settings) => toAnkiTsv(backup.entries, { front: settings.ankiFront, back: settings.ankiBack }, backup.deck),
+    },
+    csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        build: (backup, settings) => toNotebookCsv(backup.entries, settings.csvColumns),
+    },
+    markdown: {
+        label: 'Markdown glossary',
+        extension: 'md',
+        mimeType: 'text/markdown',
+        build: (backup) => toMarkdownGlossary(backup.entries, backup.deck),
+    },
+};
+
+/**
+ * Builds an export file's content.
+ * @param {string} format A key of `EXPORT_FORMATS`.
+ * @param {object} backup The notebook backup from the service worker.
+ * @param {object} settings Templates and columns, see `DEFAULT_EXPORT_SETTINGS`.
+ * @param {number} [limit] Only include the first `limit` entries, for a preview.
+ * @returns {string}
+ * @throws {Error} If the format is unknown.
+ */
+export function buildExport(format, backup, settings, limit) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) throw new Error(`Unknown export format: ${format}`);
+    const entries = limit ? backup.entries.slice(0, limit) : backup.entries;
+    return exporter.build({ ...backup, entries }, { ...DEFAULT_EXPORT_SETTINGS, ...settings });
+}
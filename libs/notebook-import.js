@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Word-list import formats for WordUp.
+ * Reads CSV/TSV word lists, Anki "Notes in Plain Text" exports and Kindle
+ * Vocabulary Builder exports into rows, guesses which column holds what, and
+ * turns the mapped rows into items for the service worker's import.
+ */
+
+/**
+ * Fields a column can be mapped to.
+ */
+export const IMPORT_FIELDS = {
+    word: 'Word',
+    meaning: 'Meaning',
+    partOfSpeech: 'Part of speech',
+    phonetic: 'Phonetic',
+    example: 'Example',
+    context: 'Context sentence',
+    source: 'Source (book or page)',
+    notes: 'Notes',
+    tags: 'Tags',
+    deck: 'Deck',
+};
+
+export const IMPORT_SOURCES = {
+    wordList: 'CSV/TSV word list',
+    anki: 'Anki plain-text export',
+    kindle: 'Kindle Vocabulary Builder export',
+};
+
+// Column names (lowercase) that identify a field, for guessing the mapping from a header row.
+const HEADER_NAMES = {
+    word: ['word', 'term', 'front', 'vocabulary', 'expression', 'headword'],
+    meaning: ['meaning', 'definition', 'back', 'translation', 'gloss', 'description'],
+    partOfSpeech: ['part of speech', 'partofspeech', 'pos', 'type'],
+    phonetic: ['phonetic', 'pronunciation', 'ipa', 'reading'],
+    example: ['example', 'examples', 'sample'],
+    context: ['context', 'usage', 'sentence', 'quote'],
+    source: ['source', 'book', 'title', 'book title', 'page', 'page title'],
+    notes: ['notes', 'note', 'comment', 'comments'],
+    tags: ['tags', 'tag', 'labels'],
+    deck: ['deck', 'list', 'collection'],
+};
+// Kindle exports list the word as read and its dictionary form ("stem"); the stem is the one to save.
+const KINDLE_HEADER_NAMES = { word: ['stem', 'lemma'], context: ['usage', 'context', 'sentence'], source: ['book', 'title', 'book title'] };
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+/**
+ * Splits delimited text into rows of cells. Quoted cells may contain the
+ * separator, doubled quotes and line breaks.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {Array<Array<string>>}
+ */
+export function parseDelimited(text, separator) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Picks the separator that splits the first lines most consistently.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectSeparator(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+    // A separator found the same number of times on every line beats one that is merely present.
+    const score = (separator) => {
+        const counts = lines.map(line => line.split(separator).length - 1);
+        const consistent = counts.length > 0 && counts.every(count => count > 0 && count === counts[0]);
+        return consistent ? lines.length + counts[0] : counts.filter(count => count > 0).length;
+    };
+    return ['\t', ';', ','].reduce((best, separator) => (score(separator) > score(best) ? separator : best), ',');
+}
+
+/**
+ * Turns an Anki HTML field into plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripHtml(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return html
+        .replace(/<br\s*\/?>|<\/(?:div|p|li)>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (entity, dec, hex, name) => (
+            dec ? String.fromCodePoint(Number(dec))
+                : hex ? String.fromCodePoint(parseInt(hex, 16))
+                    : entities[name.toLowerCase()] ?? entity
+        ))
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .trim();
+}
+
+/**
+ * Reads an import file.
+ * @param {string} text The file's content.
+ * @param {string} [fileName]
+ * @returns {{source: string, rows: Array<Array<string>>, hasHeader: boolean, html: boolean, tagsColumn: number, deckColumn: number}}
+ *   Column numbers are 0-based, -1 when unknown.
+ */
+export function readImportFile(text, fileName = '') {
+    text = text.replace(/^\uFEFF/, '');
+    const lines = text.split(/\r?\n/);
+    // Anki exports start with "#key:value" lines describing the file.
+    const ankiHeader = {};
+    while (lines.length > 0 && /^#[\w ]+:/.test(lines[0])) {
+        const [, key, value] = lines.shift().match(/^#([\w ]+):(.*)$/);
+        ankiHeader[key.trim().toLowerCase()] = value.trim();
+    }
+    const isAnki = Object.keys(ankiHeader).length > 0;
+    const body = lines.join('\n');
+    const separator = isAnki
+        ? ANKI_SEPARATORS[ankiHeader.separator?.toLowerCase()] || ankiHeader.separator || '\t'
+        : /\.tsv$/i.test(fileName) ? '\t' : detectSeparator(body);
+    const rows = parseDelimited(body, separator);
+
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    const isKindle = !isAnki && (/vocab/i.test(fileName) || header.includes('stem') || (header.includes('usage') && header.includes('book')));
+    const knownNames = Object.values(HEADER_NAMES).flat().concat(Object.values(KINDLE_HEADER_NAMES).flat());
+    return {
+        source: isAnki ? 'anki' : isKindle ? 'kindle' : 'wordList',
+        rows,
+        hasHeader: !isAnki && header.some(name => knownNames.includes(name)),
+        html: isAnki ? ankiHeader.html !== 'false' : false,
+        tagsColumn: ankiHeader['tags column'] ? Number(ankiHeader['tags column']) - 1 : -1,
+        deckColumn: ankiHeader['deck column'] ? Number(ankiHeader['deck column']) - 1 : -1,
+    };
+}
+
+/**
+ * Guesses which field each column holds.
+ * @param {object} file The result of `readImportFile`.
+ * @param {string} source A key of `IMPORT_SOURCES`.
+ * @returns {Array<string>} A key of `IMPORT_FIELDS` per column, or '' to ignore the column.
+ */
+export function guessMapping(file, source) {
+    const columnCount = Math.max(0, ...file.rows.slice(0, 20).map(row => row.length));
+    const mapping = Array(columnCount).fill('');
+    const assign = (index, field) => {
+        if (index >= 0 && index < columnCount && !mapping.includes(field)) mapping[index] = field;
+    };
+
+    if (file.hasHeader) {
+        const header = file.rows[0].map(cell => cell.trim().toLowerCase());
+        const names = source === 'kindle' ? [KINDLE_HEADER_NAMES, HEADER_NAMES] : [HEADER_NAMES];
+        names.forEach(table => Object.entries(table).forEach(([field, aliases]) => {
+            const index = header.findIndex((name, i) => mapping[i] === '' && aliases.includes(name));
+            assign(index, field);
+        }));
+        return mapping;
+    }
+
+    // Without a header: Anki's first two fields are the front and back, Kindle's the word and its sentence.
+    assign(file.tagsColumn, 'tags');
+    assign(file.deckColumn, 'deck');
+    const [first, second] = mapping.map((field, i) => (field ? -1 : i)).filter(i => i >= 0);
+    assign(first ?? -1, 'word');
+    assign(second ?? -1, source === 'kindle' ? 'context' : 'meaning');
+    return mapping;
+}
+
+/**
+ * Turns mapped rows into import items.
+ * @param {object} file The result of `readImportFile`.
+ * @param {Array<string>} mapping A field per column, see `guessMapping`.
+ * @param {object} [options]
+ * @param {boolean} [options.hasHeader=file.hasHeader] Whether to skip the first row.
+ * @param {string} [options.source] A key of `IMPORT_SOURCES`; Anki tags are separated by spaces.
+ * @param {string} [options.deck] Put every word without a deck of its own in this deck.
+ * @returns {{items: Array<object>, invalid: number}} `invalid` counts rows without a word.
+ */
+export function rowsToItems(file, mapping, { hasHeader = file.hasHeader, source = file.source, deck = '' } = {}) {
+    const clean = (value) => (file.html ? stripHtml(value || '') : (value || '').trim());
+    const tagSeparator = source === 'anki' ? /\s+/ : /[,;]/;
+    let invalid = 0;
+    const items = [];
+    (hasHeader ? file.rows.slice(1) : file.rows).forEach(row => {
+        const item = {};
+        mapping.forEach((field, i) => {
+            if (!field) return;
+            const value = clean(row[i]);
+            item[field] = field === 'tags' ? value.split(tagSeparator).map(tag => tag.trim()).filter(Boolean) : value;
+        });
+        // Anki's hierarchical tags ("lang::spanish") keep only their last part.
+        if (source === 'anki' && item.tags) item.tags = item.tags.map(tag => tag.split('::').pop());
+        item.word = (item.word || '').replace(/\s+/g, ' ').trim();
+        if (!item.word) {
+            invalid++;
+            return;
+        }
+        if (!item.deck && deck) item.deck = deck;
+        items.push(item);
+    });
+    return { items, invalid };
+}
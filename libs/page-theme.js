@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Light/dark theme handling for the extension's full-page views
+ * (notebook, review). Uses the same stored `theme` value as the options page.
+ */
+
+const SUN_ICON = `<svg viewBox="0 0 24 24"><path d="M12 7c-2.76 0-5 2.24-5 5s2.24 5 5 5 5-2.24 5-5-2.24-5-5-5zM12 9c1.65 0 3 1.35 3 3s-1.35 3-3 3-3-1.35-3-3 1.35-3 3-3zm0-5h-1v3h1V4zm0 15h-1v3h1v-3zM5.64 6.36L4.22 4.93 2.81 6.34l1.42 1.43L5.64 6.36zm13.43 12.01l1.42 1.42 1.41-1.41-1.42-1.42-1.41 1.41zM20 11v1h-3v-1h3zM4 11v1H1v-1h3zm12.07-5.64l1.41-1.41-1.42-1.42-1.41 1.41 1.42 1.42zM6.34 19.78l-1.41-1.41-1.42 1.42 1.41 1.41 1.42-1.42z"/></svg>`;
+const MOON_ICON = `<svg viewBox="0 0 24 24"><path d="M10 2c-1.82 0-3.53.5-5 1.35 2.99 1.73 5 4.95 5 8.65s-2.01 6.92-5 8.65C6.47 21.5 8.18 22 10 22c5.52 0 10-4.48 10-10S15.52 2 10 2z"/></svg>`;
+
+/**
+ * Applies a theme to the page and updates the toggle's icon.
+ * @param {HTMLElement} toggle The theme toggle button.
+ * @param {string} theme 'light' or 'dark'.
+ */
+const applyTheme = (toggle, theme) => {
+    if (theme === 'dark') {
+        document.body.setAttribute('data-theme', 'dark');
+        toggle.innerHTML = SUN_ICON;
+    } else {
+        document.body.removeAttribute('data-theme');
+        toggle.innerHTML = MOON_ICON;
+    }
+};
+
+/**
+ * Applies the saved theme and wires up the toggle button.
+ * @param {HTMLElement} toggle The theme toggle button.
+ */
+export function initThemeToggle(toggle) {
+    chrome.storage.local.get('theme', (data) => {
+        applyTheme(toggle, data.theme || 'light');
+    });
+    toggle.addEventListener('click', () => {
+        const theme = document.body.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+        chrome.storage.local.set({ theme }, () => applyTheme(toggle, theme));
+    });
+}
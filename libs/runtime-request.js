@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Promise wrapper around messages to the service worker, for the
+ * extension's own pages.
+ */
+
+/**
+ * Sends a message to the service worker and resolves with the `data` of a
+ * successful response.
+ * @param {string} type The message type.
+ * @param {object} [payload]
+ * @returns {Promise<*>}
+ * @throws {Error} If the worker can't be reached or reports a failure.
+ */
+export function sendRequest(type, payload) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type, payload }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                reject(new Error(chrome.runtime.lastError?.message || response?.error || 'The extension did not respond.'));
+            } else {
+                resolve(response.data);
+            }
+        });
+    });
+}
@@ -71,6 +71,49 @@ export function throttle(fn, ms) {
     return wrapper;
 }
 
+/**
+ * Collects every part of speech and definition from dictionary API results.
+ * Homograph entries (e.g. the two "bank" results) that share a part of speech
+ * are merged into one group.
+ * @param {Array<object>} results The raw results array from the dictionary API.
+ * @returns {Array<object>} Meaning groups in API order.
+ *
+ * Example meaning group:
+ * {
+ *   partOfSpeech: 'noun',
+ *   definitions: [{ definition: '...', example: '...', synonyms: [], antonyms: [] }],
+ *   synonyms: ['...'],
+ *   antonyms: []
+ * }
+ */
+export function normalizeMeanings(results) {
+    if (!Array.isArray(results)) return [];
+    const groups = new Map();
+
+    results.forEach(result => {
+        result.meanings?.forEach(m => {
+            const partOfSpeech = m.partOfSpeech || 'other';
+            if (!groups.has(partOfSpeech)) {
+                groups.set(partOfSpeech, { partOfSpeech, definitions: [], synonyms: [], antonyms: [] });
+            }
+            const group = groups.get(partOfSpeech);
+            m.definitions?.forEach(d => {
+                if (!d.definition) return;
+                group.definitions.push({
+                    definition: d.definition,
+                    example: d.example || '',
+                    synonyms: d.synonyms || [],
+                    antonyms: d.antonyms || [],
+                });
+            });
+            group.synonyms = Array.from(new Set([...group.synonyms, ...(m.synonyms || [])]));
+            group.antonyms = Array.from(new Set([...group.antonyms, ...(m.antonyms || [])]));
+        });
+    });
+
+    return Array.from(groups.values()).filter(group => group.definitions.length > 0);
+}
+
 /**
  * Normalizes a raw API response from the dictionary API into a consistent format.
  * @param {object} apiResponse The raw response from the dictionary API.
@@ -81,6 +124,7 @@ export function throttle(fn, ms) {
  *   word: 'hello',
  *   phonetic: '/həˈloʊ/',
  *   meaning: 'Used as a greeting or to begin a phone conversation.',
+ *   meanings: [{ partOfSpeech: 'exclamation', definitions: [...], synonyms: [], antonyms: [] }],
  *   source: 'api'
  * }
  */
@@ -89,17 +133,82 @@ export function formatSuggestions(apiResponse) {
         return null;
     }
     const firstResult = apiResponse[0];
-    const meaning = firstResult.meanings?.[0]?.definitions?.[0]?.definition;
-    if (!meaning) {
+    const meanings = normalizeMeanings(apiResponse);
+    if (meanings.length === 0) {
         return null;
     }
     return {
         word: firstResult.word,
         phonetic: firstResult.phonetic || firstResult.phonetics?.find(p => p.text)?.text || '',
-        meaning: meaning,
+        meaning: meanings[0].definitions[0].definition,
+        meanings,
     };
 }
 
+/**
+ * Counts the single-character insertions, deletions, substitutions and
+ * swaps of adjacent characters that turn one word into another
+ * (optimal string alignment distance).
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity] Give up once the distance is known to exceed this.
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Picks the "did you mean" suggestions for a word no dictionary knows:
+ * the candidates closest to it by edit distance. Candidates are normalized
+ * (trimmed, lowercased, de-duplicated) and, at the same distance, keep their
+ * order, so pass the likeliest words (the user's own, then frequent ones) first.
+ * @param {string} query The word that was looked up.
+ * @param {Array<string>} candidates Known words.
+ * @param {object} [options]
+ * @param {number} [options.limit=5]
+ * @param {number} [options.maxDistance] Defaults to 1 for words of up to 4 letters, 2 up to 8 and 3 beyond.
+ * @returns {Array<string>} The suggested words, closest first.
+ *
+ * Example: rankSpellingSuggestions('recieve', ['receive', 'recipe', 'relieve']) → ['receive', 'relieve', 'recipe']
+ */
+export function rankSpellingSuggestions(query, candidates, { limit = 5, maxDistance } = {}) {
+    const word = (query || '').trim().toLowerCase();
+    if (!word || !Array.isArray(candidates)) return [];
+    const max = maxDistance ?? (word.length <= 4 ? 1 : word.length <= 8 ? 2 : 3);
+    const seen = new Set([word]);
+    const matches = [];
+    candidates.forEach((candidate, order) => {
+        const normalized = typeof candidate === 'string' ? candidate.trim().toLowerCase() : '';
+        if (!normalized || seen.has(normalized)) return;
+        seen.add(normalized);
+        const distance = editDistance(word, normalized, max);
+        if (distance <= max) matches.push({ word: normalized, distance, order });
+    });
+    return matches
+        .sort((a, b) => a.distance - b.distance || a.order - b.order)
+        .slice(0, limit)
+        .map(match => match.word);
+}
+
 /**
  * A simple in-memory cache with a Time-To-Live (TTL) for each entry.
  */
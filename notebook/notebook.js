@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Vocabulary notebook page for WordUp.
+ * Lists saved words with their sense, the sentence they were found in and
+ * the user's notes, tags and deck, which can be edited in place. Tags and
+ * decks can be filtered by, renamed, merged and removed.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+import { sendRequest } from '../libs/runtime-request.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const list = document.getElementById('notebook-list');
+    const searchInput = document.getElementById('notebook-search');
+    const summary = document.getElementById('notebook-summary');
+    const deckFilter = document.getElementById('notebook-deck');
+    const tagFilter = document.getElementById('notebook-tag');
+    const manageLabelsButton = document.getElementById('manage-labels');
+    const labelManager = document.getElementById('label-manager');
+    const tagList = document.getElementById('tag-list');
+    const deckList = document.getElementById('deck-list');
+    const deckOptions = document.getElementById('deck-options');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    // --- State ---
+    let entries = [];
+    let labels = { tags: [], decks: [] };
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    /**
+     * Creates an element with a class and text content.
+     * @param {string} tag
+     * @param {string} className
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    const element = (tag, className, text) => {
+        const el = document.createElement(tag);
+        el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    };
+
+    /**
+     * Builds the list item for one notebook entry.
+     * @param {object} entry
+     * @returns {HTMLLIElement}
+     */
+    const renderEntry = (entry) => {
+        const li = element('li', 'notebook-entry');
+        li.dataset.id = entry.id;
+
+        const heading = element('div', 'entry-heading');
+        heading.appendChild(element('h2', '', entry.word));
+        if (entry.phonetic) heading.appendChild(element('span', 'entry-meta', entry.phonetic));
+        heading.appendChild(element('span', 'entry-meta', entry.lang));
+        const deleteButton = element('button', 'icon-button entry-delete', '✕');
+        deleteButton.type = 'button';
+        deleteButton.title = 'Remove from notebook';
+        deleteButton.dataset.action = 'delete';
+        heading.appendChild(deleteButton);
+        li.appendChild(heading);
+
+        const definition = element('p', 'entry-definition');
+        if (entry.sense.partOfSpeech) definition.appendChild(element('span', 'entry-pos', entry.sense.partOfSpeech));
+        definition.appendChild(document.createTextNode(entry.sense.definition));
+        li.appendChild(definition);
+        if (entry.sense.example) li.appendChild(element('div', 'entry-example', `“${entry.sense.example}”`));
+
+        if (entry.context || entry.url) {
+            const context = element('blockquote', 'entry-context', entry.context);
+            if (entry.url) {
+                const link = element('a', '', entry.pageTitle || new URL(entry.url).hostname);
+                link.href = entry.url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                context.appendChild(document.createElement('br'));
+                context.appendChild(document.createTextNode('— '));
+                context.appendChild(link);
+            }
+            li.appendChild(context);
+        }
+
+        if (entry.deck || entry.tags.length > 0) {
+            const chips = element('div', 'entry-labels');
+            if (entry.deck) chips.appendChild(element('span', 'entry-tag entry-deck', entry.deck));
+            entry.tags.forEach(tag => chips.appendChild(element('span', 'entry-tag', `#${tag}`)));
+            li.appendChild(chips);
+        }
+
+        const labelFields = element('div', 'entry-label-fields');
+        const tagsInput = element('input', 'entry-tags-input');
+        tagsInput.type = 'text';
+        tagsInput.placeholder = 'Tags, separated by commas';
+        tagsInput.value = entry.tags.join(', ');
+        const deckInput = element('input', 'entry-deck-input');
+        deckInput.type = 'text';
+        deckInput.placeholder = 'Deck';
+        deckInput.value = entry.deck;
+        deckInput.setAttribute('list', 'deck-options');
+        labelFields.append(tagsInput, deckInput);
+        li.appendChild(labelFields);
+
+        const notes = element('textarea', 'entry-notes');
+        notes.placeholder = 'Notes (mnemonics, translations, your own example…)';
+        notes.value = entry.notes;
+        li.appendChild(notes);
+
+        const saved = new Date(entry.createdAt).toLocaleDateString();
+        const updated = new Date(entry.updatedAt).toLocaleDateString();
+        li.appendChild(element('div', 'entry-meta', saved === updated ? `Saved ${saved}` : `Saved ${saved} · updated ${updated}`));
+        return li;
+    };
+
+    /**
+     * Renders the entries matching the search box and the deck and tag filters.
+     */
+    const renderList = () => {
+        const query = searchInput.value.trim().toLowerCase();
+        const deck = deckFilter.value;
+        const tag = tagFilter.value;
+        const visible = entries.filter(entry => (!deck || entry.deck === deck)
+            && (!tag || entry.tags.includes(tag))
+            && (!query || [entry.word, entry.sense.definition, entry.notes, entry.context, ...entry.tags]
+                .some(text => (text || '').toLowerCase().includes(query))));
+
+        summary.textContent = `${entries.length} saved ${entries.length === 1 ? 'word' : 'words'}.`;
+        list.innerHTML = '';
+        if (visible.length === 0) {
+            list.appendChild(element('li', 'notebook-empty', entries.length === 0
+                ? 'Your notebook is empty. Use “Save word” on a definition card to add words.'
+                : 'No saved words match your search and filters.'));
+            return;
+        }
+        visible.forEach(entry => list.appendChild(renderEntry(entry)));
+    };
+
+    /**
+     * Fills a filter select with labels, keeping the current choice if it still exists.
+     * @param {HTMLSelectElement} select
+     * @param {Array<{name: string, count: number}>} items
+     */
+    const fillFilter = (select, items) => {
+        const current = select.value;
+        select.length = 1; // Keep the "All" option
+        items.forEach(({ name, count }) => select.add(new Option(`${name} (${count})`, name)));
+        select.value = items.some(item => item.name === current) ? current : '';
+    };
+
+    /**
+     * Fills one column of the tag and deck manager.
+     * @param {HTMLUListElement} listElement
+     * @param {'tag'|'deck'} kind
+     * @param {Array<{name: string, count: number}>} items
+     */
+    const renderLabelList = (listElement, kind, items) => {
+        listElement.innerHTML = '';
+        if (items.length === 0) {
+            listElement.appendChild(element('li', 'entry-meta', kind === 'tag' ? 'No tags yet.' : 'No decks yet.'));
+            return;
+        }
+        items.forEach(({ name, count }) => {
+            const li = element('li', '');
+            li.dataset.kind = kind;
+            li.dataset.name = name;
+            li.appendChild(element('span', 'label-name', kind === 'tag' ? `#${name}` : name));
+            li.appendChild(element('span', 'entry-meta', String(count)));
+            const rename = element('button', '', 'Rename');
+            rename.type = 'button';
+            rename.dataset.action = 'rename';
+            const remove = element('button', '', 'Remove');
+            remove.type = 'button';
+            remove.dataset.action = 'remove';
+            li.append(rename, remove);
+            listElement.appendChild(li);
+        });
+    };
+
+    const renderLabels = () => {
+        fillFilter(deckFilter, labels.decks);
+        fillFilter(tagFilter, labels.tags);
+        renderLabelList(tagList, 'tag', labels.tags);
+        renderLabelList(deckList, 'deck', labels.decks);
+        deckOptions.replaceChildren(...labels.decks.map(({ name }) => new Option('', name)));
+    };
+
+    const loadEntries = async () => {
+        try {
+            [entries, labels] = await Promise.all([sendRequest('getVocabulary'), sendRequest('getLabels')]);
+            renderLabels();
+            renderList();
+        } catch (e) {
+            showStatus(`Could not load the notebook: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Saves the notes, tags or deck of an entry when the field loses focus.
+     * @param {Event} event
+     */
+    const handleEntryChange = async (event) => {
+        const field = event.target;
+        const changes = field.matches('.entry-notes') ? { notes: field.value }
+            : field.matches('.entry-tags-input') ? { tags: field.value.split(',') }
+            : field.matches('.entry-deck-input') ? { deck: field.value }
+            : null;
+        if (!changes) return;
+        const id = field.closest('.notebook-entry').dataset.id;
+        try {
+            const updated = await sendRequest('updateWord', { id, changes });
+            entries = entries.map(entry => (entry.id === id ? updated : entry));
+            if (changes.notes !== undefined) {
+                showStatus('Notes saved.', 'success');
+                return;
+            }
+            labels = await sendRequest('getLabels');
+            renderLabels();
+            renderList();
+            showStatus(changes.tags ? 'Tags saved.' : 'Deck saved.', 'success');
+        } catch (e) {
+            showStatus(`Could not save the change: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Renames or removes a tag or deck across the notebook.
+     * @param {MouseEvent} event
+     */
+    const handleLabelClick = async (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const { kind, name } = button.closest('li').dataset;
+        const noun = kind === 'tag' ? 'tag' : 'deck';
+        let newName = '';
+        if (button.dataset.action === 'rename') {
+            newName = prompt(`Rename the ${noun} “${name}” to:`, name);
+            if (newName === null || !newName.trim() || newName.trim() === name) return;
+        } else if (!confirm(`Remove the ${noun} “${name}” from every word? The words stay in your notebook.`)) {
+            return;
+        }
+        try {
+            const { changed } = await sendRequest('relabel', { kind, names: [name], newName });
+            await loadEntries();
+            showStatus(`${newName ? 'Renamed' : 'Removed'} the ${noun} “${name}” on ${changed} ${changed === 1 ? 'word' : 'words'}.`, 'success');
+        } catch (e) {
+            showStatus(`Could not change the ${noun}: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Removes an entry after confirmation.
+     * @param {MouseEvent} event
+     */
+    const handleListClick = async (event) => {
+        const button = event.target.closest('button[data-action="delete"]');
+        if (!button) return;
+        const id = button.closest('.notebook-entry').dataset.id;
+        const entry = entries.find(e => e.id === id);
+        if (!entry || !confirm(`Remove “${entry.word}” from your notebook?`)) return;
+        try {
+            await sendRequest('deleteWord', { id });
+            entries = entries.filter(e => e.id !== id);
+            renderList();
+            showStatus(`Removed “${entry.word}”.`, 'info');
+        } catch (e) {
+            showStatus(`Could not remove the word: ${e.message}`, 'error');
+        }
+    };
+
+    // --- Event Listeners ---
+    searchInput.addEventListener('input', renderList);
+    deckFilter.addEventListener('change', renderList);
+    tagFilter.addEventListener('change', renderList);
+    manageLabelsButton.addEventListener('click', () => {
+        labelManager.hidden = !labelManager.hidden;
+    });
+    labelManager.addEventListener('click', handleLabelClick);
+    list.addEventListener('change', handleEntryChange);
+    list.addEventListener('click', handleListClick);
+
+    // --- Initialization ---
+    initThemeToggle(themeToggle);
+    loadEntries();
+});
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Offscreen document for WordUp.
+ * The service worker can't play media, so it asks this page to play
+ * pronunciation recordings.
+ */
+
+(function() {
+    'use strict';
+
+    let currentAudio = null;
+
+    /**
+     * Plays an audio file, stopping whatever was playing before.
+     * @param {string} url
+     * @returns {Promise<void>} Resolves once playback has started.
+     */
+    const play = (url) => {
+        if (currentAudio) currentAudio.pause();
+        currentAudio = new Audio(url);
+        return currentAudio.play();
+    };
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.target !== 'offscreen') return false;
+
+        if (message.type === 'playAudio') {
+            play(message.url)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true; // Indicates async response
+        }
+        return false;
+    });
+})();
@@ -1,10 +1,60 @@
+/* global shortcutKeys */
+
+import { DEFAULT_DICTIONARY_PROVIDERS, dictionaryAdapters } from '../background/dictionary-providers.js';
+import { DEFAULT_TRANSLATION_PROVIDER, translationAdapters } from '../background/translation-providers.js';
+import { ACCENTS } from '../background/speech.js';
+import { DEFAULT_REVIEW_SETTINGS } from '../background/review-scheduler.js';
+import { DEFAULT_WORD_OF_THE_DAY_SETTINGS, WORD_SOURCES } from '../background/word-of-the-day.js';
+import { DEFAULT_EXPORT_SETTINGS, EXPORT_FIELDS, EXPORT_FORMATS, buildExport } from '../libs/notebook-export.js';
+import {
+    DEFAULT_PRESET_SETTINGS,
+    DEFAULT_REWRITE_PRESETS,
+    MAX_CANDIDATES,
+    PROMPT_PLACEHOLDERS,
+    RESERVED_SHORTCUTS,
+} from '../background/rewrite-presets.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     // --- DOM Elements ---
     const form = document.getElementById('settings-form');
-    const dictionaryUrlInput = document.getElementById('dictionary-url');
+    const providerList = document.getElementById('provider-list');
+    const providerNameInput = document.getElementById('provider-name');
+    const providerUrlInput = document.getElementById('provider-url');
+    const providerAdapterSelect = document.getElementById('provider-adapter');
+    const providerLanguagesInput = document.getElementById('provider-languages');
+    const nativeLanguageSelect = document.getElementById('native-language');
+    const targetLanguageSelect = document.getElementById('target-language');
+    const accentSelect = document.getElementById('accent');
+    const addProviderButton = document.getElementById('add-provider');
     const geminiKeyInput = document.getElementById('gemini-key');
+    const translationAdapterSelect = document.getElementById('translation-adapter');
+    const translationUrlInput = document.getElementById('translation-url');
+    const translationKeyInput = document.getElementById('translation-key');
+    const preferOfflineCheckbox = document.getElementById('prefer-offline');
+    const presetList = document.getElementById('preset-list');
+    const addPresetButton = document.getElementById('add-preset');
+    const resetPresetsButton = document.getElementById('reset-presets');
+    const presetPlaceholders = document.getElementById('preset-placeholders');
+    const reviewNewPerDayInput = document.getElementById('review-new-per-day');
+    const reviewReviewsPerDayInput = document.getElementById('review-reviews-per-day');
+    const reviewNotificationsCheckbox = document.getElementById('review-notifications');
+    const wordOfTheDayEnabledCheckbox = document.getElementById('word-of-the-day-enabled');
+    const wordOfTheDayTimeInput = document.getElementById('word-of-the-day-time');
+    const wordOfTheDaySourceSelect = document.getElementById('word-of-the-day-source');
+    const annotatePagesCheckbox = document.getElementById('annotate-pages');
+    const lexiconInfo = document.getElementById('lexicon-info');
+    const importLexiconInput = document.getElementById('import-lexicon');
     const statusMessage = document.getElementById('status-message');
     const exportButton = document.getElementById('export-data');
+    const exportDeckSelect = document.getElementById('export-deck');
+    const exportFormatSelect = document.getElementById('export-format');
+    const exportAnkiOptions = document.getElementById('export-anki-options');
+    const exportAnkiFrontInput = document.getElementById('export-anki-front');
+    const exportAnkiBackInput = document.getElementById('export-anki-back');
+    const exportPlaceholders = document.getElementById('export-placeholders');
+    const exportCsvOptions = document.getElementById('export-csv-options');
+    const exportColumns = document.getElementById('export-columns');
+    const exportPreview = document.getElementById('export-preview');
     const importInput = document.getElementById('import-data');
     const runDiagnosticsButton = document.getElementById('run-diagnostics');
     // The diagnostics output element is not in the current HTML, but we can keep the reference.
@@ -13,23 +63,345 @@ document.addEventListener('DOMContentLoaded', () => {
     const body = document.body;
 
     const API_KEY_PLACEHOLDER = '••••••••••••••••';
+    const PREVIEW_ROWS = 3; // Notebook entries shown in the export preview
+    const LANGUAGES = {
+        en: 'English',
+        es: 'Spanish',
+        fr: 'French',
+        de: 'German',
+        it: 'Italian',
+        pt: 'Portuguese',
+        nl: 'Dutch',
+        ru: 'Russian',
+        tr: 'Turkish',
+        ar: 'Arabic',
+        hi: 'Hindi',
+        ja: 'Japanese',
+        ko: 'Korean',
+        zh: 'Chinese',
+    };
+
+    // --- State ---
+    let providers = [];
+    let presets = [];
+    let exportBackup = null; // Notebook backup for the selected deck, fetched for the preview
 
     // --- Functions ---
 
+    /**
+     * Renders the ordered dictionary provider list.
+     */
+    const renderProviders = () => {
+        providerList.innerHTML = '';
+        providers.forEach((provider, index) => {
+            const li = document.createElement('li');
+            li.className = 'provider-item';
+            li.dataset.index = index;
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = provider.enabled !== false;
+            toggle.dataset.action = 'toggle';
+            toggle.title = 'Enable or disable this provider';
+
+            const details = document.createElement('div');
+            details.className = 'provider-details';
+            const name = document.createElement('strong');
+            name.textContent = provider.name;
+            const url = document.createElement('span');
+            url.textContent = provider.languages && provider.languages.length > 0
+                ? `${provider.url} (${provider.languages.join(', ')})`
+                : provider.url;
+            details.append(name, url);
+
+            const actions = document.createElement('div');
+            actions.className = 'provider-actions';
+            [
+                ['up', '↑', 'Move up', index === 0],
+                ['down', '↓', 'Move down', index === providers.length - 1],
+                ['remove', '×', 'Remove', false],
+            ].forEach(([action, label, title, disabled]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'icon-button';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.title = title;
+                button.disabled = disabled;
+                actions.appendChild(button);
+            });
+
+            li.append(toggle, details, actions);
+            providerList.appendChild(li);
+        });
+    };
+
+    /**
+     * Handles reorder, enable/disable and remove actions on the provider list.
+     * @param {Event} event
+     */
+    const handleProviderAction = (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+        const index = Number(target.closest('.provider-item').dataset.index);
+
+        switch (target.dataset.action) {
+        case 'toggle':
+            providers[index].enabled = target.checked;
+            return; // Checkbox state is already up to date; no re-render needed
+        case 'up':
+            [providers[index - 1], providers[index]] = [providers[index], providers[index - 1]];
+            break;
+        case 'down':
+            [providers[index + 1], providers[index]] = [providers[index], providers[index + 1]];
+            break;
+        case 'remove':
+            providers.splice(index, 1);
+            break;
+        }
+        renderProviders();
+    };
+
+    /**
+     * Adds a provider from the "Add a provider" inputs to the end of the list.
+     */
+    const addProvider = () => {
+        const name = providerNameInput.value.trim();
+        const url = providerUrlInput.value.trim();
+        if (!name || !url) {
+            return showStatus('A provider needs both a name and a URL.', 'error');
+        }
+        const languages = providerLanguagesInput.value
+            .split(',')
+            .map(lang => lang.trim().toLowerCase())
+            .filter(Boolean);
+        providers.push({
+            id: `custom-${Date.now()}`,
+            name,
+            adapter: providerAdapterSelect.value,
+            url,
+            ...(languages.length > 0 ? { languages } : {}),
+            enabled: true,
+        });
+        providerNameInput.value = '';
+        providerUrlInput.value = '';
+        providerLanguagesInput.value = '';
+        renderProviders();
+        showStatus('Provider added. Save settings to apply.', 'info');
+    };
+
+    /**
+     * Creates a number input for one of a preset's settings.
+     * @param {string} field
+     * @param {number} value
+     * @param {{min: number, max?: number, step: number}} limits
+     * @returns {HTMLInputElement}
+     */
+    const presetNumberInput = (field, value, { min, max, step }) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.dataset.field = field;
+        input.value = value;
+        input.min = min;
+        if (max !== undefined) input.max = max;
+        input.step = step;
+        return input;
+    };
+
+    /**
+     * Renders the ordered rewrite preset list, each preset with its own editor.
+     */
+    const renderPresets = () => {
+        presetList.innerHTML = '';
+        presets.forEach((preset, index) => {
+            const li = document.createElement('li');
+            li.className = 'preset-item';
+            li.dataset.index = index;
+
+            const header = document.createElement('div');
+            header.className = 'preset-header';
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.dataset.field = 'name';
+            name.value = preset.name;
+            name.placeholder = 'Name, e.g. Concise';
+            const shortcut = document.createElement('input');
+            shortcut.type = 'text';
+            shortcut.className = 'preset-shortcut';
+            shortcut.dataset.field = 'shortcut';
+            shortcut.value = preset.shortcut || '';
+            shortcut.placeholder = 'No shortcut';
+            shortcut.title = 'Press a key combination with Ctrl, Alt or ⌘. Backspace removes the shortcut.';
+            shortcut.readOnly = true;
+
+            const actions = document.createElement('div');
+            actions.className = 'provider-actions';
+            [
+                ['up', '↑', 'Move up', index === 0],
+                ['down', '↓', 'Move down', index === presets.length - 1],
+                ['remove', '×', 'Remove', presets.length === 1],
+            ].forEach(([action, label, title, disabled]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'icon-button';
+                button.dataset.action = action;
+                button.textContent = label;
+                button.title = title;
+                button.disabled = disabled;
+                actions.appendChild(button);
+            });
+            header.append(name, shortcut, actions);
+
+            const prompt = document.createElement('textarea');
+            prompt.className = 'preset-prompt';
+            prompt.dataset.field = 'prompt';
+            prompt.value = preset.prompt;
+            prompt.spellcheck = false;
+
+            const settings = document.createElement('div');
+            settings.className = 'preset-settings';
+            const temperatureLabel = document.createElement('label');
+            temperatureLabel.append('Temperature', presetNumberInput('temperature', preset.temperature, { min: 0, max: 2, step: 0.1 }));
+            const maxTokensLabel = document.createElement('label');
+            maxTokensLabel.append('Max length (tokens)', presetNumberInput('maxTokens', preset.maxTokens, { min: 1, step: 1 }));
+            const candidatesLabel = document.createElement('label');
+            candidatesLabel.append('Alternatives', presetNumberInput('candidates', preset.candidates, { min: 1, max: MAX_CANDIDATES, step: 1 }));
+            settings.append(temperatureLabel, maxTokensLabel, candidatesLabel);
+
+            li.append(header, prompt, settings);
+            presetList.appendChild(li);
+        });
+    };
+
+    /**
+     * Handles reorder and remove actions on the preset list.
+     * @param {Event} event
+     */
+    const handlePresetAction = (event) => {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+        const index = Number(target.closest('.preset-item').dataset.index);
+
+        switch (target.dataset.action) {
+        case 'up':
+            [presets[index - 1], presets[index]] = [presets[index], presets[index - 1]];
+            break;
+        case 'down':
+            [presets[index + 1], presets[index]] = [presets[index], presets[index + 1]];
+            break;
+        case 'remove':
+            presets.splice(index, 1);
+            break;
+        }
+        renderPresets();
+    };
+
+    /**
+     * Keeps the preset list in step with its editors.
+     * @param {Event} event
+     */
+    const handlePresetInput = (event) => {
+        const { field } = event.target.dataset;
+        if (!field) return;
+        const preset = presets[Number(event.target.closest('.preset-item').dataset.index)];
+        preset[field] = event.target.type === 'number' ? Number(event.target.value) : event.target.value;
+    };
+
+    /**
+     * Records a preset's shortcut from the key combination pressed in its field.
+     * @param {KeyboardEvent} event
+     */
+    const handlePresetShortcutKeydown = (event) => {
+        if (event.target.dataset.field !== 'shortcut' || event.key === 'Tab') return;
+        event.preventDefault();
+        const clear = ['Backspace', 'Delete'].includes(event.key);
+        const shortcut = clear ? '' : shortcutKeys.fromEvent(event);
+        if (!clear && !shortcut) return;
+        event.target.value = shortcut;
+        presets[Number(event.target.closest('.preset-item').dataset.index)].shortcut = shortcut;
+    };
+
+    /**
+     * Adds an empty preset to the end of the list.
+     */
+    const addPreset = () => {
+        presets.push({
+            id: `custom-${Date.now()}`,
+            name: '',
+            prompt: 'Rewrite the following text. Reply with the rewritten text only.\n\n{{text}}',
+            ...DEFAULT_PRESET_SETTINGS,
+        });
+        renderPresets();
+        presetList.lastElementChild.querySelector('[data-field="name"]').focus();
+    };
+
+    const resetPresets = () => {
+        if (!confirm('Replace your rewrite presets with the default ones?')) return;
+        presets = DEFAULT_REWRITE_PRESETS.map(p => ({ ...p }));
+        renderPresets();
+        showStatus('Presets restored. Save settings to apply.', 'info');
+    };
+
+    /**
+     * Checks the presets before saving.
+     * @returns {string} An error message, or '' when they can be saved.
+     */
+    const validatePresets = () => {
+        const shortcuts = new Set();
+        for (const preset of presets) {
+            const name = preset.name.trim();
+            if (!name) return 'Every rewrite preset needs a name.';
+            if (!preset.prompt.includes('{{text}}')) return `${name}: the prompt must contain {{text}}.`;
+            if (!(preset.temperature >= 0 && preset.temperature <= 2)) return `${name}: the temperature must be between 0 and 2.`;
+            if (!(preset.maxTokens >= 1)) return `${name}: the max length must be at least 1.`;
+            if (!(Number.isInteger(preset.candidates) && preset.candidates >= 1 && preset.candidates <= MAX_CANDIDATES)) {
+                return `${name}: ask for between 1 and ${MAX_CANDIDATES} alternatives.`;
+            }
+            if (!preset.shortcut) continue;
+            if (RESERVED_SHORTCUTS.includes(preset.shortcut)) return `${name}: ${preset.shortcut} is already used by WordUp.`;
+            if (shortcutKeys.isEditing(preset.shortcut)) return `${name}: ${preset.shortcut} is needed for copying and editing text.`;
+            if (shortcuts.has(preset.shortcut)) return `${name}: ${preset.shortcut} is already used by another preset.`;
+            shortcuts.add(preset.shortcut);
+        }
+        return '';
+    };
+
     /**
      * Loads settings from chrome.storage and populates the form.
      */
     const loadSettings = async () => {
         try {
-            const { config } = await chrome.storage.sync.get('config');
+            const { config, rewritePresets } = await chrome.storage.sync.get(['config', 'rewritePresets']);
             const { apiKeys } = await chrome.storage.local.get('apiKeys');
             
-            if (config && config.apiBaseUrls) {
-                dictionaryUrlInput.value = config.apiBaseUrls.dictionary || '';
-            }
+            providers = (config && config.dictionaryProviders) || DEFAULT_DICTIONARY_PROVIDERS.map(p => ({ ...p }));
+            renderProviders();
+            presets = (rewritePresets && rewritePresets.length > 0 ? rewritePresets : DEFAULT_REWRITE_PRESETS)
+                .map(p => ({ ...DEFAULT_PRESET_SETTINGS, ...p }));
+            renderPresets();
+            nativeLanguageSelect.value = config?.languages?.native || 'en';
+            targetLanguageSelect.value = config?.languages?.target || 'en';
+            accentSelect.value = config?.accent || 'us';
+            const translationProvider = { ...DEFAULT_TRANSLATION_PROVIDER, ...config?.translationProvider };
+            translationAdapterSelect.value = translationProvider.adapter;
+            translationUrlInput.value = translationProvider.url;
+            preferOfflineCheckbox.checked = Boolean(config?.preferOffline);
+            const review = { ...DEFAULT_REVIEW_SETTINGS, ...config?.review };
+            reviewNewPerDayInput.value = review.newPerDay;
+            reviewReviewsPerDayInput.value = review.reviewsPerDay;
+            reviewNotificationsCheckbox.checked = review.notifications;
+            const wordOfTheDay = { ...DEFAULT_WORD_OF_THE_DAY_SETTINGS, ...config?.wordOfTheDay };
+            wordOfTheDayEnabledCheckbox.checked = wordOfTheDay.enabled;
+            wordOfTheDayTimeInput.value = wordOfTheDay.time;
+            wordOfTheDaySourceSelect.value = wordOfTheDay.source;
+            annotatePagesCheckbox.checked = Boolean(config?.annotatePages);
+            applyExportSettings({ ...DEFAULT_EXPORT_SETTINGS, ...config?.export });
             if (apiKeys && apiKeys.gemini) {
                 geminiKeyInput.placeholder = API_KEY_PLACEHOLDER;
             }
+            if (apiKeys && apiKeys.translation) {
+                translationKeyInput.placeholder = API_KEY_PLACEHOLDER;
+            }
         } catch (e) {
             showStatus('Error loading settings.', 'error');
             console.error(e);
@@ -47,7 +419,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // A simple GET request is sufficient. The options page has enough privileges.
             // We just want to see if it returns a non-error status.
             // We'll use a test query.
-            const testUrl = url.endsWith('/') ? `${url}test` : `${url}/test`;
+            let testUrl;
+            if (url.includes('{word}')) {
+                testUrl = url.replace('{word}', 'test');
+            } else {
+                testUrl = url.endsWith('/') ? `${url}test` : `${url}/test`;
+            }
             const response = await fetch(testUrl);
             // We expect a 404 (Not Found) for a test word, which is a valid, reachable response.
             // A 200 OK is also fine. A network error or 5xx would be a failure.
@@ -65,13 +442,22 @@ document.addEventListener('DOMContentLoaded', () => {
         event.preventDefault();
         showStatus('Saving...', 'info');
 
-        const newDictionaryUrl = dictionaryUrlInput.value.trim();
         const newGeminiKey = geminiKeyInput.value.trim();
+        const newTranslationKey = translationKeyInput.value.trim();
 
-        // Validate endpoint
-        const isEndpointValid = await validateEndpoint(newDictionaryUrl);
-        if (!isEndpointValid) {
-            return showStatus(`Error: Dictionary URL "${newDictionaryUrl}" is not reachable.`, 'error');
+        // Validate the endpoints of every enabled provider
+        if (!providers.some(p => p.enabled !== false)) {
+            return showStatus('Error: At least one dictionary provider must be enabled.', 'error');
+        }
+        for (const provider of providers.filter(p => p.enabled !== false)) {
+            const isEndpointValid = await validateEndpoint(provider.url.replace('{lang}', provider.languages?.[0] || 'en'));
+            if (!isEndpointValid) {
+                return showStatus(`Error: ${provider.name} URL "${provider.url}" is not reachable.`, 'error');
+            }
+        }
+        const presetError = validatePresets();
+        if (presetError) {
+            return showStatus(`Error: ${presetError}`, 'error');
         }
 
         try {
@@ -80,23 +466,54 @@ document.addEventListener('DOMContentLoaded', () => {
             const { apiKeys } = await chrome.storage.local.get('apiKeys');
             
             const newConfig = config || {};
-            newConfig.apiBaseUrls = newConfig.apiBaseUrls || {};
-            newConfig.apiBaseUrls.dictionary = newDictionaryUrl;
+            newConfig.dictionaryProviders = providers;
+            newConfig.languages = {
+                native: nativeLanguageSelect.value,
+                target: targetLanguageSelect.value,
+            };
+            newConfig.accent = accentSelect.value;
+            newConfig.preferOffline = preferOfflineCheckbox.checked;
+            newConfig.review = {
+                newPerDay: Math.max(0, parseInt(reviewNewPerDayInput.value, 10) || 0),
+                reviewsPerDay: Math.max(0, parseInt(reviewReviewsPerDayInput.value, 10) || 0),
+                notifications: reviewNotificationsCheckbox.checked,
+            };
+            newConfig.wordOfTheDay = {
+                enabled: wordOfTheDayEnabledCheckbox.checked,
+                time: wordOfTheDayTimeInput.value || DEFAULT_WORD_OF_THE_DAY_SETTINGS.time,
+                source: wordOfTheDaySourceSelect.value,
+            };
+            newConfig.annotatePages = annotatePagesCheckbox.checked;
+            newConfig.export = readExportSettings();
+            newConfig.translationProvider = {
+                adapter: translationAdapterSelect.value,
+                url: translationUrlInput.value.trim(),
+            };
 
             const newApiKeys = apiKeys || {};
             if (newGeminiKey && newGeminiKey !== API_KEY_PLACEHOLDER) {
                 newApiKeys.gemini = newGeminiKey;
             }
+            if (newTranslationKey && newTranslationKey !== API_KEY_PLACEHOLDER) {
+                newApiKeys.translation = newTranslationKey;
+            }
+
+            // Presets are kept apart from config: long prompts could push it past the sync quota for one item.
+            const rewritePresets = presets.map(preset => ({ ...preset, name: preset.name.trim() }));
 
             // Save non-sensitive config to sync and sensitive keys to local
-            await chrome.storage.sync.set({ config: newConfig });
+            await chrome.storage.sync.set({ config: newConfig, rewritePresets });
             await chrome.storage.local.set({ apiKeys: newApiKeys });
             
             showStatus('Settings saved successfully!', 'success');
             geminiKeyInput.value = ''; // Clear input for security
+            translationKeyInput.value = '';
             if (newApiKeys.gemini) {
                 geminiKeyInput.placeholder = API_KEY_PLACEHOLDER;
             }
+            if (newApiKeys.translation) {
+                translationKeyInput.placeholder = API_KEY_PLACEHOLDER;
+            }
 
         } catch (e) {
             showStatus('Error saving settings.', 'error');
@@ -105,28 +522,100 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     /**
-     * Exports user data (word lists) as a JSON file.
+     * Lists the notebook's decks in the export select.
+     */
+    const loadExportDecks = () => {
+        chrome.runtime.sendMessage({ type: 'getLabels' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) return;
+            exportDeckSelect.length = 1; // Keep "Whole notebook"
+            response.data.decks.forEach(({ name, count }) => exportDeckSelect.add(new Option(`Deck: ${name} (${count})`, name)));
+        });
+    };
+
+    /**
+     * Reads the export format, Anki templates and CSV columns from the form.
+     * @returns {object}
+     */
+    const readExportSettings = () => ({
+        format: exportFormatSelect.value,
+        ankiFront: exportAnkiFrontInput.value || DEFAULT_EXPORT_SETTINGS.ankiFront,
+        ankiBack: exportAnkiBackInput.value || DEFAULT_EXPORT_SETTINGS.ankiBack,
+        csvColumns: Array.from(exportColumns.querySelectorAll('input:checked'), input => input.value),
+    });
+
+    /**
+     * Puts saved export settings in the form.
+     * @param {object} settings
+     */
+    const applyExportSettings = (settings) => {
+        exportFormatSelect.value = EXPORT_FORMATS[settings.format] ? settings.format : DEFAULT_EXPORT_SETTINGS.format;
+        exportAnkiFrontInput.value = settings.ankiFront;
+        exportAnkiBackInput.value = settings.ankiBack;
+        exportColumns.querySelectorAll('input').forEach(input => {
+            input.checked = settings.csvColumns.includes(input.value);
+        });
+        updateExportPreview();
+    };
+
+    /**
+     * Fetches the notebook backup for the selected deck from the service worker.
+     * @returns {Promise<object>}
+     */
+    const fetchExportBackup = async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'exportVocabulary', payload: { deck: exportDeckSelect.value } });
+        if (!response || !response.success) {
+            throw new Error(response ? response.error : 'No response from the extension.');
+        }
+        return response.data;
+    };
+
+    /**
+     * Shows the options of the chosen format and the first few entries as they will be exported.
+     */
+    const updateExportPreview = async () => {
+        const format = exportFormatSelect.value;
+        exportAnkiOptions.hidden = format !== 'anki';
+        exportCsvOptions.hidden = format !== 'csv';
+        try {
+            exportBackup = exportBackup || await fetchExportBackup();
+            exportPreview.textContent = exportBackup.entries.length === 0
+                ? 'Nothing to export yet.'
+                : buildExport(format, exportBackup, readExportSettings(), PREVIEW_ROWS);
+        } catch (e) {
+            exportPreview.textContent = `Could not build the preview: ${e.message}`;
+        }
+    };
+
+    const handleExportDeckChange = () => {
+        exportBackup = null;
+        updateExportPreview();
+    };
+
+    /**
+     * Downloads the notebook, or one deck, in the chosen format.
      */
     const exportData = async () => {
+        const deck = exportDeckSelect.value;
+        const format = exportFormatSelect.value;
+        const settings = readExportSettings();
+        if (format === 'csv' && settings.csvColumns.length === 0) {
+            alert('Choose at least one column to export.');
+            return;
+        }
         try {
-            const allData = await chrome.storage.local.get(null);
-            const wordData = Object.keys(allData)
-                .filter(key => key.startsWith('meaning_'))
-                .reduce((obj, key) => {
-                    obj[key] = allData[key];
-                    return obj;
-                }, {});
-
-            if (Object.keys(wordData).length === 0) {
-                alert('No data to export.');
+            exportBackup = await fetchExportBackup();
+            if (exportBackup.entries.length === 0) {
+                alert(deck ? 'This deck is empty.' : 'Your notebook is empty. Save some words first.');
                 return;
             }
 
-            const blob = new Blob([JSON.stringify(wordData, null, 2)], { type: 'application/json' });
+            const { extension, mimeType } = EXPORT_FORMATS[format];
+            const blob = new Blob([buildExport(format, exportBackup, settings)], { type: mimeType });
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `intellex-backup-${new Date().toISOString().split('T')[0]}.json`;
+            const deckSuffix = deck ? `-${deck.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-')}` : '';
+            a.download = `wordup-notebook${deckSuffix}-${new Date().toISOString().split('T')[0]}.${extension}`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -138,7 +627,7 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     /**
-     * Imports data from a JSON file.
+     * Imports a notebook backup (or an old word-list backup) from a JSON file.
      */
     const importData = (event) => {
         const file = event.target.files[0];
@@ -146,21 +635,74 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const reader = new FileReader();
         reader.onload = async (e) => {
+            let backup;
             try {
-                const data = JSON.parse(e.target.result);
-                // Simple validation: check for 'meaning_' keys
-                if (Object.keys(data).every(key => key.startsWith('meaning_'))) {
-                    await chrome.storage.local.set(data);
-                    alert('Data imported successfully!');
-                } else {
-                    alert('Invalid file format.');
-                }
+                backup = JSON.parse(e.target.result);
+            } catch (err) {
+                alert('Failed to parse JSON file.');
+                console.error(err);
+                return;
+            }
+            const response = await chrome.runtime.sendMessage({ type: 'importVocabulary', payload: { backup } });
+            if (response && response.success) {
+                const { imported, skipped } = response.data;
+                alert(`Imported ${imported} ${imported === 1 ? 'word' : 'words'}` +
+                    (skipped > 0 ? ` (${skipped} already in your notebook with newer changes).` : '.'));
+                loadExportDecks();
+                handleExportDeckChange();
+            } else {
+                alert(`Import failed: ${response ? response.error : 'No response from the extension.'}`);
+            }
+            event.target.value = ''; // Allow importing the same file again
+        };
+        reader.readAsText(file);
+    };
+
+    /**
+     * Shows the offline word packs installed in the service worker's database.
+     */
+    const loadLexiconInfo = () => {
+        chrome.runtime.sendMessage({ type: 'getLexiconInfo' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                lexiconInfo.textContent = 'Could not read the offline dictionary.';
+                return;
+            }
+            const packs = Object.entries(response.data.packs);
+            lexiconInfo.textContent = packs.length === 0
+                ? 'No word packs installed yet.'
+                : `${packs.map(([name, pack]) => `${name} v${pack.version} (${pack.lang}, ${pack.count} words)`).join(', ')} — ${response.data.count} words in total.`;
+        });
+    };
+
+    /**
+     * Imports an offline word pack (JSON) through the service worker.
+     */
+    const importLexicon = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let pack;
+            try {
+                pack = JSON.parse(e.target.result);
             } catch (err) {
                 alert('Failed to parse JSON file.');
                 console.error(err);
+                return;
             }
+            showStatus('Importing word pack...', 'info');
+            chrome.runtime.sendMessage({ type: 'importLexicon', payload: { pack } }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    showStatus(`Error: ${response ? response.error : 'Could not import word pack.'}`, 'error');
+                } else {
+                    showStatus(`Imported ${response.count} words.`, 'success');
+                    loadLexiconInfo();
+                }
+            });
         };
         reader.readAsText(file);
+        event.target.value = ''; // Allow importing the same file again
     };
 
     /**
@@ -217,8 +759,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Event Listeners ---
     form.addEventListener('submit', saveSettings);
+    providerList.addEventListener('click', handleProviderAction);
+    addProviderButton.addEventListener('click', addProvider);
+    presetList.addEventListener('click', handlePresetAction);
+    presetList.addEventListener('input', handlePresetInput);
+    presetList.addEventListener('keydown', handlePresetShortcutKeydown);
+    addPresetButton.addEventListener('click', addPreset);
+    resetPresetsButton.addEventListener('click', resetPresets);
     exportButton.addEventListener('click', exportData);
+    exportDeckSelect.addEventListener('change', handleExportDeckChange);
+    exportFormatSelect.addEventListener('change', updateExportPreview);
+    exportAnkiFrontInput.addEventListener('input', updateExportPreview);
+    exportAnkiBackInput.addEventListener('input', updateExportPreview);
+    exportColumns.addEventListener('change', updateExportPreview);
     importInput.addEventListener('change', importData);
+    importLexiconInput.addEventListener('change', importLexicon);
     themeToggle.addEventListener('click', handleThemeToggle);
     
     // The diagnostics button is present, but the output area is not in the HTML.
@@ -226,7 +781,34 @@ document.addEventListener('DOMContentLoaded', () => {
     // runDiagnosticsButton.addEventListener('click', runDiagnostics);
 
     // --- Initialization ---
+    providerAdapterSelect.innerHTML = Object.entries(dictionaryAdapters)
+        .map(([key, adapter]) => `<option value="${key}">${adapter.label}</option>`)
+        .join('');
+    const languageOptions = Object.entries(LANGUAGES)
+        .map(([code, name]) => `<option value="${code}">${name}</option>`)
+        .join('');
+    nativeLanguageSelect.innerHTML = languageOptions;
+    targetLanguageSelect.innerHTML = languageOptions;
+    accentSelect.innerHTML = Object.entries(ACCENTS)
+        .map(([key, accent]) => `<option value="${key}">${accent.label}</option>`)
+        .join('');
+    wordOfTheDaySourceSelect.innerHTML = Object.entries(WORD_SOURCES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    translationAdapterSelect.innerHTML = Object.entries(translationAdapters)
+        .map(([key, adapter]) => `<option value="${key}">${adapter.label}</option>`)
+        .join('');
+    exportFormatSelect.innerHTML = Object.entries(EXPORT_FORMATS)
+        .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+        .join('');
+    exportColumns.innerHTML = Object.entries(EXPORT_FIELDS)
+        .map(([key, field]) => `<label class="checkbox-label"><input type="checkbox" value="${key}"> ${field.label}</label>`)
+        .join('');
+    presetPlaceholders.textContent = `Rewrite buttons appear on the card in this order. Placeholders for prompts: ${Object.entries(PROMPT_PLACEHOLDERS).map(([key, label]) => `{{${key}}} (${label.toLowerCase()})`).join(', ')}. A shortcut rewrites the selection directly.`;
+    exportPlaceholders.textContent = `Placeholders: ${Object.keys(EXPORT_FIELDS).map(key => `{{${key}}}`).join(', ')}. HTML is allowed.`;
     loadSettings();
+    loadLexiconInfo();
+    loadExportDecks();
 
     // Load and apply the saved theme on startup
     chrome.storage.local.get('theme', (data) => {
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Full definition of a single word, shown in a small window.
+ * Opened from the "Define" context menu (on pages where the card can't be
+ * injected, such as PDFs) with the lookup result in the URL, and from the
+ * word-of-the-day notification with only the word, which is looked up here.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const wordHeading = document.getElementById('result-word');
+    const phonetic = document.getElementById('result-phonetic');
+    const meaningsContainer = document.getElementById('result-meanings');
+    const synonyms = document.getElementById('result-synonyms');
+    const antonyms = document.getElementById('result-antonyms');
+    const saveButton = document.getElementById('result-save');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    // --- State ---
+    const params = new URLSearchParams(location.search);
+    let entry = null;
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    /**
+     * Creates an element with text content.
+     * @param {string} tag
+     * @param {string} [text]
+     * @param {string} [className]
+     * @returns {HTMLElement}
+     */
+    const element = (tag, text, className) => {
+        const el = document.createElement(tag);
+        if (text) el.textContent = text;
+        if (className) el.className = className;
+        return el;
+    };
+
+    /**
+     * Shows a list of related words, or hides the line when there are none.
+     * @param {HTMLElement} line
+     * @param {string} label
+     * @param {string[]} [words]
+     */
+    const renderRelated = (line, label, words) => {
+        line.hidden = !words || words.length === 0;
+        line.textContent = line.hidden ? '' : `${label}: ${words.slice(0, 8).join(', ')}`;
+    };
+
+    /**
+     * Renders a lookup response.
+     * @param {object} response `{ success, data, error }` from the service worker.
+     */
+    const renderResult = (response) => {
+        meaningsContainer.textContent = '';
+        if (!response?.success) {
+            meaningsContainer.textContent = response?.error || 'No definition found.';
+            return;
+        }
+
+        entry = response.data;
+        document.title = `${entry.word} – WordUp`;
+        wordHeading.textContent = entry.word;
+        phonetic.textContent = entry.pronunciation?.text || entry.phonetic || '';
+
+        // Entries cached before multi-sense support only carry `meaning`.
+        const meanings = entry.meanings?.length > 0
+            ? entry.meanings
+            : [{ partOfSpeech: '', definitions: [{ definition: entry.meaning }] }];
+        meanings.forEach(group => {
+            if (group.partOfSpeech) meaningsContainer.appendChild(element('h2', group.partOfSpeech));
+            const list = element('ol');
+            group.definitions.forEach(sense => {
+                const item = element('li', sense.definition);
+                if (sense.example) item.appendChild(element('span', `“${sense.example}”`, 'result-example'));
+                list.appendChild(item);
+            });
+            meaningsContainer.appendChild(list);
+        });
+        renderRelated(synonyms, 'Synonyms', entry.synonyms);
+        renderRelated(antonyms, 'Antonyms', entry.antonyms);
+
+        saveButton.hidden = false;
+        saveButton.disabled = Boolean(entry.saved);
+        saveButton.textContent = entry.saved ? 'Saved ✓' : 'Save word';
+    };
+
+    const saveWord = () => {
+        if (!entry || entry.saved) return;
+        chrome.runtime.sendMessage({ type: 'saveWord', payload: { entry } }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+                showStatus(`Could not save the word: ${response?.error || 'the extension did not respond.'}`, 'error');
+                return;
+            }
+            renderResult({ success: true, data: { ...entry, saved: true } });
+            showStatus('Saved to your notebook.', 'success');
+        });
+    };
+
+    const loadResult = () => {
+        const word = params.get('word') || '';
+        wordHeading.textContent = word;
+        if (params.has('data')) {
+            renderResult(JSON.parse(params.get('data')));
+            return;
+        }
+        chrome.runtime.sendMessage({ type: 'lookup', payload: { text: word, lang: params.get('lang') || undefined } }, (response) => {
+            renderResult(chrome.runtime.lastError ? { success: false, error: 'The extension did not respond.' } : response);
+        });
+    };
+
+    // --- Event Listeners ---
+    saveButton.addEventListener('click', saveWord);
+
+    // --- Initialization ---
+    initThemeToggle(themeToggle);
+    loadResult();
+});
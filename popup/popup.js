@@ -1,3 +1,5 @@
+/* global entryRenderer */
+
 (() => {
   'use strict';
 
@@ -7,13 +9,44 @@
     const searchInput = document.getElementById('ilx-search-input');
     const searchButton = document.getElementById('ilx-search-button');
     const searchResult = document.getElementById('ilx-search-result');
+    const searchSuggestions = document.getElementById('ilx-search-suggestions');
     const recentList = document.getElementById('ilx-recent-list');
     const syncButton = document.getElementById('ilx-sync-button');
     const optionsLink = document.getElementById('ilx-options-link');
+    const notebookLink = document.getElementById('ilx-notebook-link');
+    const reviewLink = document.getElementById('ilx-review-link');
+    const quizLink = document.getElementById('ilx-quiz-link');
+    const wordOfTheDayCard = document.getElementById('ilx-word-of-the-day');
+    const wordOfTheDayWord = document.getElementById('ilx-wotd-word');
+    const wordOfTheDayPos = document.getElementById('ilx-wotd-pos');
+    const wordOfTheDayDefinition = document.getElementById('ilx-wotd-definition');
+    const siteHighlight = document.getElementById('ilx-site-highlight');
+    const siteHighlightToggle = document.getElementById('ilx-site-highlight-toggle');
+    const siteName = document.getElementById('ilx-site-name');
+    const historySearch = document.getElementById('ilx-history-search');
+    const historyList = document.getElementById('ilx-history-list');
+    const historyClearToggle = document.getElementById('ilx-history-clear-toggle');
+    const historyClear = document.getElementById('ilx-history-clear');
+    const historyFrom = document.getElementById('ilx-history-from');
+    const historyTo = document.getElementById('ilx-history-to');
+    const historyClearButton = document.getElementById('ilx-history-clear-button');
     const statusBar = document.getElementById('ilx-status-bar');
 
     // --- State ---
     let currentTheme = 'light';
+    let currentHostname = null; // Host of the active tab, for the per-site highlighting toggle
+    const COMPLETION_SOURCES = { notebook: 'saved', history: 'looked up', common: '' };
+    let completionTimer = null;
+    let completionRequest = 0; // Ignores completions that arrive after newer typing
+    let activeCompletion = -1; // Index of the completion picked with the arrow keys
+    let exploreStack = []; // Entries opened from the search result's pills; the last one is shown
+    let knownLabels = null; // Tags and decks suggested in the label picker of a saved word
+    const HISTORY_PAGE_SIZE = 20;
+    let historyLoaded = 0; // History items shown so far
+    let historyTotal = 0; // History items matching the search
+    let historyRequest = 0; // Ignores pages that arrive after a newer search
+    let historyLoading = false;
+    let historySearchTimer = null;
     const ICONS = {
       sun: '<svg viewBox=\'0 0 24 24\'><path d=\'M12 7c-2.76 0-5 2.24-5 5s2.24 5 5 5 5-2.24 5-5-2.24-5-5-5zM2 13h2c.55 0 1-.45 1-1s-.45-1-1-1H2c-.55 0-1 .45-1 1s.45 1 1 1zm18 0h2c.55 0 1-.45 1-1s-.45-1-1-1h-2c-.55 0-1 .45-1 1s.45 1 1 1zM11 2v2c0 .55.45 1 1 1s1-.45 1-1V2c0-.55-.45-1-1-1s-1 .45-1 1zm0 18v2c0 .55.45 1 1 1s1-.45 1-1v-2c0-.55-.45-1-1-1s-1 .45-1 1zM5.64 5.64c.39-.39 1.02-.39 1.41 0 .39.39.39 1.02 0 1.41L5.64 8.46c-.39.39-1.02.39-1.41 0-.39-.39-.39-1.02 0-1.41l1.41-1.41zm12.72 12.72c.39-.39 1.02-.39 1.41 0 .39.39.39 1.02 0 1.41l-1.41 1.41c-.39.39-1.02.39-1.41 0-.39-.39-.39-1.02 0-1.41l1.41-1.41zM5.64 18.36l1.41-1.41c.39-.39.39-1.02 0-1.41-.39-.39-1.02-.39-1.41 0l-1.41 1.41c-.39.39-.39 1.02 0 1.41.39.39 1.02.39 1.41 0zm12.72-12.72l1.41-1.41c.39-.39.39-1.02 0-1.41-.39-.39-1.02-.39-1.41 0l-1.41 1.41c-.39.39-.39 1.02 0 1.41.39.39 1.02.39 1.41 0z\'/></svg>',
       moon: '<svg viewBox=\'0 0 24 24\'><path d=\'M10 2c-1.82 0-3.53.5-5 1.35C7.99 5.08 10 8.3 10 12s-2.01 6.92-5 8.65C6.47 21.5 8.18 22 10 22c5.52 0 10-4.48 10-10S15.52 2 10 2z\'/></svg>',
@@ -56,36 +89,384 @@
       });
     };
 
-    const loadRecentLookups = async () => {
-      try {
-        const items = await chrome.storage.local.get(null);
+    // Lists the most recently saved or edited notebook words.
+    const loadRecentLookups = () => {
+      chrome.runtime.sendMessage({ type: 'getVocabulary', payload: { limit: 10 } }, (response) => {
         recentList.innerHTML = ''; // Clear list
-        const lookupKeys = Object.keys(items)
-          .filter((key) => key.startsWith('meaning_'))
-          .sort((a, b) => items[b].expires - items[a].expires) // Sort by date
-          .slice(0, 10); // Get top 10
+        if (chrome.runtime.lastError || !response || !response.success) {
+          recentList.innerHTML = '<li class="ilx-recent-item">Could not load your notebook.</li>';
+          return;
+        }
 
-        if (lookupKeys.length === 0) {
-          recentList.innerHTML = '<li class="ilx-recent-item">No recent lookups.</li>';
+        if (response.data.length === 0) {
+          recentList.innerHTML = '<li class="ilx-recent-empty">No saved words yet. Use “Save word” on a definition card.</li>';
           return;
         }
 
-        for (const key of lookupKeys) {
-          const term = key.replace('meaning_', '');
+        for (const entry of response.data) {
           const li = document.createElement('li');
           li.className = 'ilx-recent-item';
-          li.textContent = term;
-          li.dataset.term = term;
+          li.textContent = entry.word;
+          li.title = entry.sense.definition;
+          li.dataset.term = entry.word;
           recentList.appendChild(li);
         }
+      });
+    };
+
+    // Formats a history item's page and time, e.g. "en.wikipedia.org · Mar 4, 10:15 AM".
+    const describeHistoryItem = (item) => {
+      let site = 'Popup';
+      try {
+        if (item.url) site = new URL(item.url).hostname || item.url;
+      } catch (e) {
+        site = item.url;
+      }
+      const time = new Date(item.time).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+      return `${site} · ${time}`;
+    };
+
+    const renderHistoryItem = (item) => {
+      const li = document.createElement('li');
+      li.className = 'ilx-recent-item ilx-history-item';
+      li.dataset.term = item.word;
+      li.title = item.title || item.url || '';
+      const word = document.createElement('span');
+      word.textContent = item.word;
+      const meta = document.createElement('span');
+      meta.className = 'ilx-history-meta';
+      meta.textContent = describeHistoryItem(item);
+      const remove = document.createElement('button');
+      remove.className = 'ilx-history-delete';
+      remove.title = 'Remove from history';
+      remove.textContent = '×';
+      remove.dataset.id = item.id;
+      li.append(word, meta, remove);
+      return li;
+    };
+
+    // Lists past lookups, best matches first while searching. Without `reset`, appends the next page.
+    const loadHistory = (reset = true) => {
+      if (!reset && (historyLoading || historyLoaded >= historyTotal)) return;
+      const request = ++historyRequest;
+      const query = historySearch.value.trim();
+      historyLoading = true;
+      chrome.runtime.sendMessage({
+        type: 'getHistory',
+        payload: { query, offset: reset ? 0 : historyLoaded, limit: HISTORY_PAGE_SIZE },
+      }, (response) => {
+        if (request !== historyRequest) return;
+        historyLoading = false;
+        if (reset) {
+          historyList.innerHTML = '';
+          historyLoaded = 0;
+          historyList.scrollTop = 0;
+        }
+        if (chrome.runtime.lastError || !response || !response.success) {
+          historyList.innerHTML = '<li class="ilx-recent-empty">Could not load your history.</li>';
+          return;
+        }
+        const { items, total } = response.data;
+        historyTotal = total;
+        historyLoaded += items.length;
+        if (total === 0) {
+          historyList.innerHTML = query
+            ? '<li class="ilx-recent-empty">No lookups match your search.</li>'
+            : '<li class="ilx-recent-empty">Words you look up will be listed here.</li>';
+          return;
+        }
+        items.forEach(item => historyList.appendChild(renderHistoryItem(item)));
+      });
+    };
+
+    // Loads the next page when the list is scrolled close to its end.
+    const handleHistoryScroll = () => {
+      if (historyList.scrollTop + historyList.clientHeight >= historyList.scrollHeight - 40) {
+        loadHistory(false);
+      }
+    };
+
+    const handleHistorySearch = () => {
+      clearTimeout(historySearchTimer);
+      historySearchTimer = setTimeout(loadHistory, 150);
+    };
+
+    const deleteHistoryItem = (button) => {
+      chrome.runtime.sendMessage({ type: 'deleteHistoryItem', payload: { id: Number(button.dataset.id) } }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          reportError('Could not delete the lookup.');
+          return;
+        }
+        button.closest('li').remove();
+        historyLoaded--;
+        historyTotal--;
+        if (historyTotal === 0) loadHistory();
+      });
+    };
+
+    // Deletes the lookups made between the chosen dates (both days included), or all of them without dates.
+    const clearHistory = () => {
+      const from = historyFrom.value ? new Date(`${historyFrom.value}T00:00:00`).getTime() : undefined;
+      let to;
+      if (historyTo.value) {
+        const dayAfter = new Date(`${historyTo.value}T00:00:00`);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        to = dayAfter.getTime();
+      }
+      if (from !== undefined && to !== undefined && from >= to) {
+        reportError('The start date must not be after the end date.');
+        return;
+      }
+      if (from === undefined && to === undefined && !confirm('Clear your whole lookup history?')) return;
+      chrome.runtime.sendMessage({ type: 'clearHistory', payload: { from, to } }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          reportError('Could not clear your history.');
+          return;
+        }
+        const { deleted } = response.data;
+        statusBar.textContent = `Deleted ${deleted} ${deleted === 1 ? 'lookup' : 'lookups'} from your history.`;
+        statusBar.classList.remove('ilx-error');
+        historyClear.style.display = 'none';
+        loadHistory();
+      });
+    };
+
+    // Shows how many words are waiting on the Review link.
+    const loadReviewCount = () => {
+      chrome.runtime.sendMessage({ type: 'getReviewQueue' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) return;
+        const count = response.data.cards.length;
+        reviewLink.textContent = count > 0 ? `Review (${count})` : 'Review';
+      });
+    };
+
+    // Shows today's word above the notebook, unless it is turned off in Options.
+    const loadWordOfTheDay = () => {
+      chrome.runtime.sendMessage({ type: 'getWordOfTheDay' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success || !response.data) {
+          wordOfTheDayCard.style.display = 'none';
+          return;
+        }
+        const { word, sense } = response.data;
+        wordOfTheDayWord.textContent = word;
+        wordOfTheDayWord.dataset.term = word;
+        wordOfTheDayPos.textContent = sense.partOfSpeech || '';
+        wordOfTheDayDefinition.textContent = sense.definition;
+        wordOfTheDayCard.style.display = 'block';
+      });
+    };
+
+    // Shows the highlighting switch for the active tab's site, set from the global option unless overridden.
+    const loadSiteHighlight = async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const url = tab && tab.url ? new URL(tab.url) : null;
+        if (!url || !/^https?:$/.test(url.protocol)) return;
+        currentHostname = url.hostname;
+        const { config, annotationSites } = await chrome.storage.sync.get(['config', 'annotationSites']);
+        siteName.textContent = currentHostname;
+        siteHighlightToggle.checked = annotationSites?.[currentHostname] ?? Boolean(config?.annotatePages);
+        siteHighlight.style.display = 'flex';
       } catch (e) {
-        console.error(e);
-        recentList.innerHTML = '<li class="ilx-recent-item">Could not load history.</li>';
+        console.warn('Could not read the active tab.', e);
       }
     };
 
+    const handleSiteHighlightChange = async () => {
+      const { annotationSites = {} } = await chrome.storage.sync.get('annotationSites');
+      annotationSites[currentHostname] = siteHighlightToggle.checked;
+      await chrome.storage.sync.set({ annotationSites });
+    };
+
+    const hideCompletions = () => {
+      clearTimeout(completionTimer);
+      completionRequest++;
+      activeCompletion = -1;
+      searchSuggestions.style.display = 'none';
+      searchSuggestions.innerHTML = '';
+    };
+
+    // Offers words starting with what has been typed: saved words, then past lookups, then common words.
+    const loadCompletions = () => {
+      const prefix = searchInput.value.trim();
+      if (prefix.length < 2) {
+        hideCompletions();
+        return;
+      }
+      const request = ++completionRequest;
+      chrome.runtime.sendMessage({ type: 'suggestWords', payload: { prefix } }, (response) => {
+        if (request !== completionRequest) return;
+        if (chrome.runtime.lastError || !response || !response.success || response.data.length === 0) {
+          hideCompletions();
+          return;
+        }
+        activeCompletion = -1;
+        searchSuggestions.innerHTML = '';
+        response.data.forEach(({ word, source }) => {
+          const li = document.createElement('li');
+          li.className = 'ilx-completion';
+          li.setAttribute('role', 'option');
+          li.dataset.term = word;
+          const label = document.createElement('span');
+          label.textContent = word;
+          const sourceLabel = document.createElement('span');
+          sourceLabel.className = 'ilx-completion-source';
+          sourceLabel.textContent = COMPLETION_SOURCES[source] || '';
+          li.append(label, sourceLabel);
+          searchSuggestions.appendChild(li);
+        });
+        searchSuggestions.style.display = 'block';
+      });
+    };
+
+    const handleSearchInput = () => {
+      clearTimeout(completionTimer);
+      completionTimer = setTimeout(loadCompletions, 120);
+    };
+
+    // Arrow keys move through the completions, Enter looks up the highlighted one (or what was typed).
+    const handleSearchKeydown = (e) => {
+      const items = searchSuggestions.querySelectorAll('.ilx-completion');
+      if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && items.length > 0) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        // Positions run from -1 (nothing highlighted, the typed text) to the last item, wrapping around.
+        activeCompletion = (activeCompletion + 1 + step + items.length + 1) % (items.length + 1) - 1;
+        items.forEach((item, index) => item.classList.toggle('active', index === activeCompletion));
+      } else if (e.key === 'Enter') {
+        const term = activeCompletion >= 0 ? items[activeCompletion].dataset.term : searchInput.value.trim();
+        searchInput.value = term;
+        handleSearch(term);
+      } else if (e.key === 'Escape' && searchSuggestions.style.display !== 'none') {
+        e.preventDefault();
+        hideCompletions();
+      }
+    };
+
+    // Shows a failed lookup, with any "did you mean" suggestions as pills that retry.
+    const showSearchError = (response) => {
+      const message = `Error: ${response ? response.error : 'Could not get definition.'}`;
+      searchResult.innerHTML = `<div class="ilx-error">${entryRenderer.safeHtml(message)}</div>`
+        + entryRenderer.renderSuggestions(response && response.suggestions);
+      searchResult.classList.add('ilx-error');
+    };
+
+    // Renders the entry on top of the explore stack the same way the in-page card does.
+    const showEntry = () => {
+      const entry = exploreStack[exploreStack.length - 1];
+      searchResult.classList.remove('ilx-error');
+      searchResult.innerHTML = entryRenderer.renderEntry(entry, {
+        trail: exploreStack.map(item => item.word),
+        labels: knownLabels,
+        actions: ['save', 'copy'],
+      });
+      // The label picker suggests existing tags and decks; fetch them the first time one is shown.
+      if (entry.saved && !knownLabels) {
+        chrome.runtime.sendMessage({ type: 'getLabels' }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) return;
+          knownLabels = response.data;
+          if (exploreStack[exploreStack.length - 1] === entry) showEntry();
+        });
+      }
+    };
+
+    // Looks up a synonym or antonym clicked in the result and adds it to the trail.
+    const exploreWord = (word) => {
+      const lang = exploreStack.length > 0 ? exploreStack[exploreStack.length - 1].lang : undefined;
+      chrome.runtime.sendMessage({ type: 'lookup', payload: { text: word, lang } }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          showSearchError(response);
+          return;
+        }
+        exploreStack.push(response.data);
+        showEntry();
+        loadHistory();
+      });
+    };
+
+    const saveEntry = (button) => {
+      const entry = exploreStack[exploreStack.length - 1];
+      button.disabled = true;
+      button.textContent = 'Saving…';
+      chrome.runtime.sendMessage({ type: 'saveWord', payload: { entry, context: '', url: '', pageTitle: '' } }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          button.disabled = false;
+          button.textContent = 'Save word';
+          reportError((response && response.error) || 'Could not save the word.');
+          return;
+        }
+        const { id, tags, deck } = response.data;
+        exploreStack[exploreStack.length - 1] = { ...entry, saved: true, notebook: { id, tags: tags || [], deck: deck || '' } };
+        showEntry();
+        loadRecentLookups();
+      });
+    };
+
+    // Stores the tags and deck of the saved word shown in the result.
+    const updateLabels = ({ tags, deck }) => {
+      const entry = exploreStack[exploreStack.length - 1];
+      if (!entry || !entry.notebook) return;
+      chrome.runtime.sendMessage({ type: 'updateWord', payload: { id: entry.notebook.id, changes: { tags, deck } } }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          reportError((response && response.error) || 'Could not update the word.');
+          return;
+        }
+        knownLabels = null; // A new tag or deck may have been created
+        exploreStack[exploreStack.length - 1] = {
+          ...entry,
+          notebook: { ...entry.notebook, tags: response.data.tags, deck: response.data.deck },
+        };
+        showEntry();
+      });
+    };
+
+    const handleResultClick = (e) => {
+      const target = e.target.closest('button');
+      if (!target) return;
+      const { action, text, lang } = target.dataset;
+
+      if (action === 'define') {
+        searchInput.value = text;
+        handleSearch(text);
+      } else if (action === 'explore') {
+        exploreWord(target.dataset.word);
+      } else if (action === 'crumb') {
+        exploreStack = exploreStack.slice(0, Number(target.dataset.index) + 1);
+        showEntry();
+      } else if (action === 'speak') {
+        chrome.runtime.sendMessage({ type: 'speak', payload: { text, lang, audio: target.dataset.audio } }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) reportError('Could not play the pronunciation.');
+        });
+      } else if (action === 'save') {
+        saveEntry(target);
+      } else if (action === 'copy') {
+        copyToClipboard(text);
+      } else if (action === 'remove-tag') {
+        const labels = entryRenderer.readLabels(searchResult);
+        updateLabels({ ...labels, tags: labels.tags.filter(tag => tag !== target.dataset.tag) });
+      } else if (action === 'more-senses') {
+        entryRenderer.toggleSenses(target);
+      }
+    };
+
+    // Enter in the tag field adds the typed tag.
+    const handleResultKeydown = (e) => {
+      if (e.key !== 'Enter' || !e.target.matches('.ilx-tag-input')) return;
+      e.preventDefault();
+      const tag = e.target.value.trim();
+      if (!tag) return;
+      const labels = entryRenderer.readLabels(searchResult);
+      updateLabels({ ...labels, tags: [...labels.tags, tag] });
+    };
+
+    // Picking or typing a deck moves the word into it.
+    const handleResultChange = (e) => {
+      if (e.target.matches('.ilx-deck-input')) updateLabels(entryRenderer.readLabels(searchResult));
+    };
+
     const handleSearch = (term) => {
       if (!term) return;
+      hideCompletions();
 
       searchResult.textContent = `Searching for '${term}'...`;
       searchResult.style.display = 'block';
@@ -93,13 +474,14 @@
 
       chrome.runtime.sendMessage({ type: 'lookup', payload: { text: term } }, (response) => {
         if (chrome.runtime.lastError || !response || !response.success) {
-          searchResult.textContent = `Error: ${response ? response.error : 'Could not get definition.'}`;
-          searchResult.classList.add('ilx-error');
+          showSearchError(response);
           reportError('API key might be missing or invalid.');
+          loadHistory();
         } else {
-          // The response.data is an object, not a string.
-          searchResult.textContent = response.data.meaning;
+          exploreStack = [response.data];
+          showEntry();
           loadRecentLookups(); // Refresh recent list
+          loadHistory();
         }
       });
     };
@@ -124,6 +506,10 @@
 
     // --- Initialization ---
     const init = async () => {
+      const entryStyles = document.createElement('style');
+      entryStyles.textContent = entryRenderer.styles('#ilx-search-result');
+      document.head.appendChild(entryStyles);
+
       // Load theme
       try {
         const { theme } = await chrome.storage.sync.get('theme');
@@ -134,7 +520,11 @@
       }
 
       updateStatus();
+      loadWordOfTheDay();
+      loadSiteHighlight();
       loadRecentLookups();
+      loadHistory();
+      loadReviewCount();
     };
 
     // --- Event Listeners ---
@@ -145,15 +535,21 @@
     });
 
     searchButton.addEventListener('click', () => handleSearch(searchInput.value.trim()));
-    searchInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') handleSearch(searchInput.value.trim());
+    searchInput.addEventListener('input', handleSearchInput);
+    searchInput.addEventListener('keydown', handleSearchKeydown);
+    searchInput.addEventListener('blur', hideCompletions);
+    // mousedown, not click: the input's blur would hide the list before a click lands.
+    searchSuggestions.addEventListener('mousedown', (e) => {
+      const item = e.target.closest('.ilx-completion');
+      if (!item) return;
+      e.preventDefault();
+      searchInput.value = item.dataset.term;
+      handleSearch(item.dataset.term);
     });
 
-    searchResult.addEventListener('click', () => {
-      if (searchResult.textContent && !searchResult.classList.contains('ilx-error')) {
-        copyToClipboard(searchResult.textContent);
-      }
-    });
+    searchResult.addEventListener('click', handleResultClick);
+    searchResult.addEventListener('keydown', handleResultKeydown);
+    searchResult.addEventListener('change', handleResultChange);
 
     recentList.addEventListener('click', (e) => {
       if (e.target && e.target.matches('.ilx-recent-item')) {
@@ -164,7 +560,28 @@
       }
     });
 
+    historySearch.addEventListener('input', handleHistorySearch);
+    historyList.addEventListener('scroll', handleHistoryScroll);
+    historyList.addEventListener('click', (e) => {
+      if (e.target.matches('.ilx-history-delete')) {
+        deleteHistoryItem(e.target);
+        return;
+      }
+      const item = e.target.closest('.ilx-history-item');
+      if (item) handleRecentItemClick(item.dataset.term);
+    });
+    historyClearToggle.addEventListener('click', () => {
+      historyClear.style.display = historyClear.style.display === 'none' ? 'flex' : 'none';
+    });
+    historyClearButton.addEventListener('click', clearHistory);
+
+    siteHighlightToggle.addEventListener('change', handleSiteHighlightChange);
+    wordOfTheDayWord.addEventListener('click', () => handleRecentItemClick(wordOfTheDayWord.dataset.term));
+
     optionsLink.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    notebookLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('notebook/notebook.html') }));
+    reviewLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') }));
+    quizLink.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('quiz/quiz.html') }));
 
     syncButton.addEventListener('click', () => {
       statusBar.textContent = 'Syncing...';
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Quiz page for WordUp.
+ * Asks one question per word, built by the service worker from the notebook
+ * and the lookup cache, and reports every answer so that missed words come
+ * up more often in later quizzes. A quiz can be limited to one deck.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+import { sendRequest } from '../libs/runtime-request.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const progress = document.getElementById('quiz-progress');
+    const deckSelect = document.getElementById('quiz-deck');
+    const questionSection = document.getElementById('quiz-question');
+    const doneSection = document.getElementById('quiz-done');
+    const prompt = document.getElementById('quiz-prompt');
+    const sentence = document.getElementById('quiz-sentence');
+    const hint = document.getElementById('quiz-hint');
+    const optionList = document.getElementById('quiz-options');
+    const blankForm = document.getElementById('quiz-blank-form');
+    const blankInput = document.getElementById('quiz-blank-input');
+    const feedback = document.getElementById('quiz-feedback');
+    const verdict = document.getElementById('quiz-verdict');
+    const explanation = document.getElementById('quiz-explanation');
+    const nextButton = document.getElementById('quiz-next');
+    const score = document.getElementById('quiz-score');
+    const summary = document.getElementById('quiz-summary');
+    const missedList = document.getElementById('quiz-missed');
+    const restartButton = document.getElementById('quiz-restart');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    // --- State ---
+    let questions = [];
+    let current = 0;
+    let missed = [];
+    let answered = false;
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    const showSummary = () => {
+        questionSection.hidden = true;
+        doneSection.hidden = false;
+        missedList.innerHTML = '';
+        if (questions.length === 0) {
+            progress.textContent = 'Not enough words for a quiz yet.';
+            score.textContent = 'Look up a few more words';
+            summary.textContent = deckSelect.value
+                ? 'This deck has no words to ask about yet. Add words to it from the notebook or a definition card.'
+                : 'Quizzes are built from the words you look up and save. Come back after a few more lookups.';
+            return;
+        }
+
+        const correct = questions.length - missed.length;
+        progress.textContent = 'Quiz finished.';
+        score.textContent = `${correct} / ${questions.length} correct`;
+        summary.textContent = missed.length > 0
+            ? 'Words you missed will come up more often in your next quizzes:'
+            : 'A perfect score!';
+        missed.forEach(question => {
+            const li = document.createElement('li');
+            const word = document.createElement('strong');
+            word.textContent = question.word;
+            li.append(word, ` — ${question.definition}`);
+            missedList.appendChild(li);
+        });
+        restartButton.focus();
+    };
+
+    const showQuestion = () => {
+        const question = questions[current];
+        if (!question) {
+            showSummary();
+            return;
+        }
+
+        answered = false;
+        doneSection.hidden = true;
+        questionSection.hidden = false;
+        feedback.hidden = true;
+        progress.textContent = `Question ${current + 1} of ${questions.length}`;
+        prompt.textContent = question.prompt;
+
+        const isBlank = question.type === 'blank';
+        sentence.hidden = !isBlank;
+        sentence.textContent = isBlank ? question.sentence : '';
+        hint.hidden = !isBlank;
+        hint.textContent = isBlank ? `Hint: ${question.hint}` : '';
+        blankForm.hidden = !isBlank;
+        blankInput.value = '';
+        blankInput.disabled = false;
+
+        optionList.innerHTML = '';
+        if (isBlank) {
+            blankInput.focus();
+            return;
+        }
+        question.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn quiz-option';
+            button.dataset.index = index;
+            button.textContent = `${index + 1}. ${option}`;
+            optionList.appendChild(button);
+        });
+    };
+
+    /**
+     * Shows whether the answer was right, and records it.
+     * @param {boolean} correct
+     */
+    const finishQuestion = async (correct) => {
+        const question = questions[current];
+        answered = true;
+        if (!correct) missed.push(question);
+
+        verdict.textContent = correct ? 'Correct!' : 'Not quite.';
+        verdict.className = correct ? 'correct' : 'wrong';
+        explanation.textContent = `${question.word}: ${question.definition}`;
+        feedback.hidden = false;
+        nextButton.focus();
+
+        try {
+            await sendRequest('recordQuizAnswer', { id: question.id, word: question.word, correct });
+        } catch (e) {
+            showStatus(`Could not save your answer: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Checks a multiple-choice answer.
+     * @param {number} index The chosen option.
+     */
+    const chooseOption = (index) => {
+        const question = questions[current];
+        if (answered || !question || question.type === 'blank' || !question.options[index]) return;
+        optionList.querySelectorAll('.quiz-option').forEach((button, i) => {
+            button.disabled = true;
+            if (i === question.answerIndex) button.classList.add('correct');
+            else if (i === index) button.classList.add('wrong');
+        });
+        finishQuestion(index === question.answerIndex);
+    };
+
+    /**
+     * Checks a fill-in-the-blank answer.
+     * @param {SubmitEvent} event
+     */
+    const handleBlankSubmit = (event) => {
+        event.preventDefault();
+        const question = questions[current];
+        const guess = blankInput.value.trim().toLowerCase();
+        if (answered || !guess) return;
+        blankInput.disabled = true;
+        const correct = question.accepted.includes(guess);
+        if (!correct) {
+            sentence.textContent = question.sentence.replace('_____', question.accepted[0]);
+        }
+        finishQuestion(correct);
+    };
+
+    const nextQuestion = () => {
+        if (!answered) return;
+        current++;
+        showQuestion();
+    };
+
+    const loadQuiz = async () => {
+        try {
+            const data = await sendRequest('getQuiz', { count: 10, deck: deckSelect.value });
+            questions = data.questions;
+            current = 0;
+            missed = [];
+            showStatus('', '');
+            showQuestion();
+        } catch (e) {
+            showStatus(`Could not build a quiz: ${e.message}`, 'error');
+        }
+    };
+
+    const loadDecks = async () => {
+        try {
+            const { decks } = await sendRequest('getLabels');
+            decks.forEach(({ name, count }) => deckSelect.add(new Option(`${name} (${count})`, name)));
+        } catch (e) {
+            showStatus(`Could not load decks: ${e.message}`, 'error');
+        }
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.target.matches('select')) return;
+        if (answered && event.key === 'Enter') {
+            event.preventDefault();
+            nextQuestion();
+        } else if (!event.target.matches('input') && /^[1-9]$/.test(event.key)) {
+            chooseOption(Number(event.key) - 1);
+        }
+    };
+
+    // --- Event Listeners ---
+    optionList.addEventListener('click', (event) => {
+        const button = event.target.closest('.quiz-option');
+        if (button) chooseOption(Number(button.dataset.index));
+    });
+    blankForm.addEventListener('submit', handleBlankSubmit);
+    nextButton.addEventListener('click', nextQuestion);
+    restartButton.addEventListener('click', loadQuiz);
+    deckSelect.addEventListener('change', loadQuiz);
+    document.addEventListener('keydown', handleKeyDown);
+
+    // --- Initialization ---
+    initThemeToggle(themeToggle);
+    loadDecks();
+    loadQuiz();
+});
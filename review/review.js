@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Review page for WordUp.
+ * Shows due notebook words one at a time: the user tries to recall the
+ * meaning, reveals the answer and grades themselves. Scheduling happens in
+ * the service worker, so this page only keeps the current session's queue.
+ * The session can be limited to one deck, picked on the page or passed as `?deck=`.
+ */
+
+import { initThemeToggle } from '../libs/page-theme.js';
+import { sendRequest } from '../libs/runtime-request.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const progress = document.getElementById('review-progress');
+    const deckSelect = document.getElementById('review-deck');
+    const cardSection = document.getElementById('review-card');
+    const doneSection = document.getElementById('review-done');
+    const wordHeading = document.getElementById('review-word');
+    const phonetic = document.getElementById('review-phonetic');
+    const revealButton = document.getElementById('reveal-answer');
+    const answer = document.getElementById('review-answer');
+    const definition = document.getElementById('review-definition');
+    const example = document.getElementById('review-example');
+    const context = document.getElementById('review-context');
+    const notes = document.getElementById('review-notes');
+    const gradeButtons = document.querySelectorAll('.grade-btn');
+    const summary = document.getElementById('review-summary');
+    const againButton = document.getElementById('review-again');
+    const statusMessage = document.getElementById('status-message');
+    const themeToggle = document.getElementById('theme-toggle');
+
+    // --- State ---
+    let queue = [];
+    let reviewedThisSession = 0;
+    let isGrading = false;
+
+    const showStatus = (message, type) => {
+        statusMessage.textContent = message;
+        statusMessage.className = `status ${type}`;
+    };
+
+    /**
+     * Formats a delay for a grade button, e.g. "10 min", "6 days".
+     * @param {number} ms
+     * @returns {string}
+     */
+    const formatInterval = (ms) => {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const days = Math.round(ms / 86400000);
+        if (days < 31) return `${days} ${days === 1 ? 'day' : 'days'}`;
+        const months = Math.round(days / 30);
+        return `${months} ${months === 1 ? 'month' : 'months'}`;
+    };
+
+    /**
+     * Puts the context sentence in the blockquote with the word highlighted.
+     * @param {string} sentence
+     * @param {string} word
+     */
+    const renderContext = (sentence, word) => {
+        context.textContent = '';
+        context.hidden = !sentence;
+        if (!sentence) return;
+        const index = sentence.toLowerCase().indexOf(word.toLowerCase());
+        if (index === -1) {
+            context.textContent = sentence;
+            return;
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = sentence.slice(index, index + word.length);
+        context.append(sentence.slice(0, index), mark, sentence.slice(index + word.length));
+    };
+
+    const showCurrentCard = () => {
+        const card = queue[0];
+        if (!card) {
+            cardSection.hidden = true;
+            doneSection.hidden = false;
+            progress.textContent = 'Nothing left to review right now.';
+            summary.textContent = reviewedThisSession > 0
+                ? `You reviewed ${reviewedThisSession} ${reviewedThisSession === 1 ? 'word' : 'words'}. Come back when more are due.`
+                : deckSelect.value
+                    ? 'No words in this deck are due.'
+                    : 'No words are due. Save words from definition cards to add them to your reviews.';
+            return;
+        }
+
+        doneSection.hidden = true;
+        cardSection.hidden = false;
+        answer.hidden = true;
+        revealButton.hidden = false;
+        progress.textContent = `${queue.length} ${queue.length === 1 ? 'word' : 'words'} left${card.review ? '' : ' · new word'}`;
+
+        wordHeading.textContent = card.word;
+        phonetic.textContent = card.phonetic || '';
+        definition.textContent = card.sense.partOfSpeech
+            ? `(${card.sense.partOfSpeech}) ${card.sense.definition}`
+            : card.sense.definition;
+        example.textContent = card.sense.example ? `“${card.sense.example}”` : '';
+        renderContext(card.context, card.word);
+        notes.textContent = card.notes || '';
+        gradeButtons.forEach(button => {
+            button.querySelector('small').textContent = formatInterval(card.intervals[button.dataset.grade]);
+        });
+        revealButton.focus();
+    };
+
+    const revealAnswer = () => {
+        if (!queue[0] || !answer.hidden) return;
+        answer.hidden = false;
+        revealButton.hidden = true;
+    };
+
+    /**
+     * Sends the grade for the current card and moves on.
+     * @param {string} grade A key of the scheduler's GRADES.
+     */
+    const gradeCurrentCard = async (grade) => {
+        const card = queue[0];
+        if (!card || answer.hidden || isGrading) return;
+        isGrading = true;
+        try {
+            await sendRequest('gradeReview', { id: card.id, grade });
+            queue.shift();
+            reviewedThisSession++;
+            showStatus('', '');
+            showCurrentCard();
+        } catch (e) {
+            showStatus(`Could not save the grade: ${e.message}`, 'error');
+        } finally {
+            isGrading = false;
+        }
+    };
+
+    const loadQueue = async () => {
+        try {
+            const data = await sendRequest('getReviewQueue', { deck: deckSelect.value });
+            queue = data.cards;
+            showCurrentCard();
+        } catch (e) {
+            showStatus(`Could not load reviews: ${e.message}`, 'error');
+        }
+    };
+
+    /**
+     * Fills the deck select, preselecting the deck given in the URL.
+     */
+    const loadDecks = async () => {
+        const requested = new URLSearchParams(location.search).get('deck') || '';
+        try {
+            const { decks } = await sendRequest('getLabels');
+            decks.forEach(({ name, count }) => deckSelect.add(new Option(`${name} (${count})`, name)));
+        } catch (e) {
+            showStatus(`Could not load decks: ${e.message}`, 'error');
+        }
+        deckSelect.value = requested;
+        if (deckSelect.value !== requested) deckSelect.value = '';
+    };
+
+    const handleDeckChange = () => {
+        const url = new URL(location.href);
+        if (deckSelect.value) url.searchParams.set('deck', deckSelect.value);
+        else url.searchParams.delete('deck');
+        history.replaceState(null, '', url);
+        loadQueue();
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.target.matches('input, textarea, select')) return;
+        if (event.key === ' ' && answer.hidden) {
+            event.preventDefault();
+            revealAnswer();
+        } else if (['1', '2', '3', '4'].includes(event.key)) {
+            gradeCurrentCard(['again', 'hard', 'good', 'easy'][Number(event.key) - 1]);
+        }
+    };
+
+    // --- Event Listeners ---
+    revealButton.addEventListener('click', revealAnswer);
+    gradeButtons.forEach(button => button.addEventListener('click', () => gradeCurrentCard(button.dataset.grade)));
+    againButton.addEventListener('click', loadQueue);
+    deckSelect.addEventListener('change', handleDeckChange);
+    document.addEventListener('keydown', handleKeyDown);
+
+    // --- Initialization ---
+    initThemeToggle(themeToggle);
+    loadDecks().then(loadQueue);
+});
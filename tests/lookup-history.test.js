@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzyScore } from '../background/lookup-history.js';
+
+test('fuzzyScore', async (t) => {
+    const cases = [
+        ['an empty query matches everything', '', 'anything', 1],
+        ['an exact match', 'cat', 'Cat', 100],
+        ['a prefix', 'acc', 'accommodate', 53],
+        ['characters in order', 'acmd', 'accommodate', 7],
+        ['adjacent characters score more', 'ccom', 'accommodate', 10],
+        ['a missing character', 'xyz', 'accommodate', 0],
+        ['characters out of order', 'tac', 'cat', 0],
+    ];
+    for (const [name, query, text, expected] of cases) {
+        await t.test(name, () => assert.equal(fuzzyScore(query, text), expected));
+    }
+});
+
+test('fuzzyScore ranking', async (t) => {
+    // [query, texts from best to worst match]
+    const cases = [
+        ['run', ['run', 'running', 'rerun', 'ruin']],
+        ['ac', ['ac', 'accept', 'a cat', 'back']],
+    ];
+    for (const [query, texts] of cases) {
+        await t.test(query, () => {
+            const ranked = [...texts].sort((a, b) => fuzzyScore(query, b) - fuzzyScore(query, a));
+            assert.deepEqual(ranked, texts);
+        });
+    }
+});
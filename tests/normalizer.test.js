@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSingularPossessive, lemmatize, normalizeToken } from '../background/normalizer.js';
+
+// A stand-in for the offline lexicon: the headwords `lemmatize` may confirm.
+const LEXICON = new Set(['run', 'stop', 'house', 'city', 'watch', 'make', 'hope', 'glasses', 'left', 'better', 'happy']);
+const isKnown = async (word) => LEXICON.has(word);
+const isUnknown = async () => false;
+
+test('normalizeToken', async (t) => {
+    const cases = [
+        ['Wolves,', 'wolves'],
+        ['“RUNNING”', 'running'],
+        ['children’s', 'children'],
+        ['it’s', 'it\'s'],
+        ['James\'s', 'james'],
+        ['soft\u00ADware', 'software'],
+        ['  look   up  ', 'look up'],
+        ['...', ''],
+        [undefined, ''],
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(String(input), () => assert.equal(normalizeToken(input), expected));
+    }
+});
+
+test('isSingularPossessive', async (t) => {
+    const cases = [
+        ['James\'s', true],
+        ['boss’s', true],
+        ['children\'s', false],
+        ['it\'s', false],
+        ['James', false],
+    ];
+    for (const [input, expected] of cases) {
+        await t.test(input, () => assert.equal(isSingularPossessive(input), expected));
+    }
+});
+
+test('lemmatize', async (t) => {
+    // [word, lemma with the lexicon, lemma without it, options]
+    const cases = [
+        ['running', 'run', 'running'],
+        ['stopped', 'stop', 'stopped'],
+        ['houses', 'house', 'house'],
+        ['cities', 'city', 'city'],
+        ['watches', 'watch', 'watch'],
+        ['making', 'make', 'making'],
+        ['hopes', 'hope', 'hope'],
+        ['happier', 'happy', 'happier'],
+        ['glasses', 'glasses', 'glass'],
+        ['news', 'news', 'news'],
+        ['buses', 'bus', 'bus'],
+        ['children', 'child', 'child'],
+        ['wolves', 'wolf', 'wolf'],
+        ['was', 'be', 'be'],
+        ['found', 'find', 'find'],
+        ['thought', 'think', 'think'],
+        ['left', 'left', 'leave'],
+        ['better', 'better', 'good'],
+        ['it\'s', 'it\'s', 'it\'s'],
+        ['what\'s', 'what\'s', 'what\'s'],
+        ['look up', 'look up', 'look up'],
+        ['james', 'james', 'james', { singular: true }],
+    ];
+    for (const [word, withLexicon, withoutLexicon, options] of cases) {
+        await t.test(word, async () => {
+            assert.equal(await lemmatize(word, isKnown, options), withLexicon);
+            assert.equal(await lemmatize(word, isUnknown, options), withoutLexicon);
+        });
+    }
+});
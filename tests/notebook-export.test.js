@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport, fillTemplate, toAnkiTsv, toMarkdownGlossary, toNotebookCsv } from '../libs/notebook-export.js';
+
+const entry = (word, extra = {}) => ({
+    word,
+    lang: 'en',
+    phonetic: '',
+    sense: { partOfSpeech: 'noun', definition: `The meaning of ${word}.`, example: '' },
+    context: '',
+    url: '',
+    pageTitle: '',
+    notes: '',
+    tags: [],
+    deck: '',
+    ...extra,
+});
+
+test('fillTemplate', async (t) => {
+    const cases = [
+        ['fields', '{{word}}: {{meaning}}', entry('cat'), 'cat: The meaning of cat.'],
+        ['spaces inside braces', '{{ word }}', entry('cat'), 'cat'],
+        ['unknown placeholders are kept', '{{wrod}}', entry('cat'), '{{wrod}}'],
+        ['tags are joined', '{{tags}}', entry('cat', { tags: ['pets', 'b1'] }), 'pets, b1'],
+    ];
+    for (const [name, template, value, expected] of cases) {
+        await t.test(name, () => assert.equal(fillTemplate(template, value), expected));
+    }
+});
+
+test('toAnkiTsv', async (t) => {
+    const header = '#separator:tab\n#html:true\n#tags column:3\n';
+    const cases = [
+        ['one note per line', [entry('cat'), entry('dog')], { front: '{{word}}', back: '{{meaning}}' }, '',
+            `${header}cat\tThe meaning of cat.\t\ndog\tThe meaning of dog.\t\n`],
+        ['a single deck is named', [entry('cat')], { front: '{{word}}', back: '{{partOfSpeech}}' }, 'Animals',
+            `${header}#deck:Animals\ncat\tnoun\t\n`],
+        ['values are HTML-escaped, the template is not', [entry('<b>')], { front: '<i>{{word}}</i>', back: '' }, '',
+            `${header}<i>&lt;b&gt;</i>\t\t\n`],
+        ['line breaks become <br> and tags lose their spaces', [entry('cat', { notes: 'one\ntwo', tags: ['house pets', 'b1'] })],
+            { front: '{{word}}', back: '{{notes}}' }, '', `${header}cat\tone<br>two\thouse_pets b1\n`],
+        ['tabs in a value are quoted', [entry('cat', { notes: 'a\tb' })], { front: '{{word}}', back: '{{notes}}' }, '',
+            `${header}cat\t"a\tb"\t\n`],
+    ];
+    for (const [name, entries, templates, deck, expected] of cases) {
+        await t.test(name, () => assert.equal(toAnkiTsv(entries, templates, deck), expected));
+    }
+});
+
+test('toNotebookCsv', async (t) => {
+    const cases = [
+        ['labelled header in field order', [entry('cat', { tags: ['pets'] })], ['tags', 'word', 'partOfSpeech'],
+            'Word,Part of speech,Tags\r\ncat,noun,pets\r\n'],
+        ['values with commas are quoted', [entry('cat', { tags: ['a', 'b'] })], ['word', 'tags'],
+            'Word,Tags\r\ncat,"a, b"\r\n'],
+        ['unknown columns are ignored', [entry('cat')], ['word', 'nope'], 'Word\r\ncat\r\n'],
+    ];
+    for (const [name, entries, columns, expected] of cases) {
+        await t.test(name, () => assert.equal(toNotebookCsv(entries, columns), expected));
+    }
+});
+
+test('toMarkdownGlossary', async (t) => {
+    const cases = [
+        ['alphabetical with a heading per letter', [entry('dog'), entry('Cat'), entry('cow')], '',
+            '# WordUp glossary\n\n## C\n\n### Cat\n\n*noun*\n\nThe meaning of Cat.\n\n### cow\n\n*noun*\n\nThe meaning of cow.\n\n'
+            + '## D\n\n### dog\n\n*noun*\n\nThe meaning of dog.\n'],
+        ['the deck is the title', [], 'My *deck*', '# My \\*deck\\*\n'],
+        ['details, example, source, notes and tags', [entry('cat', {
+            phonetic: '/kæt/',
+            sense: { partOfSpeech: 'noun', definition: 'A small_animal.', example: 'The cat sat.' },
+            context: 'I saw a cat.',
+            url: 'https://example.com/a (b)',
+            notes: 'Cute',
+            tags: ['pets'],
+        })], '', '# WordUp glossary\n\n## C\n\n### cat\n\n*noun* · /kæt/\n\nA small\\_animal.\n\n> The cat sat.\n\n'
+            + 'Found in: “I saw a cat.” — [example.com](https://example.com/a%20%28b%29)\n\nNotes: Cute\n\nTags: `pets`\n'],
+    ];
+    for (const [name, entries, deck, expected] of cases) {
+        await t.test(name, () => assert.equal(toMarkdownGlossary(entries, deck), expected));
+    }
+});
+
+test('buildExport', async (t) => {
+    const backup = { entries: [entry('cat'), entry('dog')], deck: '' };
+    const cases = [
+        ['default CSV columns', 'csv', {}, undefined, 'Word,Phonetic,Meaning,Examples,Context,URL,Tags\r\ncat,,The meaning of cat.,,,,\r\ndog,,The meaning of dog.,,,,\r\n'],
+        ['a preview limits the entries', 'csv', { csvColumns: ['word'] }, 1, 'Word\r\ncat\r\n'],
+    ];
+    for (const [name, format, settings, limit, expected] of cases) {
+        await t.test(name, () => assert.equal(buildExport(format, backup, settings, limit), expected));
+    }
+    await t.test('unknown formats throw', () => assert.throws(() => buildExport('xml', backup, {}), /Unknown export format/));
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSeparator, guessMapping, parseDelimited, readImportFile, rowsToItems, stripHtml } from '../libs/notebook-import.js';
+import { toNotebookCsv } from '../libs/notebook-export.js';
+
+test('parseDelimited', async (t) => {
+    const cases = [
+        ['plain cells', 'a,b\nc,d', ',', [['a', 'b'], ['c', 'd']]],
+        ['CRLF line ends', 'a,b\r\nc,d\r\n', ',', [['a', 'b'], ['c', 'd']]],
+        ['quoted separators and quotes', '"a,b","say ""hi"""', ',', [['a,b', 'say "hi"']]],
+        ['quoted line breaks', '"one\ntwo",x', ',', [['one\ntwo', 'x']]],
+        ['empty cells are kept', 'a,,c', ',', [['a', '', 'c']]],
+        ['blank lines are dropped', 'a\n\n  \nb', ',', [['a'], ['b']]],
+        ['tabs', 'a\tb,c', '\t', [['a', 'b,c']]],
+        ['a quote inside a cell is literal', 'it"s,x', ',', [['it"s', 'x']]],
+    ];
+    for (const [name, text, separator, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(parseDelimited(text, separator), expected));
+    }
+});
+
+test('detectSeparator', async (t) => {
+    const cases = [
+        ['commas', 'word,meaning\ncat,animal', ','],
+        ['tabs', 'word\tmeaning\ncat\tanimal, pet', '\t'],
+        ['semicolons', 'word;meaning\ncat;animal, a pet', ';'],
+        ['a single column', 'cat\ndog', ','],
+    ];
+    for (const [name, text, expected] of cases) {
+        await t.test(name, () => assert.equal(detectSeparator(text), expected));
+    }
+});
+
+test('stripHtml', async (t) => {
+    const cases = [
+        ['tags and line breaks', '<b>cat</b><br>a pet', 'cat\na pet'],
+        ['entities', 'a &amp; b &lt;3 &#233;&#x41;&nbsp;!', 'a & b <3 éA !'],
+        ['sound references', 'cat[sound:cat.mp3]', 'cat'],
+        ['unknown entities are kept', '&bogus;', '&bogus;'],
+    ];
+    for (const [name, html, expected] of cases) {
+        await t.test(name, () => assert.equal(stripHtml(html), expected));
+    }
+});
+
+test('readImportFile', async (t) => {
+    const cases = [
+        ['a CSV word list with a header', 'Word,Meaning\ncat,animal', 'words.csv',
+            { source: 'wordList', rows: [['Word', 'Meaning'], ['cat', 'animal']], hasHeader: true, html: false, tagsColumn: -1, deckColumn: -1 }],
+        ['a TSV without a header', 'cat\tanimal', 'words.tsv',
+            { source: 'wordList', rows: [['cat', 'animal']], hasHeader: false, html: false, tagsColumn: -1, deckColumn: -1 }],
+        ['a byte order mark is ignored', '\uFEFFword;meaning\ncat;animal', 'words.csv',
+            { source: 'wordList', rows: [['word', 'meaning'], ['cat', 'animal']], hasHeader: true, html: false, tagsColumn: -1, deckColumn: -1 }],
+        ['an Anki export', '#separator:tab\n#html:true\n#tags column:3\n#deck column:4\ncat\t<b>animal</b>\tpets\tEnglish', 'notes.txt',
+            { source: 'anki', rows: [['cat', '<b>animal</b>', 'pets', 'English']], hasHeader: false, html: true, tagsColumn: 2, deckColumn: 3 }],
+        ['an Anki export with a named separator', '#separator:Semicolon\n#html:false\ncat;animal', 'notes.txt',
+            { source: 'anki', rows: [['cat', 'animal']], hasHeader: false, html: false, tagsColumn: -1, deckColumn: -1 }],
+        ['a Kindle export', 'Stem,Word,Usage,Book\nrun,running,"He was running.",A Book', 'vocab.csv',
+            { source: 'kindle', rows: [['Stem', 'Word', 'Usage', 'Book'], ['run', 'running', 'He was running.', 'A Book']], hasHeader: true, html: false, tagsColumn: -1, deckColumn: -1 }],
+    ];
+    for (const [name, text, fileName, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(readImportFile(text, fileName), expected));
+    }
+});
+
+test('guessMapping', async (t) => {
+    const cases = [
+        ['header names and aliases', 'Term,Definition,Notes,Unrelated\ncat,animal,,x', 'words.csv', 'wordList',
+            ['word', 'meaning', 'notes', '']],
+        ['a column is only used once', 'word,word,meaning\ncat,cats,animal', 'words.csv', 'wordList', ['word', '', 'meaning']],
+        ['Kindle takes the stem as the word', 'Stem,Word,Usage,Book\nrun,running,He was running.,A Book', 'vocab.csv', 'kindle',
+            ['word', '', 'context', 'source']],
+        ['Anki without a header: front, back, tags and deck', '#separator:tab\n#tags column:4\n#deck column:3\ncat\tanimal\tEnglish\tpets', 'a.txt', 'anki',
+            ['word', 'meaning', 'deck', 'tags']],
+        ['Kindle without a header: word and sentence', 'run\tHe was running.', 'a.tsv', 'kindle', ['word', 'context']],
+        ['an exported CSV maps back', toNotebookCsv([{ word: 'cat', phonetic: '/kæt/', sense: { definition: 'animal' }, tags: ['pets'] }],
+            ['word', 'phonetic', 'meaning', 'examples', 'url', 'tags']), 'export.csv', 'wordList',
+        ['word', 'phonetic', 'meaning', 'example', '', 'tags']],
+    ];
+    for (const [name, text, fileName, source, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(guessMapping(readImportFile(text, fileName), source), expected));
+    }
+});
+
+test('rowsToItems', async (t) => {
+    const cases = [
+        ['header rows are skipped and rows without a word counted', 'word,meaning,tags\ncat,animal,"pets, b1"\n,orphan,\n  big   dog ,animal,',
+            'words.csv', {}, { items: [{ word: 'cat', meaning: 'animal', tags: ['pets', 'b1'] }, { word: 'big dog', meaning: 'animal', tags: [] }], invalid: 1 }],
+        ['Anki HTML, space-separated hierarchical tags and a default deck', '#separator:tab\n#html:true\n#tags column:3\ncat\t<i>animal</i>\tlang::english pets',
+            'a.txt', { deck: 'Imported' }, { items: [{ word: 'cat', meaning: 'animal', tags: ['english', 'pets'], deck: 'Imported' }], invalid: 0 }],
+    ];
+    for (const [name, text, fileName, options, expected] of cases) {
+        await t.test(name, () => {
+            const file = readImportFile(text, fileName);
+            assert.deepEqual(rowsToItems(file, guessMapping(file, file.source), options), expected);
+        });
+    }
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQuiz, collectQuizWords } from '../background/quiz.js';
+
+/**
+ * A seeded random number generator, so every quiz in a test is the same on every run.
+ * @param {number} seed
+ * @returns {() => number}
+ */
+const seededRandom = (seed) => () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+const word = (text, definition, extra = {}) => ({
+    id: `en:${text}`,
+    word: text,
+    lang: 'en',
+    sense: { partOfSpeech: 'adjective', definition, example: '' },
+    context: '',
+    synonyms: [],
+    antonyms: [],
+    ...extra,
+});
+
+const WORDS = [
+    word('happy', 'Feeling pleasure.', { synonyms: ['glad'], antonyms: ['sad'] }),
+    word('brave', 'Ready to face danger.', { context: 'She was brave enough to ask.' }),
+    word('calm', 'Not excited or nervous.'),
+    word('eager', 'Wanting very much to do something.', { context: 'The eagerly awaited film opened today.' }),
+    word('tiny', 'Very small.'),
+];
+
+test('collectQuizWords', async (t) => {
+    const notebook = [
+        { id: 'en:happy', word: 'happy', lang: 'en', sense: { definition: 'Feeling pleasure.' }, context: '' },
+    ];
+    const cached = [
+        { word: 'happy', lang: 'en', meaning: 'Glad.', synonyms: ['glad'], antonyms: ['sad'], context: 'A happy day.' },
+        { word: 'Calm', meanings: [{ partOfSpeech: 'adjective', definitions: [{ definition: 'Not excited.' }] }] },
+        { word: 'blank' },
+        null,
+    ];
+    const cases = [
+        ['notebook entries win but borrow related words and context', 'en:happy',
+            { id: 'en:happy', word: 'happy', lang: 'en', sense: { definition: 'Feeling pleasure.' }, context: 'A happy day.', synonyms: ['glad'], antonyms: ['sad'] }],
+        ['cached entries use their first sense', 'en:calm',
+            { id: 'en:calm', word: 'Calm', lang: 'en', sense: { partOfSpeech: 'adjective', definition: 'Not excited.', example: '' }, context: '', synonyms: [], antonyms: [] }],
+        ['entries without a definition are left out', 'en:blank', undefined],
+    ];
+    const words = collectQuizWords(notebook, cached);
+    for (const [name, id, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(words.find(w => w.id === id), expected));
+    }
+});
+
+test('buildQuiz', async (t) => {
+    const cases = [
+        ['one question per word, up to the count', { count: 3 }, 3],
+        ['never more questions than words', { count: 10 }, WORDS.length],
+        ['only the target words are asked about', { count: 10, targetIds: new Set(['en:brave', 'en:tiny']) }, 2],
+    ];
+    for (const seed of [1, 2, 3]) {
+        for (const [name, options, expectedCount] of cases) {
+            await t.test(`${name} (seed ${seed})`, () => {
+                const quiz = buildQuiz(WORDS, {}, { ...options, random: seededRandom(seed) });
+                assert.equal(quiz.length, expectedCount);
+                assert.equal(new Set(quiz.map(q => q.id)).size, quiz.length);
+                quiz.forEach(question => {
+                    const target = WORDS.find(w => w.id === question.id);
+                    if (options.targetIds) assert.ok(options.targetIds.has(question.id));
+                    assert.equal(question.definition, target.sense.definition);
+                    if (question.type === 'meaning') {
+                        assert.equal(question.options.length, 4);
+                        assert.equal(question.options[question.answerIndex], target.sense.definition);
+                    } else if (question.type === 'blank') {
+                        assert.ok(question.sentence.includes('_____'));
+                        assert.ok(!question.sentence.toLowerCase().includes(target.word));
+                        assert.ok(question.accepted.includes(target.word));
+                    } else {
+                        assert.equal(question.type, 'relation');
+                        assert.ok([...target.synonyms, ...target.antonyms].includes(question.options[question.answerIndex]));
+                    }
+                });
+            });
+        }
+    }
+
+    await t.test('a derived form is blanked out and accepted', () => {
+        // With a single word there are no wrong options, so only a blank question is possible.
+        const [question] = buildQuiz([WORDS[3]], {}, { random: seededRandom(1) });
+        assert.equal(question.sentence, 'The _____ awaited film opened today.');
+        assert.deepEqual(question.accepted, ['eagerly', 'eager']);
+    });
+
+    await t.test('no question when a word has nothing to ask about', () => {
+        assert.deepEqual(buildQuiz([WORDS[4]], {}, { random: seededRandom(1) }), []);
+    });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GRADES, learningStatus, sm2 } from '../background/review-scheduler.js';
+
+const NOW = Date.UTC(2026, 0, 10, 12);
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+test('sm2', async (t) => {
+    // [name, state before, grade, expected state (without lastReviewedAt)]
+    const cases = [
+        ['new card, good', undefined, GRADES.good, { ease: 2.5, interval: 1, repetitions: 1, lapses: 0, due: NOW + DAY }],
+        ['new card, easy', undefined, GRADES.easy, { ease: 2.6, interval: 1, repetitions: 1, lapses: 0, due: NOW + DAY }],
+        ['new card, hard', undefined, GRADES.hard, { ease: 2.36, interval: 1, repetitions: 1, lapses: 0, due: NOW + DAY }],
+        ['new card, again', undefined, GRADES.again, { ease: 1.96, interval: 1, repetitions: 0, lapses: 1, due: NOW + 10 * MINUTE }],
+        ['second review', { ease: 2.5, interval: 1, repetitions: 1, lapses: 0 }, GRADES.good,
+            { ease: 2.5, interval: 6, repetitions: 2, lapses: 0, due: NOW + 6 * DAY }],
+        ['third review grows by the ease', { ease: 2.5, interval: 6, repetitions: 2, lapses: 0 }, GRADES.good,
+            { ease: 2.5, interval: 15, repetitions: 3, lapses: 0, due: NOW + 15 * DAY }],
+        ['a lapse restarts the card', { ease: 2.5, interval: 15, repetitions: 3, lapses: 0 }, GRADES.again,
+            { ease: 1.96, interval: 1, repetitions: 0, lapses: 1, due: NOW + 10 * MINUTE }],
+        ['ease never drops below 1.3', { ease: 1.3, interval: 1, repetitions: 0, lapses: 4 }, GRADES.again,
+            { ease: 1.3, interval: 1, repetitions: 0, lapses: 5, due: NOW + 10 * MINUTE }],
+    ];
+    for (const [name, state, grade, expected] of cases) {
+        await t.test(name, () => {
+            assert.deepEqual(sm2(state, grade, NOW), { ...expected, lastReviewedAt: NOW });
+        });
+    }
+});
+
+test('learningStatus', async (t) => {
+    const cases = [
+        ['never reviewed', {}, 'new'],
+        ['short interval', { review: { interval: 6 } }, 'learning'],
+        ['three weeks apart', { review: { interval: 21 } }, 'mastered'],
+    ];
+    for (const [name, entry, expected] of cases) {
+        await t.test(name, () => assert.equal(learningStatus(entry), expected));
+    }
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, rankSpellingSuggestions } from '../libs/utils.js';
+
+test('editDistance', async (t) => {
+    const cases = [
+        ['identical', 'word', 'word', undefined, 0],
+        ['a substitution', 'cat', 'cut', undefined, 1],
+        ['an insertion', 'cat', 'cart', undefined, 1],
+        ['a deletion', 'cart', 'cat', undefined, 1],
+        ['swapped neighbours count once', 'recieve', 'receive', undefined, 1],
+        ['from nothing', '', 'abc', undefined, 3],
+        ['several edits', 'kitten', 'sitting', undefined, 3],
+        ['gives up past the maximum', 'kitten', 'sitting', 1, 2],
+        ['gives up on very different lengths', 'a', 'abcdef', 2, 3],
+    ];
+    for (const [name, a, b, max, expected] of cases) {
+        await t.test(name, () => assert.equal(editDistance(a, b, max), expected));
+    }
+});
+
+test('rankSpellingSuggestions', async (t) => {
+    const cases = [
+        ['closest first, ties in candidate order', 'recieve', ['receive', 'recipe', 'relieve'], {}, ['receive', 'relieve', 'recipe']],
+        ['candidates are normalized and de-duplicated', 'helo', [' Hello ', 'hello', 'HELP', 42, ''], {}, ['hello', 'help']],
+        ['the query itself is not suggested', 'Cat', ['cat', 'bat'], {}, ['bat']],
+        ['short words allow one edit', 'cat', ['cart', 'coast'], {}, ['cart']],
+        ['longer words allow more', 'accomodate', ['accommodate', 'acclimate'], {}, ['accommodate']],
+        ['the limit', 'bat', ['cat', 'hat', 'mat', 'rat'], { limit: 2 }, ['cat', 'hat']],
+        ['an explicit maximum distance', 'bat', ['cat', 'bright'], { maxDistance: 0 }, []],
+        ['no query', '  ', ['cat'], {}, []],
+        ['no candidates', 'cat', undefined, {}, []],
+    ];
+    for (const [name, query, candidates, options, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(rankSpellingSuggestions(query, candidates, options), expected));
+    }
+});
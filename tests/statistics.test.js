@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStatistics } from '../background/statistics.js';
+import { toCsv } from '../libs/csv.js';
+
+// Times are local, like the dashboard's days.
+const NOW = new Date(2026, 2, 15, 18).getTime();
+const at = (daysAgo, hour = 10) => new Date(2026, 2, 15 - daysAgo, hour).getTime();
+const lookup = (daysAgo, extra = {}) => ({ time: at(daysAgo), word: 'word', found: true, ...extra });
+const review = (daysAgo, grade = 4, cardId = 'en:word') => ({ reviewedAt: at(daysAgo), grade, cardId });
+
+test('buildStatistics streaks', async (t) => {
+    // [name, lookup days ago, review days ago, expected streaks]
+    const cases = [
+        ['no activity', [], [], { current: 0, longest: 0, activeDays: 0 }],
+        ['today only', [0], [], { current: 1, longest: 1, activeDays: 1 }],
+        ['several events on one day count once', [0, 0, 0], [], { current: 1, longest: 1, activeDays: 1 }],
+        ['a streak survives until today ends', [1, 2], [], { current: 2, longest: 2, activeDays: 2 }],
+        ['a missed day ends the streak', [2, 3], [], { current: 0, longest: 2, activeDays: 2 }],
+        ['reviews count as activity', [0], [1, 2], { current: 3, longest: 3, activeDays: 3 }],
+        ['the longest streak can be in the past', [0, 1, 10, 11, 12], [], { current: 2, longest: 3, activeDays: 5 }],
+        ['a streak across a month boundary', [13, 14, 15, 16], [], { current: 0, longest: 4, activeDays: 4 }],
+    ];
+    for (const [name, lookupDays, reviewDays, expected] of cases) {
+        await t.test(name, () => {
+            const stats = buildStatistics({ events: lookupDays.map(d => lookup(d)), reviews: reviewDays.map(d => review(d)) }, NOW);
+            assert.deepEqual(stats.streaks, expected);
+        });
+    }
+});
+
+test('buildStatistics figures', async (t) => {
+    const events = [
+        lookup(0, { word: 'Happy', site: 'example.com', cacheHit: true }),
+        lookup(0, { word: 'happy', site: 'example.com' }),
+        lookup(1, { word: 'brave', site: 'news.test' }),
+        lookup(40, { word: 'xyzzy', found: false }),
+    ];
+    const reviews = [
+        review(20, 4), review(10, 2), review(9, 5),
+        review(50, 4, 'en:brave'),
+    ];
+    const stats = buildStatistics({ events, reviews }, NOW);
+    const cases = [
+        ['total lookups', stats.totalLookups, 4],
+        ['cache hit rate', stats.cacheHitRate, 0.25],
+        ['top words count found lookups case-insensitively', stats.topWords, [{ word: 'happy', count: 2 }, { word: 'brave', count: 1 }]],
+        ['lookups without a site come from the popup', stats.topSites,
+            [{ site: 'example.com', count: 2 }, { site: 'news.test', count: 1 }, { site: 'WordUp popup', count: 1 }]],
+        ['30 days of lookups, oldest first', stats.lookupsPerDay.length, 30],
+        ['today is the last day', stats.lookupsPerDay.at(-1).count, 2],
+        ['yesterday', stats.lookupsPerDay.at(-2).count, 1],
+        ['review accuracy', stats.reviewAccuracy, { total: 4, recalled: 3, rate: 0.75, recentTotal: 3, recentRate: 2 / 3 }],
+        ['retention by time since the last review', stats.retention.filter(b => b.total).map(({ label, total, rate }) => [label, total, rate]),
+            [['Up to 1 day', 1, 1], ['1–2 weeks', 1, 0]]],
+    ];
+    for (const [name, actual, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(actual, expected));
+    }
+    await t.test('no lookups has no cache hit rate', () => {
+        assert.equal(buildStatistics({ events: [], reviews: [] }, NOW).cacheHitRate, null);
+    });
+});
+
+test('toCsv', async (t) => {
+    const cases = [
+        ['string columns', [{ a: 1, b: 'x' }], ['a', 'b'], 'a,b\r\n1,x\r\n'],
+        ['labelled columns', [{ a: 1 }], [{ key: 'a', label: 'Count' }], 'Count\r\n1\r\n'],
+        ['missing values are empty', [{ a: null }], ['a', 'b'], 'a,b\r\n,\r\n'],
+        ['separators, quotes and line breaks are quoted', [{ a: 'x,y', b: 'say "hi"', c: 'two\nlines' }], ['a', 'b', 'c'],
+            'a,b,c\r\n"x,y","say ""hi""","two\nlines"\r\n'],
+        ['no rows', [], ['a'], 'a\r\n'],
+    ];
+    for (const [name, rows, columns, expected] of cases) {
+        await t.test(name, () => assert.equal(toCsv(rows, columns), expected));
+    }
+});